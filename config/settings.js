@@ -1,90 +1,758 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Оточення процесу без .env: при перезавантаженні .env не перекриває змінні, задані явно
+const processEnv = { ...process.env };
+const envFilePath = path.resolve(process.cwd(), '.env');
 
 dotenv.config();
 
-// Валідація обов'язкових змінних
-const requiredEnvVars = [
-  'BYBIT_API_KEY',
-  'BYBIT_API_SECRET',
-  'TELEGRAM_BOT_TOKEN',
-  'TELEGRAM_CHANNEL_ID'
-];
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Парсить мапу значень по символах: "TAOUSDT:120,ADAUSDT:60" → { TAOUSDT: 120, ADAUSDT: 60 }
+ */
+function parseSymbolMap(value, parse = parseFloat) {
+  if (!value) return {};
+
+  return Object.fromEntries(
+    value.split(',')
+      .map(entry => entry.split(':').map(part => part.trim()))
+      .filter(([symbol, raw]) => symbol && raw !== undefined && raw !== '')
+      .map(([symbol, raw]) => [symbol.toUpperCase(), parse(raw)])
+  );
+}
+
+const SIZING_MODES = ['PERCENT_BALANCE', 'PERCENT_EQUITY', 'FIXED_USDT', 'RISK', 'ATR', 'SPREAD'];
+const EXECUTION_MODES = ['MARKET', 'POST_ONLY'];
 
-for (const envVar of requiredEnvVars) {
-  if (!process.env[envVar]) {
-    throw new Error(`Missing required environment variable: ${envVar}`);
+/**
+ * Поля профілю символу у файлі профілів: перевірка значення та опис для помилки
+ */
+const PROFILE_SCHEMA = {
+  enabled:           { check: value => typeof value === 'boolean', expected: 'true or false' },
+  leverage:          { check: value => Number.isInteger(value) && value >= 1 && value <= 100, expected: 'an integer between 1 and 100' },
+  sizingMode:        { check: value => SIZING_MODES.includes(value), expected: `one of ${SIZING_MODES.join(', ')}` },
+  maxHoldingMinutes: { check: value => typeof value === 'number' && value >= 0, expected: 'a number, 0 (disabled) or greater' },
+  entryMode:         { check: value => EXECUTION_MODES.includes(value), expected: `one of ${EXECUTION_MODES.join(', ')}` },
+  minSpreadPercent:  { check: value => typeof value === 'number' && value >= 0, expected: 'a number, 0 (disabled) or greater' }
+};
+
+/**
+ * Перевіряє профіль (defaults або symbols.<SYMBOL>) за PROFILE_SCHEMA
+ */
+function validateProfile(profile, where, filePath) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`Config file ${filePath}: ${where} must be an object`);
+  }
+
+  for (const [field, value] of Object.entries(profile)) {
+    const rule = PROFILE_SCHEMA[field];
+    if (!rule) {
+      throw new Error(
+        `Config file ${filePath}: ${where}.${field} is not a known setting ` +
+        `(allowed: ${Object.keys(PROFILE_SCHEMA).join(', ')})`
+      );
+    }
+    if (!rule.check(value)) {
+      throw new Error(`Config file ${filePath}: ${where}.${field} must be ${rule.expected} (got ${JSON.stringify(value)})`);
+    }
   }
 }
 
-export const config = {
-  // Bybit API
-  bybit: {
-    apiKey: process.env.BYBIT_API_KEY,
-    apiSecret: process.env.BYBIT_API_SECRET,
-    testnet: process.env.BYBIT_TESTNET === 'true',
-    // ONE_WAY (positionIdx=0) або HEDGE (LONG idx=1, SHORT idx=2)
-    positionMode: (process.env.BYBIT_POSITION_MODE || 'ONE_WAY').toUpperCase(),
-    baseURL: process.env.BYBIT_TESTNET === 'true'
-      ? 'https://api-testnet.bybit.com'
-      : 'https://api.bybit.com'
-  },
-
-  // Telegram
-  telegram: {
-    botToken: process.env.TELEGRAM_BOT_TOKEN,
-    channelId: process.env.TELEGRAM_CHANNEL_ID
-  },
-
-  // Risk Management
-  // TP/SL більше не використовуються — позиція закривається по EXIT-сигналу
-  risk: {
-    percentage: parseFloat(process.env.RISK_PERCENTAGE || '2.5'),  // залишено для сумісності
-    leverage: parseInt(process.env.LEVERAGE || '20'),
-    positionSizePercent: parseFloat(process.env.POSITION_SIZE_PERCENT || '5')
-    // POSITION_SIZE_PERCENT — відсоток від futures-балансу на одну угоду
-    // Наприклад: 5 означає що на одну угоду виділяється 5% балансу
-  },
-
-  // Trading Settings
-  trading: {
-    allowedSymbols: (process.env.ALLOWED_SYMBOLS || 'ADAUSDT,TAOUSDT,UNIUSDT').split(',').map(s => s.trim()),
-    maxDailyTrades: parseInt(process.env.MAX_DAILY_TRADES || '20'),
-    maxOpenPositions: parseInt(process.env.MAX_OPEN_POSITIONS || '3'),
-    dryRun: process.env.DRY_RUN === 'true'
-  },
-
-  // Trading Hours (UTC)
-  tradingHours: {
-    enabled: process.env.TRADING_HOURS_ENABLED === 'true',
-    startHour: parseInt(process.env.TRADING_START_HOUR || '6'),
-    endHour: parseInt(process.env.TRADING_END_HOUR || '22'),
-    timezone: process.env.TIMEZONE || 'UTC'
+/**
+ * Читає та валідує JSON файл профілів символів:
+ *   {
+ *     "defaults": { "leverage": 10, ... },
+ *     "symbols":  { "TAOUSDT": { "sizingMode": "ATR", "maxHoldingMinutes": 120 }, ... }
+ *   }
+ * Поля профілю — PROFILE_SCHEMA (enabled — лише в symbols). Файл, відсутній за шляхом
+ * за замовчуванням, — не помилка.
+ *
+ * @returns {Object} { filePath, defaults, symbols }
+ */
+function loadProfilesFile(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) {
+      throw new Error(`Config file ${filePath} (SYMBOL_PROFILES_FILE) not found`);
+    }
+    return { filePath: null, defaults: {}, symbols: {} };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Config file ${filePath}: top level must be an object with "defaults" and/or "symbols"`);
+  }
+
+  for (const key of Object.keys(data)) {
+    if (key !== 'defaults' && key !== 'symbols') {
+      throw new Error(`Config file ${filePath}: ${key} is not a known section (allowed: defaults, symbols)`);
+    }
+  }
+
+  const defaults = data.defaults || {};
+  const symbols = data.symbols || {};
+  validateProfile(defaults, 'defaults', filePath);
+
+  // defaults застосовуються до будь-якого символу — enabled там дозволив би торгувати всім ринком
+  if ('enabled' in defaults) {
+    throw new Error(
+      `Config file ${filePath}: defaults.enabled is not allowed — ` +
+      'enable symbols with ALLOWED_SYMBOLS or symbols.<SYMBOL>.enabled'
+    );
+  }
+
+  if (typeof symbols !== 'object' || Array.isArray(symbols)) {
+    throw new Error(`Config file ${filePath}: symbols must be an object keyed by symbol`);
+  }
+
+  for (const [symbol, profile] of Object.entries(symbols)) {
+    if (!/^[A-Z0-9]+$/.test(symbol)) {
+      throw new Error(`Config file ${filePath}: symbols.${symbol} must be an upper-case symbol name like BTCUSDT`);
+    }
+    validateProfile(profile, `symbols.${symbol}`, filePath);
+  }
+
+  return { filePath, defaults, symbols };
+}
+
+function getProfilesPath(env) {
+  return path.resolve(env.SYMBOL_PROFILES_FILE || path.join(__dirname, 'profiles.json'));
+}
+
+/**
+ * Будує конфігурацію з оточення та валідує її (кидає Error з описом першої помилки).
+ * Використовується при запуску та при перезавантаженні (reloadConfig).
+ */
+function buildConfig(env) {
+  // Джерело сигналів: TELEGRAM (канал Spread Monitor Bot), INTERNAL (вбудований монітор спреду) або BOTH
+  const signalSource = (env.SIGNAL_SOURCE || 'TELEGRAM').toUpperCase();
+
+  // Валідація обов'язкових змінних
+  // Telegram обов'язковий лише як джерело сигналів; без нього сповіщення вимикаються
+  const requiredEnvVars = [
+    'BYBIT_API_KEY',
+    'BYBIT_API_SECRET',
+    ...(signalSource === 'INTERNAL' ? [] : ['TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHANNEL_ID'])
+  ];
+
+  for (const envVar of requiredEnvVars) {
+    if (!env[envVar]) {
+      throw new Error(`Missing required environment variable: ${envVar}`);
+    }
+  }
+
+  const config = {
+    // Bybit API
+    bybit: {
+      apiKey: env.BYBIT_API_KEY,
+      apiSecret: env.BYBIT_API_SECRET,
+      testnet: env.BYBIT_TESTNET === 'true',
+      // ONE_WAY (positionIdx=0) або HEDGE (LONG idx=1, SHORT idx=2)
+      positionMode: (env.BYBIT_POSITION_MODE || 'ONE_WAY').toUpperCase(),
+      // Приватний WebSocket (position/order/execution/wallet) замість частого polling
+      wsEnabled: env.BYBIT_WS_ENABLED !== 'false',
+      wsReconnectTimeoutMs: parseInt(env.BYBIT_WS_RECONNECT_TIMEOUT_MS || '5000'),
+      // BYBIT_BASE_URL — власний REST endpoint (наприклад, локальний mock-сервер для інтеграційних тестів)
+      baseURL: env.BYBIT_BASE_URL || (env.BYBIT_TESTNET === 'true'
+        ? 'https://api-testnet.bybit.com'
+        : 'https://api.bybit.com')
+    },
+
+    // Telegram
+    telegram: {
+      // Без токена бот працює без Telegram (лише з SIGNAL_SOURCE=INTERNAL)
+      enabled: Boolean(env.TELEGRAM_BOT_TOKEN),
+      botToken: env.TELEGRAM_BOT_TOKEN,
+      channelId: env.TELEGRAM_CHANNEL_ID,
+      // TELEGRAM_API_URL — власний Bot API сервер (mock для інтеграційних тестів)
+      apiUrl: env.TELEGRAM_API_URL || 'https://api.telegram.org',
+      // Чати, яким дозволено керувати ботом командами (/status, /close, /pause ...)
+      adminChatIds: (env.TELEGRAM_ADMIN_CHAT_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean)
+    },
+
+    // Risk Management
+    // TP/SL більше не використовуються — позиція закривається по EXIT-сигналу
+    risk: {
+      // RISK_PERCENTAGE — ризик на угоду (% equity) для SIZING_MODE=RISK
+      percentage: parseFloat(env.RISK_PERCENTAGE || '2.5'),
+      leverage: parseInt(env.LEVERAGE || '20'),
+      positionSizePercent: parseFloat(env.POSITION_SIZE_PERCENT || '5'),
+      // POSITION_SIZE_PERCENT — відсоток від futures-балансу на одну угоду
+      // Наприклад: 5 означає що на одну угоду виділяється 5% балансу
+
+      // Режим розміру позиції (SIZING_MODE, по символах — SIZING_MODE_BY_SYMBOL "TAOUSDT:ATR,ADAUSDT:FIXED_USDT"):
+      //   PERCENT_BALANCE — POSITION_SIZE_PERCENT% доступного балансу
+      //   PERCENT_EQUITY  — POSITION_SIZE_PERCENT% equity (баланс + нереалізований P&L)
+      //   FIXED_USDT      — фіксований номінал SIZING_FIXED_USDT
+      //   RISK            — збиток на стопі = RISK_PERCENTAGE% equity; стоп — аварійний (PROTECTIVE_STOP_*),
+      //                     якщо увімкнено, інакше SIZING_STOP_PERCENT
+      //   ATR             — POSITION_SIZE_PERCENT% equity × SIZING_ATR_TARGET_PERCENT / ATR%
+      //                     (ATR за SIZING_ATR_PERIOD свічок SIZING_ATR_INTERVAL з Bybit)
+      //   SPREAD          — POSITION_SIZE_PERCENT% балансу × |SPREAD сигналу| / SIZING_SPREAD_REFERENCE_PERCENT
+      // Множник ATR та SPREAD обмежено SIZING_MIN_MULTIPLIER..SIZING_MAX_MULTIPLIER
+      sizingMode: (env.SIZING_MODE || 'PERCENT_BALANCE').toUpperCase(),
+      sizingModeBySymbol: parseSymbolMap(env.SIZING_MODE_BY_SYMBOL, value => value.toUpperCase()),
+      fixedNotionalUSDT: parseFloat(env.SIZING_FIXED_USDT || '100'),
+      stopPercent: parseFloat(env.SIZING_STOP_PERCENT || env.PROTECTIVE_STOP_PERCENT || '3'),
+      atrInterval: env.SIZING_ATR_INTERVAL || '15',
+      atrPeriod: parseInt(env.SIZING_ATR_PERIOD || '14'),
+      atrTargetPercent: parseFloat(env.SIZING_ATR_TARGET_PERCENT || '1'),
+      spreadReferencePercent: parseFloat(env.SIZING_SPREAD_REFERENCE_PERCENT || '0.5'),
+      minMultiplier: parseFloat(env.SIZING_MIN_MULTIPLIER || '0.25'),
+      maxMultiplier: parseFloat(env.SIZING_MAX_MULTIPLIER || '2')
+    },
+
+    // Protective Stop
+    // Аварійний стоп на біржі на випадок, якщо CLOSE сигнал не прийде.
+    // PERCENT     — стоп на PROTECTIVE_STOP_PERCENT% від ціни входу
+    // LIQUIDATION — стоп між входом та ліквідацією, з запасом PROTECTIVE_STOP_LIQ_BUFFER_PERCENT%
+    protectiveStop: {
+      enabled: env.PROTECTIVE_STOP_ENABLED === 'true',
+      mode: (env.PROTECTIVE_STOP_MODE || 'PERCENT').toUpperCase(),
+      percent: parseFloat(env.PROTECTIVE_STOP_PERCENT || '3'),
+      liquidationBufferPercent: parseFloat(env.PROTECTIVE_STOP_LIQ_BUFFER_PERCENT || '20'),
+      triggerBy: env.PROTECTIVE_STOP_TRIGGER_BY || 'MarkPrice'
+    },
+
+    // Circuit Breaker
+    // Зупиняє OPEN сигнали після досягнення денного збитку або просадки (0 — вимкнено)
+    circuitBreaker: {
+      maxDailyLossUSDT: parseFloat(env.MAX_DAILY_LOSS_USDT || '0'),
+      maxDailyLossPercent: parseFloat(env.MAX_DAILY_LOSS_PERCENT || '0'),
+      maxDrawdownPercent: parseFloat(env.MAX_DRAWDOWN_PERCENT || '0'),
+      // START_BALANCE — від statistics.startBalance (після /resetbreaker — від equity на момент скидання),
+      // DAILY_PEAK — від піку equity за день
+      drawdownReference: (env.DRAWDOWN_REFERENCE || 'DAILY_PEAK').toUpperCase(),
+      // Закривати всі позиції при спрацюванні
+      flattenOnTrip: env.CIRCUIT_BREAKER_FLATTEN === 'true'
+    },
+
+    // Signal Guard
+    // Відхиляє OPEN сигнал, який застарів до моменту виконання (0 — перевірка вимкнена)
+    signalGuard: {
+      // Максимальний вік сигналу за полем TIME, секунди
+      maxAgeSeconds: parseFloat(env.SIGNAL_MAX_AGE_SECONDS || '0'),
+      // Максимальне відхилення поточної ціни Bybit від LAST_PRICE сигналу, %
+      maxPriceDriftPercent: parseFloat(env.SIGNAL_MAX_PRICE_DRIFT_PERCENT || '0'),
+      // Мінімальний спред (last vs index) на момент входу, % — менший означає, що спред вже зійшовся
+      minSpreadPercent: parseFloat(env.SIGNAL_MIN_SPREAD_PERCENT || '0')
+    },
+
+    // Spread Verification
+    // Перед входом спред (last vs index) перераховується по тікеру Bybit і має
+    // збігатися зі SPREAD сигналу за знаком та з точністю до SPREAD_VERIFY_TOLERANCE_PERCENT
+    spreadVerification: {
+      enabled: env.SPREAD_VERIFY_ENABLED === 'true',
+      // Допустима різниця, процентні пункти (сигнал 0.75%, Bybit 0.60% → різниця 0.15)
+      tolerancePercent: parseFloat(env.SPREAD_VERIFY_TOLERANCE_PERCENT || '0.3')
+    },
+
+    // Signal Source
+    // TELEGRAM — канал Spread Monitor Bot, INTERNAL — вбудований монітор спреду, BOTH — обидва
+    signals: {
+      source: signalSource
+    },
+
+    // Internal Spread Monitor (SIGNAL_SOURCE=INTERNAL або BOTH)
+    // Стежить за last vs index по тікерах Bybit і сам генерує сигнали:
+    //   OPEN  — |спред| >= SPREAD_MONITOR_ENTRY_PERCENT протягом SPREAD_MONITOR_CONFIRMATIONS опитувань
+    //           (last вище index → SPREAD_MONITOR_POSITIVE_DIRECTION, нижче — протилежний;
+    //           за замовчуванням LONG, як у сигналах каналу Spread Monitor Bot)
+    //   CLOSE — спред зійшовся до SPREAD_MONITOR_EXIT_PERCENT (або перейшов через нуль)
+    spreadMonitor: {
+      symbols: (env.SPREAD_MONITOR_SYMBOLS || env.ALLOWED_SYMBOLS || 'ADAUSDT,TAOUSDT,UNIUSDT')
+        .split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+      pollIntervalMs: parseInt(env.SPREAD_MONITOR_POLL_INTERVAL_MS || '5000'),
+      entryPercent: parseFloat(env.SPREAD_MONITOR_ENTRY_PERCENT || '0.5'),
+      exitPercent: parseFloat(env.SPREAD_MONITOR_EXIT_PERCENT || '0.1'),
+      confirmations: parseInt(env.SPREAD_MONITOR_CONFIRMATIONS || '2'),
+      positiveDirection: (env.SPREAD_MONITOR_POSITIVE_DIRECTION || 'LONG').toUpperCase()
+    },
+
+    // Spread-Converged Exit
+    // Запасний вихід, якщо CLOSE сигнал загубився: бот сам закриває позицію,
+    // коли спред last vs index зійшовся до SPREAD_CONVERGED_EXIT_PERCENT (або перейшов через нуль)
+    spreadConvergedExit: {
+      enabled: env.SPREAD_CONVERGED_EXIT_ENABLED === 'true',
+      percent: parseFloat(env.SPREAD_CONVERGED_EXIT_PERCENT || '0.05')
+    },
+
+    // Order Execution
+    // MARKET — ринковий ордер; POST_ONLY — лімітний maker ордер з переставлянням ціни (chase)
+    execution: {
+      entryMode: (env.EXECUTION_ENTRY_MODE || 'MARKET').toUpperCase(),
+      exitMode: (env.EXECUTION_EXIT_MODE || 'MARKET').toUpperCase(),
+      // Перевизначення по символах: "TAOUSDT:POST_ONLY,ADAUSDT:MARKET"
+      entryModeBySymbol: parseSymbolMap(env.EXECUTION_ENTRY_MODE_BY_SYMBOL, value => value.toUpperCase()),
+      exitModeBySymbol: parseSymbolMap(env.EXECUTION_EXIT_MODE_BY_SYMBOL, value => value.toUpperCase()),
+      // Початкова ціна входу: BEST (best bid/ask) або INDEX (index price сигналу)
+      entryPrice: (env.EXECUTION_ENTRY_PRICE || 'BEST').toUpperCase(),
+      chaseIntervalMs: parseInt(env.EXECUTION_CHASE_INTERVAL_MS || '3000'),
+      maxChases: parseInt(env.EXECUTION_MAX_CHASES || '5'),
+      // Максимальне відхилення ціни ордера від початкової (%)
+      maxSlippagePercent: parseFloat(env.EXECUTION_MAX_SLIPPAGE_PERCENT || '0.2'),
+      timeoutMs: parseInt(env.EXECUTION_TIMEOUT_MS || '20000'),
+      // Що робити з невиконаним залишком: MARKET — добити ринковим, CANCEL — скасувати
+      fallback: (env.EXECUTION_FALLBACK || 'MARKET').toUpperCase()
+    },
+
+    // Scale-In (pyramiding)
+    // Повторний OPEN сигнал по відкритій позиції в тому ж напрямку докуповує її,
+    // якщо |спред| виріс щонайменше на SCALE_IN_MIN_SPREAD_STEP_PERCENT від попереднього входу.
+    // Розмір докупівлі — % від першого входу: FIXED — щоразу SCALE_IN_SIZE_PERCENT,
+    // DECAY — кожна наступна менша в SCALE_IN_DECAY_FACTOR разів
+    scaleIn: {
+      enabled: env.SCALE_IN_ENABLED === 'true',
+      maxAdds: parseInt(env.SCALE_IN_MAX_ADDS || '2'),
+      sizeMode: (env.SCALE_IN_SIZE_MODE || 'FIXED').toUpperCase(),
+      sizePercent: parseFloat(env.SCALE_IN_SIZE_PERCENT || '100'),
+      decayFactor: parseFloat(env.SCALE_IN_DECAY_FACTOR || '0.5'),
+      minSpreadStepPercent: parseFloat(env.SCALE_IN_MIN_SPREAD_STEP_PERCENT || '0.1')
+    },
+
+    // Reversal (ONE_WAY)
+    // OPEN сигнал протилежного напрямку по символу з відкритою позицією:
+    // IGNORE     — відхиляється
+    // CLOSE_ONLY — наявна позиція закривається, нова не відкривається
+    // FLIP       — наявна позиція закривається, після підтвердження на біржі відкривається нова
+    reversal: {
+      policy: (env.REVERSAL_POLICY || 'IGNORE').toUpperCase()
+    },
+
+    // Exit Plan (часткові виходи)
+    // CLOSE сигнал без CLOSE_PERCENT / CLOSE_QTY закриває EXIT_PLAN_SIGNAL_CLOSE_PERCENT% позиції (100 — всю).
+    // Залишок після часткового виходу закривається наступним CLOSE сигналом, повним сходженням
+    // спреду (до EXIT_PLAN_REMAINDER_SPREAD_PERCENT або через нуль) чи по таймауту
+    // EXIT_PLAN_REMAINDER_TIMEOUT_MINUTES від першого часткового виходу (0 — лише MAX_HOLDING_MINUTES)
+    exitPlan: {
+      signalClosePercent: parseFloat(env.EXIT_PLAN_SIGNAL_CLOSE_PERCENT || '100'),
+      remainderSpreadPercent: parseFloat(env.EXIT_PLAN_REMAINDER_SPREAD_PERCENT || '0'),
+      remainderTimeoutMinutes: parseFloat(env.EXIT_PLAN_REMAINDER_TIMEOUT_MINUTES || '0')
+    },
+
+    // Symbol Profiles
+    // JSON файл SYMBOL_PROFILES_FILE (за замовчуванням config/profiles.json, якщо існує; приклад —
+    // config/profiles.example.json) з перевизначеннями по символах: enabled (лише в symbols), leverage,
+    // sizingMode, maxHoldingMinutes, entryMode, minSpreadPercent. Пріоритет: symbols.<SYMBOL> → defaults файлу →
+    // змінні оточення (з їхніми *_BY_SYMBOL). Ефективний профіль — getSymbolProfile(symbol)
+    profiles: loadProfilesFile(getProfilesPath(env), Boolean(env.SYMBOL_PROFILES_FILE)),
+
+    // Trading Settings
+    trading: {
+      allowedSymbols: (env.ALLOWED_SYMBOLS || 'ADAUSDT,TAOUSDT,UNIUSDT').split(',').map(s => s.trim()),
+      maxDailyTrades: parseInt(env.MAX_DAILY_TRADES || '20'),
+      maxOpenPositions: parseInt(env.MAX_OPEN_POSITIONS || '3'),
+      dryRun: env.DRY_RUN === 'true',
+      // Максимальний час утримання позиції без CLOSE сигналу (хвилини, 0 — без обмеження)
+      maxHoldingMinutes: parseFloat(env.MAX_HOLDING_MINUTES || '0'),
+      // Перевизначення по символах: "TAOUSDT:120,ADAUSDT:60"
+      maxHoldingMinutesBySymbol: parseSymbolMap(env.MAX_HOLDING_MINUTES_BY_SYMBOL),
+      // Скільки пам'ятати оброблені сигнали для відкидання повторів (хвилини)
+      signalDedupWindowMinutes: parseFloat(env.SIGNAL_DEDUP_WINDOW_MINUTES || '1440')
+    },
+
+    // Paper Trading (DRY_RUN=true)
+    // Віртуальна біржа: ринкові ціни з Bybit, виконання та баланс — симульовані
+    paperTrading: {
+      initialBalance: parseFloat(env.PAPER_INITIAL_BALANCE || '1000'),
+      takerFeePercent: parseFloat(env.PAPER_TAKER_FEE_PERCENT || '0.055'),
+      slippagePercent: parseFloat(env.PAPER_SLIPPAGE_PERCENT || '0.05'),
+      // Комісія лімітних (maker) виконань
+      makerFeePercent: parseFloat(env.PAPER_MAKER_FEE_PERCENT || '0.02')
+    },
+
+    // Trading Hours (UTC)
+    tradingHours: {
+      enabled: env.TRADING_HOURS_ENABLED === 'true',
+      startHour: parseInt(env.TRADING_START_HOUR || '6'),
+      endHour: parseInt(env.TRADING_END_HOUR || '22'),
+      timezone: env.TIMEZONE || 'UTC'
+    },
+
+    // Position Monitoring
+    monitoring: {
+      // Polling, коли WebSocket недоступний (або вимкнений)
+      pollIntervalMs: parseInt(env.POSITION_POLL_INTERVAL_MS || '30000'),
+      // Контрольна перевірка через REST, навіть коли WebSocket працює
+      streamSafetyPollIntervalMs: parseInt(env.POSITION_SAFETY_POLL_INTERVAL_MS || '300000')
+    },
+
+    // Persistent State
+    // Позиції, історія угод та лічильники зберігаються між рестартами
+    storage: {
+      filePath: env.STATE_FILE
+        ? path.resolve(env.STATE_FILE)
+        : path.join(__dirname, '../data/state.json')
+    },
+
+    // Config Reload
+    // Перезавантаження .env та файлу профілів без перезапуску: по SIGHUP, команді /reload
+    // та (CONFIG_RELOAD_WATCH) при зміні файлів — перевірка кожні CONFIG_RELOAD_WATCH_INTERVAL_MS
+    configReload: {
+      watch: env.CONFIG_RELOAD_WATCH !== 'false',
+      watchIntervalMs: parseInt(env.CONFIG_RELOAD_WATCH_INTERVAL_MS || '2000')
+    }
+  };
+
+  validateConfig(config);
+  return config;
+}
+
+/**
+ * Валідація конфігурації
+ */
+function validateConfig(config) {
+  if (config.risk.leverage <= 0 || config.risk.leverage > 100) {
+    throw new Error('LEVERAGE must be between 1 and 100');
+  }
+
+  for (const [name, mode] of [['SIZING_MODE', config.risk.sizingMode], ...Object.entries(config.risk.sizingModeBySymbol)]) {
+    if (!SIZING_MODES.includes(mode)) {
+      throw new Error(`${name === 'SIZING_MODE' ? name : `SIZING_MODE_BY_SYMBOL (${name})`} must be PERCENT_BALANCE, PERCENT_EQUITY, FIXED_USDT, RISK, ATR or SPREAD`);
+    }
+  }
+
+  if (!(config.risk.percentage > 0 && config.risk.percentage <= 100) ||
+      !(config.risk.fixedNotionalUSDT > 0) ||
+      !(config.risk.stopPercent > 0 && config.risk.stopPercent < 100)) {
+    throw new Error('RISK_PERCENTAGE must be between 0 and 100, SIZING_FIXED_USDT greater than 0, SIZING_STOP_PERCENT between 0 and 100');
+  }
+
+  if (!(config.risk.atrPeriod >= 1) || !(config.risk.atrTargetPercent > 0) || !(config.risk.spreadReferencePercent > 0)) {
+    throw new Error('SIZING_ATR_PERIOD must be at least 1, SIZING_ATR_TARGET_PERCENT and SIZING_SPREAD_REFERENCE_PERCENT greater than 0');
+  }
+
+  if (!(config.risk.minMultiplier > 0) || !(config.risk.maxMultiplier >= config.risk.minMultiplier)) {
+    throw new Error('SIZING_MIN_MULTIPLIER must be greater than 0 and not above SIZING_MAX_MULTIPLIER');
+  }
+
+  if (config.risk.positionSizePercent <= 0 || config.risk.positionSizePercent > 100) {
+    throw new Error('POSITION_SIZE_PERCENT must be between 0 and 100');
+  }
+
+  if (!['PERCENT', 'LIQUIDATION'].includes(config.protectiveStop.mode)) {
+    throw new Error('PROTECTIVE_STOP_MODE must be PERCENT or LIQUIDATION');
+  }
+
+  if (config.protectiveStop.percent <= 0 || config.protectiveStop.percent >= 100) {
+    throw new Error('PROTECTIVE_STOP_PERCENT must be between 0 and 100');
+  }
+
+  if (config.protectiveStop.liquidationBufferPercent < 0 || config.protectiveStop.liquidationBufferPercent >= 100) {
+    throw new Error('PROTECTIVE_STOP_LIQ_BUFFER_PERCENT must be between 0 and 100');
+  }
+
+  if (!['START_BALANCE', 'DAILY_PEAK'].includes(config.circuitBreaker.drawdownReference)) {
+    throw new Error('DRAWDOWN_REFERENCE must be START_BALANCE or DAILY_PEAK');
+  }
+
+  if (config.circuitBreaker.maxDailyLossUSDT < 0 ||
+      config.circuitBreaker.maxDailyLossPercent < 0 ||
+      config.circuitBreaker.maxDrawdownPercent < 0) {
+    throw new Error('MAX_DAILY_LOSS_USDT, MAX_DAILY_LOSS_PERCENT and MAX_DRAWDOWN_PERCENT must be 0 (disabled) or greater');
+  }
+
+  if (config.signalGuard.maxAgeSeconds < 0 ||
+      config.signalGuard.maxPriceDriftPercent < 0 ||
+      config.signalGuard.minSpreadPercent < 0) {
+    throw new Error('SIGNAL_MAX_AGE_SECONDS, SIGNAL_MAX_PRICE_DRIFT_PERCENT and SIGNAL_MIN_SPREAD_PERCENT must be 0 (disabled) or greater');
+  }
+
+  if (!(config.spreadVerification.tolerancePercent >= 0)) {
+    throw new Error('SPREAD_VERIFY_TOLERANCE_PERCENT must be 0 or greater');
+  }
+
+  if (!['TELEGRAM', 'INTERNAL', 'BOTH'].includes(config.signals.source)) {
+    throw new Error('SIGNAL_SOURCE must be TELEGRAM, INTERNAL or BOTH');
+  }
+
+  if (config.spreadMonitor.entryPercent <= 0 ||
+      config.spreadMonitor.exitPercent < 0 ||
+      config.spreadMonitor.exitPercent >= config.spreadMonitor.entryPercent) {
+    throw new Error('SPREAD_MONITOR_EXIT_PERCENT must be 0 or greater and below SPREAD_MONITOR_ENTRY_PERCENT');
+  }
+
+  if (config.spreadMonitor.pollIntervalMs < 1000 || config.spreadMonitor.confirmations < 1) {
+    throw new Error('SPREAD_MONITOR_POLL_INTERVAL_MS must be at least 1000 and SPREAD_MONITOR_CONFIRMATIONS at least 1');
+  }
+
+  if (!['LONG', 'SHORT'].includes(config.spreadMonitor.positiveDirection)) {
+    throw new Error('SPREAD_MONITOR_POSITIVE_DIRECTION must be LONG or SHORT');
+  }
+
+  if (!(config.spreadConvergedExit.percent >= 0)) {
+    throw new Error('SPREAD_CONVERGED_EXIT_PERCENT must be 0 or greater');
+  }
+
+  for (const [name, mode] of [
+    ['EXECUTION_ENTRY_MODE', config.execution.entryMode],
+    ['EXECUTION_EXIT_MODE', config.execution.exitMode],
+    ...Object.entries(config.execution.entryModeBySymbol).map(([symbol, mode]) => [`EXECUTION_ENTRY_MODE_BY_SYMBOL (${symbol})`, mode]),
+    ...Object.entries(config.execution.exitModeBySymbol).map(([symbol, mode]) => [`EXECUTION_EXIT_MODE_BY_SYMBOL (${symbol})`, mode])
+  ]) {
+    if (!EXECUTION_MODES.includes(mode)) {
+      throw new Error(`${name} must be MARKET or POST_ONLY`);
+    }
+  }
+
+  if (!['BEST', 'INDEX'].includes(config.execution.entryPrice)) {
+    throw new Error('EXECUTION_ENTRY_PRICE must be BEST or INDEX');
+  }
+
+  if (!['MARKET', 'CANCEL'].includes(config.execution.fallback)) {
+    throw new Error('EXECUTION_FALLBACK must be MARKET or CANCEL');
+  }
+
+  if (!(config.execution.chaseIntervalMs >= 500) ||
+      !(config.execution.maxChases >= 0) ||
+      !(config.execution.timeoutMs >= config.execution.chaseIntervalMs)) {
+    throw new Error('EXECUTION_CHASE_INTERVAL_MS must be at least 500, EXECUTION_MAX_CHASES 0 or greater and EXECUTION_TIMEOUT_MS not below the chase interval');
+  }
+
+  if (!(config.execution.maxSlippagePercent >= 0)) {
+    throw new Error('EXECUTION_MAX_SLIPPAGE_PERCENT must be 0 or greater');
+  }
+
+  if (!(config.scaleIn.maxAdds >= 1)) {
+    throw new Error('SCALE_IN_MAX_ADDS must be at least 1');
   }
-};
 
-// Валідація конфігурації
-if (config.risk.leverage <= 0 || config.risk.leverage > 100) {
-  throw new Error('LEVERAGE must be between 1 and 100');
+  if (!['FIXED', 'DECAY'].includes(config.scaleIn.sizeMode)) {
+    throw new Error('SCALE_IN_SIZE_MODE must be FIXED or DECAY');
+  }
+
+  if (!(config.scaleIn.sizePercent > 0) ||
+      !(config.scaleIn.decayFactor > 0 && config.scaleIn.decayFactor <= 1) ||
+      !(config.scaleIn.minSpreadStepPercent >= 0)) {
+    throw new Error('SCALE_IN_SIZE_PERCENT must be greater than 0, SCALE_IN_DECAY_FACTOR between 0 and 1, SCALE_IN_MIN_SPREAD_STEP_PERCENT 0 or greater');
+  }
+
+  if (!['IGNORE', 'CLOSE_ONLY', 'FLIP'].includes(config.reversal.policy)) {
+    throw new Error('REVERSAL_POLICY must be IGNORE, CLOSE_ONLY or FLIP');
+  }
+
+  if (!(config.exitPlan.signalClosePercent > 0 && config.exitPlan.signalClosePercent <= 100)) {
+    throw new Error('EXIT_PLAN_SIGNAL_CLOSE_PERCENT must be between 0 (exclusive) and 100');
+  }
+
+  if (!(config.exitPlan.remainderSpreadPercent >= 0) || !(config.exitPlan.remainderTimeoutMinutes >= 0)) {
+    throw new Error('EXIT_PLAN_REMAINDER_SPREAD_PERCENT and EXIT_PLAN_REMAINDER_TIMEOUT_MINUTES must be 0 or greater');
+  }
+
+  if (config.trading.maxDailyTrades <= 0) {
+    throw new Error('MAX_DAILY_TRADES must be greater than 0');
+  }
+
+  if (config.trading.maxOpenPositions <= 0) {
+    throw new Error('MAX_OPEN_POSITIONS must be greater than 0');
+  }
+
+  if (config.trading.maxHoldingMinutes < 0 || isNaN(config.trading.maxHoldingMinutes)) {
+    throw new Error('MAX_HOLDING_MINUTES must be 0 (disabled) or greater');
+  }
+
+  for (const [symbol, minutes] of Object.entries(config.trading.maxHoldingMinutesBySymbol)) {
+    if (isNaN(minutes) || minutes < 0) {
+      throw new Error(`MAX_HOLDING_MINUTES_BY_SYMBOL: invalid value for ${symbol}`);
+    }
+  }
+
+  if (!(config.trading.signalDedupWindowMinutes > 0)) {
+    throw new Error('SIGNAL_DEDUP_WINDOW_MINUTES must be greater than 0');
+  }
+
+  if (config.monitoring.pollIntervalMs < 1000) {
+    throw new Error('POSITION_POLL_INTERVAL_MS must be at least 1000');
+  }
+
+  if (config.paperTrading.initialBalance <= 0) {
+    throw new Error('PAPER_INITIAL_BALANCE must be greater than 0');
+  }
+
+  if (config.paperTrading.takerFeePercent < 0 || config.paperTrading.slippagePercent < 0 || config.paperTrading.makerFeePercent < 0) {
+    throw new Error('PAPER_TAKER_FEE_PERCENT, PAPER_MAKER_FEE_PERCENT and PAPER_SLIPPAGE_PERCENT must be 0 or greater');
+  }
+
+  if (config.tradingHours.startHour < 0 || config.tradingHours.startHour > 23) {
+    throw new Error('TRADING_START_HOUR must be between 0 and 23');
+  }
+
+  if (config.tradingHours.endHour < 0 || config.tradingHours.endHour > 23) {
+    throw new Error('TRADING_END_HOUR must be between 0 and 23');
+  }
+
+  if (!(config.configReload.watchIntervalMs >= 500)) {
+    throw new Error('CONFIG_RELOAD_WATCH_INTERVAL_MS must be at least 500');
+  }
 }
 
-if (config.risk.positionSizePercent <= 0 || config.risk.positionSizePercent > 100) {
-  throw new Error('POSITION_SIZE_PERCENT must be between 0 and 100');
+export const config = buildConfig(process.env);
+
+/**
+ * Ефективний профіль символу: symbols.<SYMBOL> файлу профілів → defaults файлу → змінні оточення.
+ * Читається на кожен сигнал, тому зміни config підхоплюються без перезапуску.
+ *
+ * @returns {Object} { symbol, enabled, leverage, sizingMode, maxHoldingMinutes, entryMode, minSpreadPercent }
+ */
+export function getSymbolProfile(symbol) {
+  const { risk, execution, signalGuard, trading, profiles } = config;
+  const maxHoldingBySymbol = trading.maxHoldingMinutesBySymbol[symbol];
+
+  const fromEnv = {
+    enabled:           trading.allowedSymbols.map(s => s.toUpperCase()).includes(symbol),
+    leverage:          risk.leverage,
+    sizingMode:        risk.sizingModeBySymbol[symbol] || risk.sizingMode,
+    maxHoldingMinutes: maxHoldingBySymbol !== undefined ? maxHoldingBySymbol : trading.maxHoldingMinutes,
+    entryMode:         execution.entryModeBySymbol[symbol] || execution.entryMode,
+    minSpreadPercent:  signalGuard.minSpreadPercent
+  };
+
+  return { symbol, ...fromEnv, ...profiles.defaults, ...profiles.symbols[symbol] };
+}
+
+/**
+ * Символи, дозволені для торгівлі: ALLOWED_SYMBOLS та символи файлу профілів з enabled
+ */
+export function getEnabledSymbols() {
+  const symbols = new Set([
+    ...config.trading.allowedSymbols.map(s => s.toUpperCase()),
+    ...Object.keys(config.profiles.symbols)
+  ]);
+
+  return [...symbols].filter(symbol => getSymbolProfile(symbol).enabled);
 }
 
-if (config.trading.maxDailyTrades <= 0) {
-  throw new Error('MAX_DAILY_TRADES must be greater than 0');
+// Поля, що застосовуються лише після перезапуску: клієнти API, з'єднання, таймери та стан біржі
+const RESTART_REQUIRED = [
+  'bybit', 'telegram.enabled', 'telegram.botToken', 'telegram.channelId', 'telegram.apiUrl',
+  'signals', 'spreadMonitor.pollIntervalMs', 'trading.dryRun', 'paperTrading', 'monitoring',
+  'storage', 'configReload'
+];
+
+// Значення не показуються в diff
+const SECRET_FIELDS = ['bybit.apiKey', 'bybit.apiSecret', 'telegram.botToken'];
+
+const matchesPath = (key, paths) => paths.some(p => key === p || key.startsWith(`${p}.`));
+
+/**
+ * Розгортає конфігурацію в плоску мапу "risk.leverage" → значення (масиви — як одне значення)
+ */
+function flattenConfig(object, prefix = '', result = {}) {
+  for (const [name, value] of Object.entries(object)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenConfig(value, key, result);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
 }
 
-if (config.trading.maxOpenPositions <= 0) {
-  throw new Error('MAX_OPEN_POSITIONS must be greater than 0');
+function getPath(object, key) {
+  return key.split('.').reduce((value, name) => value?.[name], object);
 }
 
-if (config.tradingHours.startHour < 0 || config.tradingHours.startHour > 23) {
-  throw new Error('TRADING_START_HOUR must be between 0 and 23');
+function setPath(object, key, value) {
+  const names = key.split('.');
+  const target = names.slice(0, -1).reduce((value, name) => value[name], object);
+  target[names.at(-1)] = value;
 }
 
-if (config.tradingHours.endHour < 0 || config.tradingHours.endHour > 23) {
-  throw new Error('TRADING_END_HOUR must be between 0 and 23');
+/**
+ * Перечитує .env та файл профілів, валідує нову конфігурацію і підміняє нею поточну.
+ *
+ * Розділи config замінюються разом, синхронно, тому наступні сигнали бачать або стару,
+ * або нову конфігурацію цілком. Поля з RESTART_REQUIRED зберігають старі значення.
+ * Невалідна конфігурація кидає Error — поточна лишається без змін.
+ *
+ * @returns {Object} { changes, restartRequired } — списки { key, from, to }
+ */
+export function reloadConfig() {
+  const fileEnv = fs.existsSync(envFilePath) ? dotenv.parse(fs.readFileSync(envFilePath)) : {};
+  const next = buildConfig({ ...fileEnv, ...processEnv });
+
+  const before = flattenConfig(config);
+  const after = flattenConfig(next);
+  const changes = [];
+  const restartRequired = [];
+
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+
+    const secret = matchesPath(key, SECRET_FIELDS);
+    const change = { key, from: secret ? '***' : before[key], to: secret ? '***' : after[key] };
+    (matchesPath(key, RESTART_REQUIRED) ? restartRequired : changes).push(change);
+  }
+
+  for (const key of RESTART_REQUIRED) {
+    setPath(next, key, getPath(config, key));
+  }
+  validateConfig(next);
+
+  Object.assign(config, next);
+  return { changes, restartRequired };
+}
+
+let watchedFiles = [];
+let sighupHandler = null;
+
+/**
+ * Перезавантажує конфігурацію по SIGHUP та (config.configReload.watch) при зміні .env
+ * або файлу профілів.
+ *
+ * @param {Function} onReload — ({ source, changes, restartRequired }) або ({ source, error })
+ */
+export function watchConfig(onReload) {
+  unwatchConfig();
+
+  const reload = source => {
+    try {
+      onReload({ source, ...reloadConfig() });
+    } catch (error) {
+      onReload({ source, error });
+    }
+  };
+
+  sighupHandler = () => reload('SIGHUP');
+  process.on('SIGHUP', sighupHandler);
+
+  if (!config.configReload.watch) return;
+
+  watchedFiles = [envFilePath, getProfilesPath(process.env)];
+  for (const file of watchedFiles) {
+    // watchFile (stat) переживає заміну файлу редактором, на відміну від fs.watch
+    fs.watchFile(file, { interval: config.configReload.watchIntervalMs }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        reload(`${path.basename(file)} changed`);
+      }
+    });
+  }
+}
+
+export function unwatchConfig() {
+  for (const file of watchedFiles) {
+    fs.unwatchFile(file);
+  }
+  watchedFiles = [];
+
+  if (sighupHandler) {
+    process.off('SIGHUP', sighupHandler);
+    sighupHandler = null;
+  }
 }
 
 export default config;
@@ -1,18 +1,26 @@
 import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
 
 // 🔹 Завантажуємо .env ТІЛЬКИ локально
 if (process.env.NODE_ENV !== 'production') {
   dotenv.config();
 }
 
-import { config } from './config/settings.js';
+import { config, getEnabledSymbols, getSymbolProfile, reloadConfig, unwatchConfig, watchConfig } from './config/settings.js';
 import logger from './utils/logger.js';
 import bybitService from './services/bybit.service.js';
 import telegramService from './services/telegram.service.js';
 import positionService from './services/position.service.js';
 import riskService from './services/risk.service.js';
-import { isTradingHoursActive, getTradingHoursInfo } from './services/time.service.js';
-import { isSymbolAllowed, getCurrentDate } from './utils/helpers.js';
+import storageService from './services/storage.service.js';
+import bybitStreamService from './services/bybit-stream.service.js';
+import circuitBreakerService from './services/circuit-breaker.service.js';
+import signalDedupService from './services/signal-dedup.service.js';
+import spreadMonitorService from './services/spread-monitor.service.js';
+import orderExecutionService from './services/order-execution.service.js';
+import { getTradingHoursInfo } from './services/time.service.js';
+import { validateSignalRules } from './services/signal-validation.service.js';
+import { calculateAtrPercent, getCurrentDate, roundToDecimal } from './utils/helpers.js';
 
 
 // Статистика
@@ -29,6 +37,65 @@ const statistics = {
   lastResetDate: getCurrentDate()
 };
 
+// Стан керування ботом (змінюється командами адміністратора)
+const tradingState = {
+  paused: false // true — OPEN сигнали ігноруються, CLOSE обробляються
+};
+
+/**
+ * Відновлює статистику зі сховища (лічильники переживають рестарт)
+ */
+function restoreStatistics() {
+  const saved = storageService.get('statistics');
+  if (saved) {
+    Object.assign(statistics, saved);
+    logger.info(
+      `[INIT] Restored statistics: ${statistics.totalTrades} trades, ` +
+      `${statistics.dailyTrades} today (${statistics.lastResetDate})`
+    );
+  }
+
+  Object.assign(tradingState, storageService.get('tradingState', {}));
+  if (tradingState.paused) {
+    logger.warn('[INIT] Trading is PAUSED (restored from state) — OPEN signals will be ignored');
+  }
+}
+
+/**
+ * Записує статистику у сховище
+ */
+function saveStatistics() {
+  storageService.set('statistics', statistics);
+}
+
+/**
+ * Скидає щоденні лічильники, якщо настав новий день (UTC)
+ */
+function resetDailyStatisticsIfNeeded() {
+  const currentDate = getCurrentDate();
+
+  if (currentDate !== statistics.lastResetDate) {
+    statistics.dailyTrades = 0;
+    statistics.signalsIgnored = 0;
+    statistics.lastResetDate = currentDate;
+    positionService.resetDailyStatistics();
+    saveStatistics();
+  }
+}
+
+/**
+ * Відновлює стан після рестарту з файлу стану (STATE_FILE): статистику, паузу,
+ * відкриті позиції, circuit breaker та вікно дедуплікації сигналів
+ */
+function restoreState() {
+  storageService.load();
+  restoreStatistics();
+  positionService.restoreState();
+  circuitBreakerService.restoreState();
+  signalDedupService.restoreState();
+  resetDailyStatisticsIfNeeded();
+}
+
 /**
  * Ініціалізація бота
  */
@@ -38,36 +105,65 @@ async function initialize() {
     logger.info('Starting Bybit Futures Trading Bot...');
     logger.info('='.repeat(50));
 
+    // Відновлюємо стан після рестарту
+    restoreState();
+
     // Підключення до Bybit
     await bybitService.connect();
 
-    // Отримуємо початковий баланс
-    statistics.startBalance = await bybitService.getUSDTBalance();
-    statistics.currentBalance = statistics.startBalance;
+    // Отримуємо початковий баланс (зберігаємо збережений, якщо він є)
+    statistics.currentBalance = await bybitService.getUSDTBalance();
+    if (!statistics.startBalance) {
+      statistics.startBalance = statistics.currentBalance;
+    }
+    saveStatistics();
+
+    // Circuit breaker: реалізований P&L закритих позицій та просадка equity
+    circuitBreakerService.setReferenceBalance(statistics.startBalance);
+    circuitBreakerService.onTrip(handleCircuitBreakerTrip);
+    positionService.onPositionClosed((position) => circuitBreakerService.recordClosedPnl(position.pnl));
 
     logger.info(`[INIT] Starting balance: ${statistics.startBalance} USDT`);
-    logger.info(`[INIT] Dry Run mode: ${config.trading.dryRun ? 'ENABLED' : 'DISABLED'}`);
-    logger.info(`[INIT] Allowed symbols: ${config.trading.allowedSymbols.join(', ')}`);
+    logger.info(`[INIT] Paper trading (DRY_RUN): ${config.trading.dryRun ? 'ENABLED' : 'DISABLED'}`);
+    logger.info(`[INIT] Signal source: ${config.signals.source}`);
+    logger.info(`[INIT] Allowed symbols: ${getEnabledSymbols().join(', ')}`);
+    if (config.profiles.filePath) {
+      logger.info(`[INIT] Symbol profiles: ${config.profiles.filePath} (${Object.keys(config.profiles.symbols).join(', ') || 'defaults only'})`);
+    }
     logger.info(`[INIT] Position size: ${config.risk.positionSizePercent}%, Leverage: ${config.risk.leverage}x`);
     logger.info(`[INIT] Trading hours: ${config.tradingHours.startHour}:00-${config.tradingHours.endHour}:00 UTC`);
 
-    // Реєструємо обробник сигналів
-    telegramService.onSignal(handleSignal);
+    // Звіряємо позиції з біржею ДО прийому сигналів
+    await reconcilePositions();
 
-    // Запускаємо моніторинг позицій
-    positionService.startMonitoring(30000); // Перевірка кожні 30 секунд
+    // Реєструємо джерела сигналів та команди адміністратора
+    const { source } = config.signals;
+    if (source === 'TELEGRAM' || source === 'BOTH') {
+      telegramService.onSignal(handleSignal);
+    }
+    if (source === 'INTERNAL' || source === 'BOTH') {
+      spreadMonitorService.onSignal(handleSignal);
+      spreadMonitorService.start();
+    }
+    registerAdminCommands();
+
+    // Перезавантаження конфігурації без перезапуску (SIGHUP / зміна .env чи файлу профілів)
+    watchConfig(announceConfigReload);
+
+    // Запускаємо моніторинг позицій (WebSocket + polling як fallback)
+    await startPositionStream();
+    positionService.startMonitoring(config.monitoring.pollIntervalMs);
 
     // Відправляємо повідомлення про запуск
-    if (!config.trading.dryRun) {
-      await telegramService.sendMessage(
-        config.telegram.channelId,
-        `🤖 <b>TRADING BOT STARTED</b>\n\n` +
-        `Balance: ${statistics.startBalance.toFixed(2)} USDT\n` +
-        `Mode: ${config.trading.dryRun ? 'DRY RUN' : 'LIVE TRADING'}\n` +
-        `Position size: ${config.risk.positionSizePercent}% | Leverage: ${config.risk.leverage}x\n` +
-        `Trading hours: ${config.tradingHours.startHour}:00-${config.tradingHours.endHour}:00 UTC`
-      );
-    }
+    await telegramService.sendMessage(
+      config.telegram.channelId,
+      `🤖 <b>TRADING BOT STARTED</b>\n\n` +
+      `Balance: ${statistics.startBalance.toFixed(2)} USDT\n` +
+      `Mode: ${config.trading.dryRun ? 'PAPER TRADING' : 'LIVE TRADING'}\n` +
+      `Signal source: ${config.signals.source}\n` +
+      `Position size: ${config.risk.positionSizePercent}% | Leverage: ${config.risk.leverage}x\n` +
+      `Trading hours: ${config.tradingHours.startHour}:00-${config.tradingHours.endHour}:00 UTC`
+    );
 
     logger.info('[INIT] ✅ Bot initialized and ready to trade');
 
@@ -80,16 +176,85 @@ async function initialize() {
   }
 }
 
+/**
+ * Звіряє відстежувані позиції з біржею та відправляє звіт у Telegram.
+ * У DRY_RUN звірка йде з віртуальною біржею.
+ */
+async function reconcilePositions() {
+  const result = await positionService.reconcileWithExchange();
+
+  const hasChanges =
+    result.confirmed.length + result.adopted.length +
+    result.closed.length + result.unknown.length > 0;
+
+  if (hasChanges) {
+    try {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatReconciliationMessage(result)
+      );
+    } catch (telegramError) {
+      logger.error(`[INIT] Error sending reconciliation message: ${telegramError.message}`);
+    }
+  }
+}
+
+/**
+ * Підключає приватний WebSocket-стрім Bybit до positionService.
+ * Якщо стрім вимкнений або не підключився — працює лише polling.
+ */
+async function startPositionStream() {
+  if (config.trading.dryRun || !config.bybit.wsEnabled) {
+    logger.info('[INIT] WebSocket stream disabled — using polling only');
+    return;
+  }
+
+  bybitStreamService.on('status', (isConnected) => positionService.setStreamStatus(isConnected));
+  bybitStreamService.on('position', (position) => positionService.handleStreamPositionUpdate(position));
+  bybitStreamService.on('execution', (execution) => positionService.handleStreamExecution(execution));
+  bybitStreamService.on('order', (order) => {
+    logger.info(`[STREAM] Order ${order.orderId} ${order.symbol} ${order.side}: ${order.orderStatus}`);
+  });
+  bybitStreamService.on('wallet', async ({ balance, equity }) => {
+    if (balance !== null) {
+      statistics.currentBalance = balance;
+    }
+    if (equity !== null) {
+      await circuitBreakerService.updateEquity(equity);
+    }
+  });
+
+  try {
+    await bybitStreamService.start();
+  } catch (error) {
+    logger.error(`[INIT] WebSocket stream failed to start: ${error.message} — using polling`);
+  }
+}
+
 /**
  * Обробка торговельного сигналу від Spread Monitor Bot.
  *
  * Розгалуження:
  *   - signal.type === 'OPEN'  → openPosition()
  *   - signal.type === 'CLOSE' → closePosition()
+ *
+ * @returns {boolean} true — OPEN прийнято й позицію відкрито / збільшено (для spreadMonitorService)
  */
 async function handleSignal(signal) {
   try {
+    // Повторна публікація / доставка того самого сигналу — відкидаємо
+    const dedup = signalDedupService.register(signal);
+    if (dedup.duplicate) {
+      logger.warn(
+        `[SIGNAL] Duplicate ${signal.type} ${signal.symbol} ${signal.direction} ` +
+        `(id ${dedup.signalId}, first seen ${new Date(dedup.firstSeenAt).toISOString()}) — ignoring`
+      );
+      return;
+    }
+    signal.id = dedup.signalId;
+
     statistics.totalSignals++;
+    saveStatistics();
 
     const { type, symbol, direction, timestamp } = signal;
 
@@ -104,30 +269,40 @@ async function handleSignal(signal) {
         logger.warn(`[SIGNAL] Validation failed: ${validation.reason}`);
 
         try {
-          if (!config.trading.dryRun) {
-            await telegramService.sendMessage(
-              config.telegram.channelId,
-              telegramService.formatSignalIgnoredMessage(
-                symbol,
-                direction,
-                validation.reason,
-                validation.info
-              )
-            );
-          }
+          await telegramService.sendMessage(
+            config.telegram.channelId,
+            telegramService.formatSignalIgnoredMessage(
+              symbol,
+              direction,
+              validation.reason,
+              validation.info
+            )
+          );
         } catch (telegramError) {
           logger.error(`[SIGNAL] Error sending ignored message: ${telegramError.message}`);
         }
 
         if (validation.reason.includes('trading hours')) {
           statistics.signalsIgnored++;
+          saveStatistics();
+        }
+
+        if (validation.retryable) {
+          signalDedupService.forget(signal.id);
         }
 
         return;
       }
 
-      // Відкриваємо позицію
-      await openPosition(signal);
+      // Відкриваємо позицію, докуповуємо (config.scaleIn) або розвертаємо відкриту (config.reversal)
+      if (validation.reversal) {
+        return await reversePosition(signal, validation.reversal, validation.fairPrice);
+      } else if (validation.scaleIn) {
+        await scaleInPosition(signal, validation.scaleIn, validation.fairPrice);
+      } else {
+        await openPosition(signal, validation.fairPrice);
+      }
+      return true;
     }
 
     // --- CLOSE сигнал ---
@@ -140,20 +315,29 @@ async function handleSignal(signal) {
     }
 
   } catch (error) {
+    // Bybit відхилив повтор ордера з тим самим orderLinkId — сигнал вже виконано
+    if (bybitService.isDuplicateOrderError(error)) {
+      logger.warn(`[SIGNAL] Order for signal ${signal.id} was already submitted — ignoring duplicate`);
+      return;
+    }
+
+    // Сигнал не виконано — повторна доставка має оброблятися, а не відкидатися як дубль
+    if (signal.id) {
+      signalDedupService.forget(signal.id);
+    }
+
     logger.error(`[SIGNAL] Error handling signal: ${error.message}`);
     logger.error(`[SIGNAL] Stack trace: ${error.stack}`);
 
     try {
-      if (!config.trading.dryRun) {
-        await telegramService.sendMessage(
-          config.telegram.channelId,
-          `❌ <b>ERROR PROCESSING SIGNAL</b>\n\n` +
-          `Type: ${signal.type || 'UNKNOWN'}\n` +
-          `Symbol: ${signal.symbol || 'UNKNOWN'}\n` +
-          `Direction: ${signal.direction || 'UNKNOWN'}\n` +
-          `Error: ${error.message}`
-        );
-      }
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        `❌ <b>ERROR PROCESSING SIGNAL</b>\n\n` +
+        `Type: ${signal.type || 'UNKNOWN'}\n` +
+        `Symbol: ${signal.symbol || 'UNKNOWN'}\n` +
+        `Direction: ${signal.direction || 'UNKNOWN'}\n` +
+        `Error: ${error.message}`
+      );
     } catch (telegramError) {
       logger.error(`[SIGNAL] Error sending error message: ${telegramError.message}`);
     }
@@ -164,117 +348,66 @@ async function handleSignal(signal) {
  * Валідація сигналу перед відкриттям позиції
  */
 async function validateSignal(signal) {
-  const { symbol, direction } = signal;
-
-  // 1. Перевірка символу
-  if (!isSymbolAllowed(symbol, config.trading.allowedSymbols.join(','))) {
-    return {
-      valid: false,
-      reason: `Symbol ${symbol} not in allowed list`,
-      info: {}
-    };
-  }
-
-  // 2. Перевірка напрямку
-  if (direction !== 'LONG' && direction !== 'SHORT') {
+  // 0. Пауза, встановлена адміністратором (/pause)
+  if (tradingState.paused) {
     return {
       valid: false,
-      reason: `Invalid direction: ${direction}`,
+      reason: 'Trading paused by admin',
       info: {}
     };
   }
 
-  // 3. Перевірка торговельних годин
-  if (!isTradingHoursActive()) {
-    const hoursInfo = getTradingHoursInfo();
-    return {
-      valid: false,
-      reason: 'Outside trading hours',
-      info: {
-        currentTime: `${hoursInfo.currentHour}:${String(hoursInfo.currentMinute).padStart(2, '0')}`,
-        tradingHours: `${hoursInfo.startHour}:00-${hoursInfo.endHour}:00`,
-        nextTrading: hoursInfo.nextTradingIn
-      }
-    };
-  }
-
-  // 4. Перевірка відкритих позицій
-  if (positionService.hasOpenPosition(symbol)) {
-    return {
-      valid: false,
-      reason: `Open position already exists for ${symbol}`,
-      info: {}
-    };
-  }
-
-  // 5. Перевірка максимальної кількості відкритих позицій
-  if (positionService.getOpenPositionsCount() >= config.trading.maxOpenPositions) {
-    return {
-      valid: false,
-      reason: `Maximum open positions (${config.trading.maxOpenPositions}) reached`,
-      info: {}
-    };
-  }
-
-  // 6. Перевірка максимальної кількості угод на день
-  if (statistics.dailyTrades >= config.trading.maxDailyTrades) {
-    return {
-      valid: false,
-      reason: `Maximum daily trades (${config.trading.maxDailyTrades}) reached`,
-      info: {}
-    };
-  }
-
-  // 7. Перевірка балансу
-  try {
-    const balance = await bybitService.getUSDTBalance();
-    statistics.currentBalance = balance;
-
-    if (balance <= 0) {
-      return {
-        valid: false,
-        reason: 'Insufficient balance',
-        info: {}
-      };
+  // 0.1. Circuit breaker (денний збиток / просадка)
+  if (config.circuitBreaker.maxDrawdownPercent > 0) {
+    try {
+      await circuitBreakerService.updateEquity(await bybitService.getUSDTEquity());
+    } catch (error) {
+      logger.error(`[SIGNAL] Error updating equity for circuit breaker: ${error.message}`);
     }
-  } catch (error) {
-    return {
-      valid: false,
-      reason: `Error checking balance: ${error.message}`,
-      info: {}
-    };
   }
 
-  // 8. Перевірка що символ існує та торгується
-  try {
-    const symbolInfo = await bybitService.getSymbolInfo(symbol);
-    if (symbolInfo.status !== 'Trading') {
-      return {
-        valid: false,
-        reason: `Symbol ${symbol} is not trading`,
-        info: {}
-      };
-    }
-  } catch (error) {
+  const breaker = circuitBreakerService.getStatus();
+  if (breaker.tripped) {
     return {
       valid: false,
-      reason: `Symbol ${symbol} not found or error: ${error.message}`,
+      reason: `Circuit breaker tripped: ${breaker.reason}`,
       info: {}
     };
   }
 
-  return { valid: true };
+  // 1-8. Спільні правила (ті ж самі використовує бектест)
+  return validateSignalRules(signal, {
+    now: new Date(),
+    hasOpenPosition: (symbol, direction) => positionService.hasOpenPosition(symbol, direction),
+    getOpenPosition: (symbol, direction) => positionService.getOpenPosition(symbol, direction),
+    openPositionsCount: positionService.getOpenPositionsCount(),
+    dailyTrades: statistics.dailyTrades,
+    getBalance: async () => {
+      const balance = await bybitService.getUSDTBalance();
+      statistics.currentBalance = balance;
+      return balance;
+    },
+    getSymbolInfo: (symbol) => bybitService.getSymbolInfo(symbol),
+    getTicker: (symbol) => bybitService.getFairPriceSpread(symbol)
+  });
 }
 
 /**
  * Відкриття позиції по OPEN сигналу.
- * TP/SL НЕ встановлюються — позиція закривається виключно по CLOSE сигналу.
+ * TP НЕ встановлюється — позиція закривається по CLOSE сигналу.
+ * SL — лише опційний аварійний стоп (config.protectiveStop).
+ *
+ * @param {Object} options — { notify } — false: без повідомлення (розворот звітує сам)
+ * @returns {Object} дані відкритої позиції (як у повідомленні POSITION OPENED)
  */
-async function openPosition(signal) {
+async function openPosition(signal, fairPrice = null, options = {}) {
+  const { notify = true } = options;
   const { symbol, direction, timestamp } = signal;
 
   try {
-    logger.info(`[TRADE] Opening position: ${symbol} ${direction}`);
+    // Ефективний профіль символу: плече та режим розміру (config.profiles → змінні оточення)
+    const profile = getSymbolProfile(symbol);
+    logger.info(`[TRADE] Opening position: ${symbol} ${direction} (${profile.sizingMode}, ${profile.leverage}x)`);
 
     // Отримуємо поточний баланс
     const balance = await bybitService.getUSDTBalance();
@@ -286,12 +419,13 @@ async function openPosition(signal) {
     // Отримуємо інформацію про символ
     const symbolInfo = await bybitService.getSymbolInfo(symbol);
 
-    // Розраховуємо параметри позиції (БЕЗ TP/SL)
+    // Розраховуємо параметри позиції (БЕЗ TP/SL) за режимом розміру профілю
     const positionParams = riskService.calculatePositionParameters(
       balance,
       currentPrice,
       direction,
-      symbolInfo
+      symbolInfo,
+      await getSizingInputs(profile, signal)
     );
 
     // Перевірка достатності балансу
@@ -302,50 +436,32 @@ async function openPosition(signal) {
       );
     }
 
-    if (config.trading.dryRun) {
-      // DRY RUN режим - тільки логування
-      logger.info('[DRY RUN] Would open position:');
-      logger.info(`  Symbol: ${symbol}`);
-      logger.info(`  Direction: ${direction}`);
-      logger.info(`  Entry Price: ${positionParams.entryPrice}`);
-      logger.info(`  Quantity: ${positionParams.quantity}`);
-      logger.info(`  Position Size: ${positionParams.positionSizeUSDT} USDT`);
-      logger.info(`  Required Margin: ${positionParams.requiredMargin} USDT`);
-
-      // Симулюємо успішне відкриття
-      positionService.addOpenPosition({
-        symbol,
-        direction,
-        entryPrice: positionParams.entryPrice,
-        quantity: positionParams.quantity,
-        orderId: 'DRY_RUN_' + Date.now(),
-        timestamp,
-        positionSizeUSDT: positionParams.positionSizeUSDT
-      });
-
-      statistics.totalTrades++;
-      statistics.dailyTrades++;
-
-      return;
-    }
-
-    // Реальна торгівля
-    // 1. Встановлюємо плече
-    await bybitService.setLeverage(symbol, config.risk.leverage);
+    // 1. Встановлюємо плече (у DRY_RUN — на віртуальній біржі)
+    await bybitService.setLeverage(symbol, profile.leverage);
 
-    // 2. Відкриваємо Market ордер
+    // 2. Відкриваємо ордер (Market або PostOnly з погонею — config.execution)
     const side = direction === 'LONG' ? 'Buy' : 'Sell';
     const positionIdx = bybitService.getPositionIdx(direction);
-    const orderResult = await bybitService.openMarketOrder(
+    const orderResult = await orderExecutionService.openPosition(
       symbol,
       side,
       positionParams.quantity,
-      positionIdx
+      positionIdx,
+      {
+        orderLinkId: signalDedupService.getOrderLinkId(signal.id),
+        indexPrice:  fairPrice?.indexPrice || signal.indexPrice
+      }
     );
 
-    // 3. TP/SL НЕ встановлюються — позиція закривається по CLOSE сигналу
+    // Відстежуємо фактичне виконання: кількість, середньозважену ціну та комісію
+    const requestedQuantity = positionParams.quantity;
+    if (orderResult.avgPrice) {
+      positionParams.entryPrice = orderResult.avgPrice;
+    }
+    positionParams.quantity = orderResult.quantity;
+    positionParams.positionSizeUSDT = orderResult.quantity * positionParams.entryPrice;
 
-    // 4. Додаємо позицію до моніторингу
+    // 3. Додаємо позицію до моніторингу
     positionService.addOpenPosition({
       symbol,
       direction,
@@ -354,111 +470,353 @@ async function openPosition(signal) {
       orderId: orderResult.orderId,
       timestamp,
       positionIdx: positionIdx,
-      positionSizeUSDT: positionParams.positionSizeUSDT
+      positionSizeUSDT: positionParams.positionSizeUSDT,
+      requestedQuantity,
+      entryFee: orderResult.fee,
+      entryOrderIds: orderResult.orderIds,
+      spread: signal.spread,
+      fairPrice
     });
 
+    // 4. TP не встановлюється — позиція закривається по CLOSE сигналу.
+    //    Опційно ставимо аварійний stop-loss на біржі (config.protectiveStop)
+    const stopLoss = await positionService.placeProtectiveStop(symbol, direction);
+    if (config.protectiveStop.enabled && !stopLoss) {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        `⚠️ <b>PROTECTIVE STOP NOT SET</b>\n\n` +
+        `Symbol: ${symbol}\n` +
+        `Direction: ${direction}\n` +
+        `Position is open without exchange-side stop-loss`
+      ).catch(telegramError => logger.error(`[TRADE] Error sending stop warning: ${telegramError.message}`));
+    }
+
     // 5. Оновлюємо статистику
     statistics.totalTrades++;
     statistics.dailyTrades++;
+    saveStatistics();
 
     // 6. Відправляємо повідомлення в Telegram
+    const openedData = {
+      ...positionParams,
+      requestedQuantity,
+      entryFee: orderResult.fee,
+      stopLoss,
+      fairPrice,
+      balance,
+      timestamp
+    };
+    if (notify) {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatPositionOpenedMessage(openedData)
+      );
+    }
+
+    logger.info(`[TRADE] ✅ Position opened successfully: ${symbol} ${direction}`);
+    return openedData;
+
+  } catch (error) {
+    logger.error(`[TRADE] Error opening position: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Вхідні дані для режиму розміру позиції за профілем символу: equity, ATR з klines Bybit, SPREAD сигналу.
+ * Недоступні дані не зупиняють вхід — riskService розрахує розмір без відповідного множника.
+ */
+async function getSizingInputs(profile, signal) {
+  const { symbol, sizingMode: mode, leverage } = profile;
+  const sizing = { mode, leverage, spread: signal.spread };
+
+  try {
+    if (['PERCENT_EQUITY', 'RISK', 'ATR'].includes(mode)) {
+      sizing.equity = await bybitService.getUSDTEquity();
+    }
+
+    if (mode === 'ATR') {
+      const { atrInterval, atrPeriod } = config.risk;
+      const klines = await bybitService.getKlines(symbol, atrInterval, atrPeriod + 1);
+      sizing.atrPercent = calculateAtrPercent(klines, atrPeriod);
+    }
+  } catch (error) {
+    logger.warn(`[TRADE] Sizing inputs for ${symbol} incomplete: ${error.message}`);
+  }
+
+  return sizing;
+}
+
+/**
+ * Докупівля відкритої позиції по повторному OPEN сигналу (config.scaleIn).
+ * Позиція зберігає середньозважену ціну входу, загальну кількість та список входів;
+ * CLOSE сигнал закриває її повністю.
+ */
+async function scaleInPosition(signal, scaleIn, fairPrice = null) {
+  const { symbol, direction, timestamp } = signal;
+  const { position, addNumber } = scaleIn;
+
+  try {
+    logger.info(`[TRADE] Scaling in: ${symbol} ${direction} (add ${addNumber}/${config.scaleIn.maxAdds})`);
+
+    const balance = await bybitService.getUSDTBalance();
+    statistics.currentBalance = balance;
+
+    const currentPrice = await bybitService.getCurrentPrice(symbol);
+    const symbolInfo = await bybitService.getSymbolInfo(symbol);
+
+    const params = riskService.calculateScaleInParameters(position, addNumber, currentPrice, symbolInfo);
+
+    if (!riskService.hasSufficientBalance(balance, params.requiredMargin)) {
+      throw new Error(
+        `Insufficient balance. Required: ${params.requiredMargin.toFixed(4)} USDT, ` +
+        `Available: ${balance.toFixed(4)} USDT`
+      );
+    }
+
+    // 1. Докупівля в ту ж ногу позиції
+    const side = direction === 'LONG' ? 'Buy' : 'Sell';
+    const orderResult = await orderExecutionService.openPosition(
+      symbol,
+      side,
+      params.quantity,
+      position.positionIdx,
+      {
+        orderLinkId: signalDedupService.getOrderLinkId(signal.id),
+        indexPrice:  fairPrice?.indexPrice || signal.indexPrice
+      }
+    );
+
+    // 2. Оновлюємо позицію фактичним виконанням
+    const updatedPosition = positionService.addScaleInLeg(symbol, direction, {
+      quantity:          orderResult.quantity,
+      entryPrice:        orderResult.avgPrice || currentPrice,
+      fee:               orderResult.fee,
+      orderIds:          orderResult.orderIds,
+      requestedQuantity: params.quantity,
+      spread:            signal.spread,
+      timestamp
+    });
+
+    // 3. Середня ціна входу змінилась — переставляємо аварійний стоп
+    const stopLoss = await positionService.placeProtectiveStop(symbol, direction);
+
     await telegramService.sendMessage(
       config.telegram.channelId,
-      telegramService.formatPositionOpenedMessage({
-        ...positionParams,
-        balance,
+      telegramService.formatScaleInMessage({
+        symbol,
+        direction,
+        addNumber,
+        maxAdds:           config.scaleIn.maxAdds,
+        entryPrice:        orderResult.avgPrice || currentPrice,
+        quantity:          orderResult.quantity,
+        requestedQuantity: params.quantity,
+        entryFee:          orderResult.fee,
+        spread:            signal.spread,
+        position:          updatedPosition,
+        stopLoss,
         timestamp
       })
     );
 
-    logger.info(`[TRADE] ✅ Position opened successfully: ${symbol} ${direction}`);
+    logger.info(`[TRADE] ✅ Position scaled in: ${symbol} ${direction} → ${updatedPosition.quantity} @ ${updatedPosition.entryPrice}`);
 
   } catch (error) {
-    logger.error(`[TRADE] Error opening position: ${error.message}`);
+    logger.error(`[TRADE] Error scaling in position: ${error.message}`);
     throw error;
   }
 }
 
 /**
- * Закриття позиції по CLOSE сигналу від Spread Monitor Bot.
+ * Розворот позиції по OPEN сигналу протилежного напрямку (ONE_WAY, config.reversal).
  *
  * Логіка:
- *   1. Перевіряє наявність відкритої позиції через positionService
- *   2. Якщо є — закриває Market ордером з reduceOnly: true
- *   3. Відправляє повідомлення в Telegram
- *   4. Видаляє позицію з positionService
+ *   1. Закриває наявну позицію reduce-only Market ордером
+ *   2. Чекає, поки біржа підтвердить, що позиція нульова, та записує закриття
+ *   3. FLIP — відкриває новий напрямок з розміром, розрахованим заново riskService
+ *   4. Відправляє одне повідомлення про весь розворот
+ *
+ * @returns {boolean} чи відкрито новий напрямок
  */
-async function closePosition(signal) {
+async function reversePosition(signal, reversal, fairPrice = null) {
   const { symbol, direction } = signal;
+  const { position, policy } = reversal;
+  const closeSide = position.direction === 'LONG' ? 'Sell' : 'Buy';
+  const orderLinkId = signalDedupService.getOrderLinkId(signal.id);
 
+  logger.info(`[TRADE] Reversal (${policy}): ${symbol} ${position.direction} → ${direction}`);
+
+  // 1. Закриваємо наявну позицію
+  positionService.markPositionClosing(symbol, position.direction, 'REVERSAL');
+
+  let closeResult;
   try {
-    logger.info(`[TRADE] Received CLOSE signal: ${symbol} ${direction}`);
+    closeResult = await orderExecutionService.closePosition(
+      symbol,
+      closeSide,
+      position.quantity,
+      position.positionIdx || 0,
+      { orderLinkId: orderLinkId && `${orderLinkId}-r`, forceMarket: true }
+    );
+  } catch (closeError) {
+    positionService.unmarkPositionClosing(symbol, position.direction);
+    throw closeError;
+  }
 
-    // 1. Перевіряємо наявність відкритої позиції
-    if (!positionService.hasOpenPosition(symbol)) {
-      logger.warn(`[TRADE] No open position found for ${symbol} — ignoring CLOSE signal`);
-      return;
-    }
+  positionService.recordExitFill(symbol, position.direction, closeResult, 'REVERSAL');
+  if (closeResult.partial) {
+    positionService.unmarkPositionClosing(symbol, position.direction);
+    throw new Error(`Reversal close partially filled: ${closeResult.quantity} of ${closeResult.requestedQuantity}`);
+  }
 
-    const trackedPosition = positionService.getOpenPosition(symbol);
+  // 2. Новий напрямок відкриваємо лише після підтвердження, що позиція нульова
+  let closed;
+  try {
+    closed = await positionService.confirmPositionClosed(symbol, position);
+  } catch (confirmError) {
+    positionService.unmarkPositionClosing(symbol, position.direction);
+    throw confirmError;
+  }
 
-    // Перевіряємо співпадіння напрямку (опціонально - для надійності)
-    if (trackedPosition.direction !== direction) {
-      logger.warn(
-        `[TRADE] Direction mismatch: tracked=${trackedPosition.direction}, signal=${direction} — ignoring CLOSE signal`
-      );
-      return;
+  // 3. Новий напрямок
+  let opened = null;
+  let openError = null;
+  if (policy === 'FLIP') {
+    try {
+      opened = await openPosition(signal, fairPrice, { notify: false });
+    } catch (error) {
+      openError = error;
     }
+  }
+
+  // 4. Один звіт про весь розворот
+  await telegramService.sendMessage(
+    config.telegram.channelId,
+    telegramService.formatReversalMessage({ symbol, policy, closed, opened, openError })
+  ).catch(telegramError => logger.error(`[TRADE] Error sending reversal message: ${telegramError.message}`));
+
+  if (openError) {
+    // Стара позиція вже закрита — про невдалий вхід повідомлено у звіті про розворот
+    logger.error(`[TRADE] Reversal ${symbol}: closed ${position.direction}, but ${direction} not opened: ${openError.message}`);
+    return false;
+  }
+
+  logger.info(`[TRADE] ✅ Reversal done: ${symbol} ${position.direction} → ${opened ? direction : 'flat'}`);
+  return Boolean(opened);
+}
 
-    if (config.trading.dryRun) {
-      // DRY RUN — симулюємо закриття
-      logger.info('[DRY RUN] Would close position:');
-      logger.info(`  Symbol: ${symbol}`);
-      logger.info(`  Direction: ${direction}`);
-      logger.info(`  Entry Price: ${trackedPosition.entryPrice}`);
-      logger.info(`  Quantity: ${trackedPosition.quantity}`);
+/**
+ * Закриття позиції по CLOSE сигналу від Spread Monitor Bot
+ * (або по команді адміністратора — exitReason='MANUAL').
+ *
+ * Логіка:
+ *   1. Перевіряє наявність відкритої позиції через positionService
+ *   2. Визначає обсяг виходу: signal.closePercent / signal.closeQuantity,
+ *      інакше для першого CLOSE сигналу — config.exitPlan.signalClosePercent
+ *   3. Закриває reduce-only ордером (Market або PostOnly — config.execution)
+ *   4. Частковий вихід — повідомлення в Telegram, залишок лишається під моніторингом;
+ *      повне закриття виявить positionService (запис про закриття та повідомлення)
+ */
+async function closePosition(signal, exitReason = 'SIGNAL') {
+  const { symbol, direction } = signal;
 
-      // Видаляємо з positionService
-      positionService.removeOpenPosition(symbol);
+  try {
+    logger.info(`[TRADE] Received CLOSE signal: ${symbol} ${direction}`);
+
+    // 1. Перевіряємо наявність відкритої позиції в напрямку сигналу
+    //    (у HEDGE режимі на символі можуть бути обидві ноги — закриваємо лише свою)
+    const trackedPosition = positionService.getOpenPosition(symbol, direction);
 
-      logger.info(`[TRADE] ✅ [DRY RUN] Position closed: ${symbol}`);
+    if (!trackedPosition) {
+      const otherPosition = positionService.getOpenPosition(symbol);
+      if (otherPosition) {
+        logger.warn(
+          `[TRADE] Direction mismatch: tracked=${otherPosition.direction}, signal=${direction} — ignoring CLOSE signal`
+        );
+      } else {
+        logger.warn(`[TRADE] No open position found for ${symbol} — ignoring CLOSE signal`);
+      }
       return;
     }
 
-    // 2. Реальна торгівля - закриваємо на біржі
+    // 2. Обсяг виходу (повний або частковий)
+    const closeQuantity = riskService.calculateExitQuantity(
+      trackedPosition.quantity,
+      getRequestedExit(signal, trackedPosition, exitReason),
+      await bybitService.getSymbolInfo(symbol)
+    );
+
+    // 3. Закриваємо на біржі (у DRY_RUN — на віртуальній)
     // Визначаємо closeSide: LONG → Sell, SHORT → Buy
     const closeSide = direction === 'LONG' ? 'Sell' : 'Buy';
     const positionIdx = trackedPosition.positionIdx || bybitService.getPositionIdx(direction);
 
-    const closeResult = await bybitService.closeMarketOrder(
-      symbol,
-      closeSide,
-      trackedPosition.quantity,
-      positionIdx
-    );
+    // Аварійний стоп не знімаємо — він захищає позицію до фактичного закриття,
+    // а біржа прибирає його автоматично, коли позиція стає нульовою
+    positionService.markPositionClosing(symbol, direction, exitReason);
+
+    let closeResult;
+    try {
+      closeResult = await orderExecutionService.closePosition(
+        symbol,
+        closeSide,
+        closeQuantity,
+        positionIdx,
+        {
+          orderLinkId: signalDedupService.getOrderLinkId(signal.id),
+          // Аварійне закриття не чекає на maker виконання
+          forceMarket: exitReason === 'CIRCUIT_BREAKER'
+        }
+      );
+    } catch (closeError) {
+      positionService.unmarkPositionClosing(symbol, direction);
+      throw closeError;
+    }
+
+    const slice = positionService.recordExitFill(symbol, direction, closeResult, exitReason);
+    if (closeResult.partial) {
+      // Залишок лишається під моніторингом; повторний CLOSE або таймаут закриють його
+      positionService.unmarkPositionClosing(symbol, direction);
+      throw new Error(`Close order partially filled: ${closeResult.quantity} of ${closeResult.requestedQuantity}`);
+    }
 
     logger.info(`[TRADE] Close order executed: Order ID ${closeResult.orderId}`);
 
-    // 3. positionService.checkPositions() виявить закриття та відправить повідомлення
+    // 4. Частковий вихід — позиція лишається відкритою
+    if (slice) {
+      positionService.unmarkPositionClosing(symbol, direction);
+
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatPartialCloseMessage({ ...trackedPosition, slice })
+      ).catch(telegramError => logger.error(`[TRADE] Error sending partial close message: ${telegramError.message}`));
+
+      logger.info(`[TRADE] ✅ Partial exit: ${symbol} ${direction} ${slice.quantity}, ${trackedPosition.quantity} still open`);
+      return;
+    }
+
+    // positionService.checkPositions() виявить закриття та відправить повідомлення
     // Альтернативно можна одразу видалити позицію тут:
-    // positionService.removeOpenPosition(symbol);
+    // positionService.removeOpenPosition(symbol, direction);
 
     logger.info(`[TRADE] ✅ Position close order submitted: ${symbol} ${direction}`);
 
   } catch (error) {
+    if (bybitService.isDuplicateOrderError(error)) {
+      throw error;
+    }
+
     logger.error(`[TRADE] Error closing position ${symbol}: ${error.message}`);
 
     // Відправляємо повідомлення про помилку
     try {
-      if (!config.trading.dryRun) {
-        await telegramService.sendMessage(
-          config.telegram.channelId,
-          `❌ <b>ERROR CLOSING POSITION</b>\n\n` +
-          `Symbol: ${symbol}\n` +
-          `Direction: ${direction}\n` +
-          `Error: ${error.message}`
-        );
-      }
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        `❌ <b>ERROR CLOSING POSITION</b>\n\n` +
+        `Symbol: ${symbol}\n` +
+        `Direction: ${direction}\n` +
+        `Error: ${error.message}`
+      );
     } catch (telegramError) {
       logger.error(`[TRADE] Error sending close error message: ${telegramError.message}`);
     }
@@ -467,6 +825,25 @@ async function closePosition(signal) {
   }
 }
 
+/**
+ * Обсяг виходу, запитаний сигналом / командою, або за планом виходу (config.exitPlan).
+ * План діє лише на перший CLOSE сигнал — наступний закриває залишок.
+ *
+ * @returns {Object} { percent, quantity } для riskService.calculateExitQuantity()
+ */
+function getRequestedExit(signal, trackedPosition, exitReason) {
+  if (signal.closeQuantity > 0 || signal.closePercent > 0) {
+    return { percent: signal.closePercent, quantity: signal.closeQuantity };
+  }
+
+  const { signalClosePercent } = config.exitPlan;
+  if (exitReason === 'SIGNAL' && signalClosePercent < 100 && !trackedPosition.slices?.length) {
+    return { percent: signalClosePercent };
+  }
+
+  return {};
+}
+
 /**
  * Планує щоденний звіт
  */
@@ -497,42 +874,14 @@ async function sendDailyReport() {
     const currentDate = getCurrentDate();
 
     // Скидаємо щоденну статистику якщо новий день
-    if (currentDate !== statistics.lastResetDate) {
-      statistics.dailyTrades = 0;
-      statistics.signalsIgnored = 0;
-      statistics.lastResetDate = currentDate;
-      positionService.resetDailyStatistics();
-    }
-
-    const posStats = positionService.getStatistics();
-    const currentBalance = await bybitService.getUSDTBalance();
-    const startBalance = statistics.startBalance;
-    const totalPnl = currentBalance - startBalance;
-    const roi = startBalance > 0 ? (totalPnl / startBalance) * 100 : 0;
-
-    const report = {
-      date: currentDate,
-      tradingHours: {
-        start: config.tradingHours.startHour,
-        end: config.tradingHours.endHour
-      },
-      totalSignals: statistics.totalSignals,
-      signalsIgnored: statistics.signalsIgnored,
-      totalTrades: posStats.totalTrades,
-      winTrades: posStats.winTrades,
-      loseTrades: posStats.loseTrades,
-      totalPnl: totalPnl,
-      roi: roi,
-      startBalance: startBalance,
-      currentBalance: currentBalance
-    };
+    resetDailyStatisticsIfNeeded();
 
-    if (!config.trading.dryRun) {
-      await telegramService.sendMessage(
-        config.telegram.channelId,
-        telegramService.formatDailyReport(report)
-      );
-    }
+    const report = await buildReport(currentDate);
+
+    await telegramService.sendMessage(
+      config.telegram.channelId,
+      telegramService.formatDailyReport(report)
+    );
 
     logger.info('[REPORT] Daily report sent');
   } catch (error) {
@@ -540,22 +889,248 @@ async function sendDailyReport() {
   }
 }
 
+/**
+ * Збирає дані для звіту (щоденного або /stats)
+ */
+async function buildReport(date = getCurrentDate()) {
+  const posStats = positionService.getStatistics();
+  const currentBalance = await bybitService.getUSDTBalance();
+  const startBalance = statistics.startBalance;
+  const totalPnl = currentBalance - startBalance;
+  const roi = startBalance > 0 ? (totalPnl / startBalance) * 100 : 0;
+
+  return {
+    date,
+    tradingHours: {
+      startHour: config.tradingHours.startHour,
+      endHour: config.tradingHours.endHour
+    },
+    totalSignals: statistics.totalSignals,
+    signalsIgnored: statistics.signalsIgnored,
+    totalTrades: posStats.totalTrades,
+    winTrades: posStats.winTrades,
+    loseTrades: posStats.loseTrades,
+    exitReasons: posStats.exitReasons,
+    pnlBreakdown: posStats.pnlBreakdown,
+    totalPnl: totalPnl,
+    roi: roi,
+    startBalance: startBalance,
+    currentBalance: currentBalance
+  };
+}
+
+/**
+ * Закриває всі відстежувані позиції.
+ * @returns {string[]} результат по кожній позиції (для звіту)
+ */
+async function closeAllPositions(exitReason) {
+  const results = [];
+
+  for (const position of positionService.getAllOpenPositions()) {
+    try {
+      await closePosition({ type: 'CLOSE', symbol: position.symbol, direction: position.direction }, exitReason);
+      results.push(`✅ ${position.symbol} ${position.direction}`);
+    } catch (error) {
+      results.push(`❌ ${position.symbol} ${position.direction}: ${error.message}`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Логує результат перезавантаження конфігурації та надсилає diff в адмін-чати
+ */
+async function announceConfigReload(result) {
+  const { source, changes, restartRequired, error } = result;
+
+  if (error) {
+    logger.error(`[CONFIG] Reload (${source}) rejected, keeping previous config: ${error.message}`);
+  } else {
+    logger.info(`[CONFIG] Reloaded (${source}): ${changes.length} change(s) applied, ${restartRequired.length} require restart`);
+    for (const { key, from, to } of [...changes, ...restartRequired]) {
+      logger.info(`[CONFIG]   ${key}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+    }
+  }
+
+  const message = telegramService.formatConfigReloadMessage(result);
+  for (const chatId of config.telegram.adminChatIds) {
+    await telegramService.sendMessage(chatId, message)
+      .catch(telegramError => logger.error(`[CONFIG] Error sending reload notice: ${telegramError.message}`));
+  }
+}
+
+/**
+ * Обробляє спрацювання circuit breaker: повідомлення та (опційно) закриття всіх позицій
+ */
+async function handleCircuitBreakerTrip(reason) {
+  let closeResults = [];
+
+  if (config.circuitBreaker.flattenOnTrip && positionService.getOpenPositionsCount() > 0) {
+    logger.warn('[BREAKER] Flattening all positions');
+    closeResults = await closeAllPositions('CIRCUIT_BREAKER');
+  }
+
+  await telegramService.sendMessage(
+    config.telegram.channelId,
+    `🚨 <b>CIRCUIT BREAKER TRIPPED</b>\n\n` +
+    `Reason: ${reason}\n` +
+    `New OPEN signals are rejected until next UTC day or /resetbreaker` +
+    (closeResults.length > 0 ? `\n\n<b>Closed positions:</b>\n${closeResults.join('\n')}` : '')
+  );
+}
+
+/**
+ * Реєструє команди адміністратора в Telegram.
+ * Доступні лише чатам з config.telegram.adminChatIds.
+ */
+function registerAdminCommands() {
+  if (config.telegram.adminChatIds.length === 0) {
+    logger.info('[INIT] TELEGRAM_ADMIN_CHAT_IDS not set — admin commands disabled');
+    return;
+  }
+
+  telegramService.onCommand('status', 'balance, mode, hours and daily counters', async () => {
+    const balance = await bybitService.getUSDTBalance();
+    statistics.currentBalance = balance;
+
+    return telegramService.formatStatusMessage({
+      dryRun: config.trading.dryRun,
+      paused: tradingState.paused,
+      balance,
+      tradingHours: getTradingHoursInfo(),
+      openPositions: positionService.getOpenPositionsCount(),
+      maxOpenPositions: config.trading.maxOpenPositions,
+      dailyTrades: statistics.dailyTrades,
+      maxDailyTrades: config.trading.maxDailyTrades,
+      totalSignals: statistics.totalSignals,
+      signalsIgnored: statistics.signalsIgnored,
+      breaker: circuitBreakerService.getStatus()
+    });
+  });
+
+  telegramService.onCommand('positions', 'tracked vs exchange positions with uPnL', async () => {
+    const exchangePositions = await bybitService.getOpenPositions();
+    return telegramService.formatPositionsMessage(
+      positionService.getAllOpenPositions(),
+      exchangePositions
+    );
+  });
+
+  telegramService.onCommand('close', 'close position: /close SYMBOL [LONG|SHORT] [50%|QTY]', async (args) => {
+    const usage = 'Usage: /close SYMBOL [LONG|SHORT] [50%|QTY]';
+    const symbol = (args[0] || '').toUpperCase();
+    if (!symbol) {
+      return usage;
+    }
+
+    // Необов'язкові напрямок та обсяг — у будь-якому порядку
+    let direction = null;
+    let closePercent = null;
+    let closeQuantity = null;
+    for (const arg of args.slice(1).map(value => value.toUpperCase())) {
+      if (arg === 'LONG' || arg === 'SHORT') {
+        direction = arg;
+      } else if (/^\d+(\.\d+)?%$/.test(arg) && parseFloat(arg) > 0 && parseFloat(arg) <= 100) {
+        closePercent = parseFloat(arg);
+      } else if (/^\d+(\.\d+)?$/.test(arg) && parseFloat(arg) > 0) {
+        closeQuantity = parseFloat(arg);
+      } else {
+        return usage;
+      }
+    }
+
+    // У HEDGE режимі по символу може бути дві ноги — тоді напрямок обов'язковий
+    const legs = positionService.getSymbolPositions(symbol);
+    if (!direction && legs.length > 1) {
+      return `${symbol} has LONG and SHORT positions — use /close ${symbol} LONG|SHORT`;
+    }
+
+    const trackedPosition = positionService.getOpenPosition(symbol, direction);
+    if (!trackedPosition) {
+      return `No tracked ${direction ? `${direction} ` : ''}position for ${symbol}`;
+    }
+
+    const quantityBefore = trackedPosition.quantity;
+    await closePosition({ type: 'CLOSE', symbol, direction: trackedPosition.direction, closePercent, closeQuantity }, 'MANUAL');
+
+    const remaining = positionService.getOpenPosition(symbol, trackedPosition.direction);
+    if (remaining && remaining.quantity < quantityBefore) {
+      return `✅ Partially closed ${symbol} ${trackedPosition.direction}: ${roundToDecimal(quantityBefore - remaining.quantity, 8)}, ${remaining.quantity} still open`;
+    }
+    return `✅ Close order submitted: ${symbol} ${trackedPosition.direction}`;
+  });
+
+  telegramService.onCommand('closeall', 'close all tracked positions', async () => {
+    if (positionService.getOpenPositionsCount() === 0) {
+      return 'No tracked positions';
+    }
+
+    const results = await closeAllPositions('MANUAL');
+    return `<b>CLOSE ALL</b>\n\n${results.join('\n')}`;
+  });
+
+  telegramService.onCommand('pause', 'stop accepting OPEN signals (CLOSE still processed)', async () => {
+    tradingState.paused = true;
+    storageService.set('tradingState', tradingState);
+    logger.warn('[ADMIN] Trading paused');
+    return '⏸ <b>Trading paused</b> — OPEN signals will be ignored, CLOSE signals are still processed';
+  });
+
+  telegramService.onCommand('resume', 'accept OPEN signals again', async () => {
+    tradingState.paused = false;
+    storageService.set('tradingState', tradingState);
+    logger.info('[ADMIN] Trading resumed');
+    return '▶️ <b>Trading resumed</b>';
+  });
+
+  telegramService.onCommand('resetbreaker', 'reset tripped circuit breaker', async () => {
+    const breaker = circuitBreakerService.getStatus();
+    if (!breaker.tripped) {
+      return 'Circuit breaker is not tripped';
+    }
+
+    circuitBreakerService.reset();
+    return `✅ <b>Circuit breaker reset</b>\n\nWas tripped: ${breaker.reason}`;
+  });
+
+  telegramService.onCommand('stats', 'statistics report on demand', async () => {
+    return telegramService.formatDailyReport(await buildReport());
+  });
+
+  telegramService.onCommand('reload', 'reload .env and symbol profiles without restart', async () => {
+    let result;
+    try {
+      result = { source: '/reload', ...reloadConfig() };
+    } catch (error) {
+      result = { source: '/reload', error };
+    }
+
+    // Diff отримають усі адмін-чати, зокрема той, що надіслав команду
+    await announceConfigReload(result);
+    return null;
+  });
+
+  telegramService.onCommand('help', 'list of commands', async () => telegramService.formatCommandHelp());
+}
+
 /**
  * Обробка завершення програми
  */
 process.on('SIGINT', async () => {
   logger.info('\n[SHUTDOWN] Received SIGINT, shutting down gracefully...');
 
+  unwatchConfig();
   positionService.stopMonitoring();
+  spreadMonitorService.stop();
+  bybitStreamService.stop();
 
-  if (!config.trading.dryRun) {
-    await telegramService.sendMessage(
-      config.telegram.channelId,
-      `🛑 <b>TRADING BOT STOPPED</b>\n\n` +
-      `Open positions: ${positionService.getOpenPositionsCount()}\n` +
-      `Total trades today: ${statistics.dailyTrades}`
-    );
-  }
+  await telegramService.sendMessage(
+    config.telegram.channelId,
+    `🛑 <b>TRADING BOT STOPPED</b>\n\n` +
+    `Open positions: ${positionService.getOpenPositionsCount()}\n` +
+    `Total trades today: ${statistics.dailyTrades}`
+  );
 
   process.exit(0);
 });
@@ -563,12 +1138,19 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   logger.info('\n[SHUTDOWN] Received SIGTERM, shutting down gracefully...');
 
+  unwatchConfig();
   positionService.stopMonitoring();
+  spreadMonitorService.stop();
+  bybitStreamService.stop();
   process.exit(0);
 });
 
-// Запускаємо бота
-initialize().catch(error => {
-  logger.error(`[FATAL] Failed to start bot: ${error.message}`);
-  process.exit(1);
-});
+// Запускаємо бота (лише при прямому запуску — інтеграційні тести імпортують модуль)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  initialize().catch(error => {
+    logger.error(`[FATAL] Failed to start bot: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export { initialize, restoreState, handleSignal, statistics };
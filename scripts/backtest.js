@@ -0,0 +1,117 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { BacktestEngine, loadSignalsFromExport, loadPriceSeries } from '../services/backtest.service.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+/**
+ * Бектест архівних сигналів Spread Monitor Bot.
+ *
+ * Використання:
+ *   npm run backtest -- --signals export/result.json --data data/klines [options]
+ *
+ * Опції:
+ *   --signals FILE      експорт історії каналу (JSON Telegram Desktop або текст)
+ *   --data DIR          каталог з CSV цінами: <SYMBOL>.csv (kline або trade)
+ *   --balance N         початковий баланс USDT (за замовчуванням 1000)
+ *   --fee N             taker комісія, % (за замовчуванням 0.055)
+ *   --slippage N        прослизання, % (за замовчуванням 0)
+ *   --symbol-info FILE  JSON { SYMBOL: { tickSize, minQty, maxQty, pricePrecision } }
+ *   --out DIR           куди записати trades.csv, equity.csv, summary.json
+ *
+ * Розмір позиції, плече, фільтри та аварійний стоп беруться з .env
+ * (LEVERAGE, POSITION_SIZE_PERCENT, ALLOWED_SYMBOLS, PROTECTIVE_STOP_*, ...).
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function toCsv(rows, columns) {
+  const lines = rows.map(row => columns.map(column => {
+    const value = row[column];
+    return typeof value === 'number' && column.toLowerCase().endsWith('time')
+      ? new Date(value).toISOString()
+      : value;
+  }).join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+async function runBacktest() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.signals || !args.data) {
+      console.log('Usage: npm run backtest -- --signals FILE --data DIR [--balance N] [--fee N] [--slippage N] [--symbol-info FILE] [--out DIR]');
+      process.exit(1);
+    }
+
+    // Детальні логи розрахунків не потрібні для кожного сигналу
+    logger.level = process.env.BACKTEST_LOG_LEVEL || 'warn';
+
+    const signals = loadSignalsFromExport(args.signals);
+    const symbols = [...new Set(signals.map(signal => signal.symbol))];
+
+    const priceSeries = {};
+    for (const symbol of symbols) {
+      const filePath = path.join(args.data, `${symbol}.csv`);
+      if (fs.existsSync(filePath)) {
+        priceSeries[symbol] = loadPriceSeries(filePath);
+      } else {
+        logger.warn(`[BACKTEST] No price data for ${symbol} (${filePath})`);
+      }
+    }
+
+    const engine = new BacktestEngine({
+      initialBalance:  parseFloat(args.balance || '1000'),
+      takerFeePercent: parseFloat(args.fee || '0.055'),
+      slippagePercent: parseFloat(args.slippage || '0'),
+      priceSeries,
+      symbolInfo: args['symbol-info'] ? JSON.parse(fs.readFileSync(args['symbol-info'], 'utf8')) : {}
+    });
+
+    const { trades, equityCurve, summary } = await engine.run(signals);
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`📊 BACKTEST ${summary.period.from} → ${summary.period.to}`);
+    console.log('='.repeat(50));
+    console.log(`Signals: ${summary.totalSignals} (OPEN ${summary.openSignals}, CLOSE ${summary.closeSignals}, rejected ${summary.rejectedSignals})`);
+    for (const [reason, count] of Object.entries(summary.rejectedByReason)) {
+      console.log(`  rejected: ${reason} × ${count}`);
+    }
+    console.log(`Trades: ${summary.totalTrades} | Wins: ${summary.winTrades} | Losses: ${summary.loseTrades} | Win rate: ${summary.winRate}%`);
+    console.log(`Exits: ${Object.entries(summary.exitReasons).map(([reason, count]) => `${reason} ${count}`).join(' | ') || '—'}`);
+    console.log(`Gross P&L: ${summary.grossPnl} USDT | Fees: ${summary.totalFees} USDT | Net P&L: ${summary.netPnl} USDT`);
+    console.log(`Profit factor: ${summary.profitFactor ?? '—'} | Avg trade: ${summary.avgTradePnl} USDT | Avg holding: ${summary.avgHoldingMinutes} min`);
+    console.log(`Balance: ${summary.initialBalance} → ${summary.finalBalance} USDT (ROI ${summary.roi}%)`);
+    console.log(`Max drawdown: ${summary.maxDrawdown} USDT (${summary.maxDrawdownPercent}%)`);
+    console.log('='.repeat(50) + '\n');
+
+    if (args.out) {
+      fs.mkdirSync(args.out, { recursive: true });
+      fs.writeFileSync(
+        path.join(args.out, 'trades.csv'),
+        toCsv(trades, ['symbol', 'direction', 'entryTime', 'exitTime', 'entryPrice', 'exitPrice',
+          'quantity', 'grossPnl', 'fees', 'netPnl', 'pnlPercent', 'exitReason'])
+      );
+      fs.writeFileSync(path.join(args.out, 'equity.csv'), toCsv(equityCurve, ['time', 'balance']));
+      fs.writeFileSync(path.join(args.out, 'summary.json'), JSON.stringify(summary, null, 2));
+      console.log(`Results saved to ${args.out}\n`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+runBacktest();
@@ -0,0 +1,1168 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MockBybitServer } from './mock-bybit-server.js';
+import { MockTelegramServer } from './mock-telegram-server.js';
+
+/**
+ * End-to-end сценарії бота проти локальних mock-серверів Bybit V5 та Telegram Bot API.
+ *
+ * Використання:
+ *   npm run e2e
+ *
+ * Сигнали подаються безпосередньо в handleSignal(), далі перевіряються
+ * ордери, що дійшли до mock Bybit, та повідомлення, відправлені в mock Telegram.
+ * Стан бота пишеться у тимчасовий каталог — data/state.json не змінюється.
+ * Бектест проганяється по експорту каналу та klines з scripts/fixtures/backtest.
+ */
+const CHANNEL_ID = '-1001234567890';
+
+const bybit = new MockBybitServer({ balance: 1000 });
+const telegram = new MockTelegramServer();
+
+bybit.setPrice('BTCUSDT', 65000);
+bybit.setPrice('ETHUSDT', 3500);
+bybit.setPrice('SOLUSDT', 150);
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-e2e-'));
+
+const ADMIN_CHAT_ID = '555000';
+
+// Профіль вмикає символ поза ALLOWED_SYMBOLS з власним плечем і розміром
+const profilesFile = path.join(stateDir, 'profiles.json');
+const writeProfiles = xrpProfile => fs.writeFileSync(profilesFile, JSON.stringify({ symbols: { XRPUSDT: xrpProfile } }));
+bybit.setPrice('XRPUSDT', 0.5);
+writeProfiles({ enabled: true, leverage: 5, sizingMode: 'FIXED_USDT' });
+
+// Стан до рестарту: ETHUSDT LONG ще відкрита на біржі, BTCUSDT SHORT закрилась, поки бот був вимкнений.
+// На біржі також BTCUSDT LONG, відкрита ордером бота (sig-), і дві позиції, відкриті не ботом
+const stateFile = path.join(stateDir, 'state.json');
+const beforeRestart = Date.now() - 60 * 60 * 1000;
+const savedPosition = (symbol, direction, entryPrice, quantity, orderId) => ({
+  symbol, direction, entryPrice, quantity, orderId, entryOrderIds: [orderId], positionIdx: 0,
+  positionSizeUSDT: entryPrice * quantity, entryFee: 0, timestamp: beforeRestart, openedAt: beforeRestart
+});
+fs.writeFileSync(stateFile, JSON.stringify({
+  positions: {
+    open: [
+      savedPosition('ETHUSDT', 'LONG', 3400, 0.05, 'old-eth-long'),
+      savedPosition('BTCUSDT', 'SHORT', 66000, 0.002, 'old-btc-short')
+    ],
+    closed: []
+  }
+}));
+
+const seededAt = beforeRestart - 60 * 60 * 1000;
+bybit.seedPosition('ETHUSDT', 'Buy', 0.05, 3450, { execTime: seededAt });
+bybit.seedPosition('BTCUSDT', 'Buy', 0.001, 64000, { orderLinkId: 'sig-00000000000000aa', execTime: seededAt });
+bybit.seedPosition('XRPUSDT', 'Buy', 100, 0.5, { execTime: seededAt });
+bybit.seedPosition('SOLUSDT', 'Sell', 1, 150, { orderLinkId: 'sig-00000000000000bb', execTime: seededAt });
+
+// Конфіг читається при імпорті, тому оточення задаємо ДО завантаження бота
+Object.assign(process.env, {
+  BYBIT_API_KEY:          'e2e-key',
+  BYBIT_API_SECRET:       'e2e-secret',
+  BYBIT_BASE_URL:         await bybit.start(),
+  BYBIT_WS_ENABLED:       'false',
+  TELEGRAM_BOT_TOKEN:     '123456:e2e-token',
+  TELEGRAM_CHANNEL_ID:    CHANNEL_ID,
+  TELEGRAM_API_URL:       await telegram.start(),
+  DRY_RUN:                'false',
+  ALLOWED_SYMBOLS:        'BTCUSDT,ETHUSDT',
+  LEVERAGE:               '10',
+  POSITION_SIZE_PERCENT:  '13',
+  TRADING_HOURS_ENABLED:  'false',
+  PROTECTIVE_STOP_ENABLED: 'true',
+  PROTECTIVE_STOP_PERCENT: '3',
+  SIGNAL_MAX_AGE_SECONDS: '60',
+  MAX_DAILY_TRADES:       '100',
+  SIGNAL_MAX_PRICE_DRIFT_PERCENT: '1',
+  SPREAD_VERIFY_ENABLED:  'true',
+  SPREAD_CONVERGED_EXIT_ENABLED: 'true',
+  SPREAD_VERIFY_TOLERANCE_PERCENT: '0.1',
+  EXECUTION_CHASE_INTERVAL_MS: '500',
+  EXECUTION_TIMEOUT_MS:   '2000',
+  TELEGRAM_ADMIN_CHAT_IDS: ADMIN_CHAT_ID,
+  SYMBOL_PROFILES_FILE:   profilesFile,
+  // Перезавантаження лише по SIGHUP — без опитування файлів
+  CONFIG_RELOAD_WATCH:    'false',
+  STATE_FILE:             stateFile
+});
+
+const { default: logger } = await import('../utils/logger.js');
+logger.level = process.env.E2E_LOG_LEVEL || 'warn';
+
+const { config } = await import('../config/settings.js');
+const { initialize, restoreState, handleSignal, statistics } = await import('../index.js');
+const { default: positionService } = await import('../services/position.service.js');
+const { default: telegramService } = await import('../services/telegram.service.js');
+const { default: signalDedupService } = await import('../services/signal-dedup.service.js');
+const { default: spreadMonitorService } = await import('../services/spread-monitor.service.js');
+const { default: circuitBreakerService } = await import('../services/circuit-breaker.service.js');
+const { default: paperExchangeService } = await import('../services/paper-exchange.service.js');
+const { BacktestEngine, loadSignalsFromExport, loadPriceSeries } = await import('../services/backtest.service.js');
+
+const closedPositions = [];
+positionService.onPositionClosed(position => closedPositions.push(position));
+
+const scenarios = [];
+function scenario(name, run) {
+  scenarios.push({ name, run });
+}
+
+// Mock за замовчуванням віддає index = last, тобто спред 0%
+function signal(type, symbol, direction, spread = 0) {
+  return { type, symbol, direction, spread, timestamp: Date.now() };
+}
+
+function ordersFor(symbol) {
+  return bybit.orders.filter(order => order.symbol === symbol);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Чекає на асинхронний результат (callbacks закриття, polling Telegram)
+async function waitFor(predicate, timeoutMs = 5000) {
+  for (const deadline = Date.now() + timeoutMs; Date.now() < deadline; await sleep(50)) {
+    if (predicate()) return true;
+  }
+  return predicate();
+}
+
+// Команда адміністратора через getUpdates mock Telegram; повертає відповідь бота в цей чат
+async function adminCommand(text, chatId = ADMIN_CHAT_ID) {
+  const before = telegram.messages.length;
+  const reply = () => telegram.messages.slice(before).find(message => message.chatId === chatId);
+
+  telegram.pushMessage(chatId, text);
+  await waitFor(() => Boolean(reply()), 10000);
+  return reply() || null;
+}
+
+scenario('Startup reconciliation confirms, closes, adopts only bot positions and reports the rest', async () => {
+  const [report] = telegram.findMessages('POSITION RECONCILIATION');
+  assert.ok(report, 'reconciliation report was not sent');
+  assert.match(report.text, /Confirmed:<\/b> 1/);
+  assert.match(report.text, /Adopted:<\/b> 1\n/);
+  assert.match(report.text, /Closed while offline:<\/b> 1\n/);
+  assert.match(report.text, /Unknown \(not managed\):<\/b> 2/);
+  assert.match(report.text, /Adopted:<\/b>\n  • BTCUSDT LONG 0\.001 @ \$64000/);
+  assert.match(report.text, /Closed while offline:<\/b>\n  • BTCUSDT SHORT 0\.002 @ \$66000/);
+  assert.match(report.text, /Unknown:<\/b>\n  • XRPUSDT LONG 100 @ \$0\.5\n  • SOLUSDT SHORT 1 @ \$150/);
+
+  // Підтверджена позиція бере розмір і ціну входу з біржі
+  assert.equal(positionService.getOpenPosition('ETHUSDT', 'LONG').entryPrice, 3450);
+  assert.equal(positionService.getOpenPosition('BTCUSDT', 'LONG').orderId, 'ADOPTED');
+  assert.ok(!positionService.getOpenPosition('BTCUSDT', 'SHORT'));
+  assert.equal(closedPositions.at(-1).symbol, 'BTCUSDT');
+  assert.equal(closedPositions.at(-1).direction, 'SHORT');
+
+  // Ручна позиція на дозволеному символі та позиція поза списком не чіпаються
+  assert.ok(!positionService.hasOpenPosition('XRPUSDT'));
+  assert.ok(!positionService.hasOpenPosition('SOLUSDT'));
+  assert.equal(bybit.positions['XRPUSDT:0'].stopLoss, 0);
+  assert.equal(ordersFor('XRPUSDT').length + ordersFor('SOLUSDT').length, 0);
+
+  // Наступні сценарії стартують без позицій
+  positionService.removeOpenPosition('ETHUSDT', 'LONG');
+  positionService.removeOpenPosition('BTCUSDT', 'LONG');
+  for (const key of ['ETHUSDT:0', 'BTCUSDT:0', 'XRPUSDT:0', 'SOLUSDT:0']) {
+    delete bybit.positions[key];
+  }
+});
+
+scenario('OPEN signal places a market order, protective stop and notification', async () => {
+  await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+
+  const [order] = ordersFor('BTCUSDT');
+  assert.ok(order, 'order was not sent to Bybit');
+  assert.equal(order.side, 'Buy');
+  assert.equal(order.reduceOnly, false);
+  // 13% від 1000 USDT = 130 USDT номіналу / 65000 = 0.002 BTC
+  assert.equal(order.qty, 0.002);
+
+  assert.ok(positionService.hasOpenPosition('BTCUSDT'));
+  assert.equal(bybit.positions['BTCUSDT:0'].stopLoss, 63050);
+  assert.equal(telegram.findMessages('POSITION OPENED').length, 1);
+});
+
+scenario('CLOSE signal closes with reduce-only order and reports P&L', async () => {
+  const profitsBefore = telegram.findMessages('POSITION CLOSED - PROFIT').length;
+  bybit.setPrice('BTCUSDT', 66000);
+  await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+  await positionService.checkPositions();
+
+  const closeOrder = ordersFor('BTCUSDT')[1];
+  assert.equal(closeOrder.side, 'Sell');
+  assert.equal(closeOrder.reduceOnly, true);
+
+  assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+  assert.equal(closedPositions.at(-1).exitReason, 'SIGNAL');
+  assert.equal(closedPositions.at(-1).exitPrice, 66000);
+  assert.equal(telegram.findMessages('POSITION CLOSED - PROFIT').length, profitsBefore + 1);
+});
+
+scenario('Signal for a symbol outside ALLOWED_SYMBOLS is ignored', async () => {
+  await handleSignal(signal('OPEN', 'SOLUSDT', 'LONG'));
+
+  assert.equal(ordersFor('SOLUSDT').length, 0);
+  assert.equal(telegram.findMessages('SIGNAL IGNORED').length, 1);
+});
+
+scenario('Exchange rejection is reported and nothing is tracked', async () => {
+  bybit.failNext('/v5/order/create', 110007, 'ab not enough for new order');
+  await handleSignal(signal('OPEN', 'ETHUSDT', 'SHORT'));
+
+  assert.equal(ordersFor('ETHUSDT').length, 0);
+  assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+  assert.equal(telegram.findMessages('ERROR PROCESSING SIGNAL').length, 1);
+});
+
+scenario('Protective stop hit on the exchange is detected as STOP_LOSS', async () => {
+  await handleSignal(signal('OPEN', 'ETHUSDT', 'SHORT'));
+  assert.ok(positionService.hasOpenPosition('ETHUSDT'));
+
+  bybit.setPrice('ETHUSDT', 3610);
+  bybit.closePosition('ETHUSDT', 0, 'StopLoss');
+  await positionService.checkPositions();
+
+  assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+  assert.equal(closedPositions.at(-1).exitReason, 'STOP_LOSS');
+  assert.equal(telegram.findMessages('POSITION CLOSED - LOSS').length, 1);
+});
+
+scenario('Reposted signal is dropped; Bybit rejects a reused orderLinkId', async () => {
+  const open = { ...signal('OPEN', 'BTCUSDT', 'SHORT'), messageId: 101 };
+  open.sourceTime = new Date(open.timestamp).toISOString();
+  const openOrders = () => ordersFor('BTCUSDT').filter(order => order.side === 'Sell' && !order.reduceOnly);
+  const ignoredBefore = telegram.findMessages('SIGNAL IGNORED').length;
+
+  await handleSignal(open);
+  await handleSignal({ ...open, messageId: 102 });
+
+  assert.equal(openOrders().length, 1);
+  assert.match(openOrders()[0].orderLinkId, /^sig-[0-9a-f]{16}$/);
+  // Повтор відкинуто ще до валідації — жодного "SIGNAL IGNORED"
+  assert.equal(telegram.findMessages('SIGNAL IGNORED').length, ignoredBefore);
+
+  bybit.setPrice('BTCUSDT', 64000);
+  await handleSignal(signal('CLOSE', 'BTCUSDT', 'SHORT'));
+  await positionService.checkPositions();
+
+  // Вікно дедуплікації втрачено — повтор зупиняє вже сама біржа
+  signalDedupService.seen.clear();
+  const errorsBefore = telegram.findMessages('ERROR').length;
+  await handleSignal(open);
+
+  assert.equal(openOrders().length, 1);
+  assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+  assert.equal(telegram.findMessages('ERROR').length, errorsBefore);
+});
+
+scenario('Re-delivered signal is processed again after a transient failure', async () => {
+  const open = { ...signal('OPEN', 'ETHUSDT', 'LONG'), messageId: 201 };
+  open.sourceTime = new Date(open.timestamp).toISOString();
+  bybit.setPrice('ETHUSDT', 3500);
+
+  // Баланс недоступний під час валідації
+  bybit.failNext('/v5/account/wallet-balance', 10016, 'Service unavailable');
+  await handleSignal(open);
+  assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+  assert.equal(telegram.findMessages('Error checking balance').length, 1);
+
+  // Біржа не прийняла ордер
+  bybit.failNext('/v5/order/create', 10016, 'Service unavailable');
+  await handleSignal({ ...open, messageId: 202 });
+  assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+
+  await handleSignal({ ...open, messageId: 203 });
+  assert.ok(positionService.hasOpenPosition('ETHUSDT', 'LONG'));
+
+  await handleSignal(signal('CLOSE', 'ETHUSDT', 'LONG'));
+  await positionService.checkPositions();
+  assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+});
+
+scenario('Open positions, statistics and pause are restored from STATE_FILE after a restart', async () => {
+  const priceBefore = bybit.prices.BTCUSDT;
+  bybit.setPrice('BTCUSDT', 65000);
+  bybit.seedPosition('BTCUSDT', 'Buy', 0.002, 65000);
+
+  // Файл стану, який лишив попередній процес: відкрита позиція, лічильники та пауза
+  const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  const totalTrades = saved.statistics.totalTrades + 5;
+  saved.positions.open = [{ ...savedPosition('BTCUSDT', 'LONG', 65000, 0.002, 'before-restart'), openedAt: Date.now() }];
+  saved.statistics.totalTrades = totalTrades;
+  saved.tradingState = { paused: true };
+  fs.writeFileSync(stateFile, JSON.stringify(saved));
+
+  restoreState();
+  try {
+    assert.equal(statistics.totalTrades, totalTrades);
+    assert.equal(positionService.getOpenPosition('BTCUSDT', 'LONG').orderId, 'before-restart');
+
+    // Пауза пережила рестарт: OPEN відхилено, CLOSE знаходить відновлену позицію
+    const pausedBefore = telegram.findMessages('Trading paused by admin').length;
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+    assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+    assert.equal(telegram.findMessages('Trading paused by admin').length, pausedBefore + 1);
+
+    bybit.setPrice('BTCUSDT', 65500);
+    await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+    await positionService.checkPositions();
+    assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+    assert.equal(closedPositions.at(-1).orderId, 'before-restart');
+    assert.equal(closedPositions.at(-1).exitPrice, 65500);
+  } finally {
+    await adminCommand('/resume');
+    bybit.setPrice('BTCUSDT', priceBefore);
+  }
+});
+
+scenario('Stale signal and drifted price are rejected with the reason', async () => {
+  const ordersBefore = bybit.orders.length;
+
+  const stale = { ...signal('OPEN', 'ETHUSDT', 'LONG'), timestamp: Date.now() - 5 * 60 * 1000 };
+  stale.sourceTime = new Date(stale.timestamp).toISOString();
+  await handleSignal(stale);
+
+  // LAST_PRICE у сигналі 3400, на біржі вже 3610 (+6%)
+  await handleSignal({ ...signal('OPEN', 'ETHUSDT', 'LONG'), lastPrice: 3400 });
+
+  assert.equal(bybit.orders.length, ordersBefore);
+  assert.equal(telegram.findMessages('Signal is stale').length, 1);
+  assert.equal(telegram.findMessages('Price drifted').length, 1);
+});
+
+scenario('Spread is re-verified against Bybit fair price before entry', async () => {
+  // last 64000 vs index 63500 → +0.787%
+  bybit.setIndexPrice('BTCUSDT', 63500);
+  const ordersBefore = bybit.orders.length;
+
+  await handleSignal(signal('OPEN', 'BTCUSDT', 'SHORT', -0.75));
+  assert.equal(bybit.orders.length, ordersBefore);
+  assert.equal(telegram.findMessages('Spread sign does not match').length, 1);
+
+  await handleSignal(signal('OPEN', 'BTCUSDT', 'SHORT', 0.5));
+  assert.equal(bybit.orders.length, ordersBefore);
+  assert.equal(telegram.findMessages('Spread differs from Bybit fair price').length, 1);
+
+  await handleSignal(signal('OPEN', 'BTCUSDT', 'SHORT', 0.75));
+  assert.equal(bybit.orders.length, ordersBefore + 1);
+  assert.equal(positionService.getOpenPosition('BTCUSDT').fairPrice.indexPrice, 63500);
+  assert.equal(telegram.findMessages('Bybit 0.787%').length, 1);
+
+  await handleSignal(signal('CLOSE', 'BTCUSDT', 'SHORT'));
+  await positionService.checkPositions();
+  bybit.setIndexPrice('BTCUSDT', null);
+});
+
+scenario('Internal spread monitor opens on divergence and closes on convergence', async () => {
+  spreadMonitorService.onSignal(handleSignal);
+
+  // last 3500 vs index 3480 → +0.575%: два опитування поспіль понад поріг 0.5%
+  bybit.setPrice('ETHUSDT', 3500);
+  bybit.setIndexPrice('ETHUSDT', 3480);
+  await spreadMonitorService.poll();
+  assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+  await spreadMonitorService.poll();
+
+  // Як у сигналах каналу: last вище index → LONG
+  assert.equal(positionService.getOpenPosition('ETHUSDT')?.direction, 'LONG');
+
+  // Спред зійшовся до 0.03%
+  bybit.setIndexPrice('ETHUSDT', 3499);
+  await spreadMonitorService.poll();
+  await positionService.checkPositions();
+
+  assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+  assert.equal(closedPositions.at(-1).exitReason, 'SIGNAL');
+  bybit.setIndexPrice('ETHUSDT', null);
+
+  // OPEN, відхилений валідацією (символ поза ALLOWED_SYMBOLS), не стає активним
+  config.spreadMonitor.symbols.push('SOLUSDT');
+  try {
+    bybit.setIndexPrice('SOLUSDT', 149);
+    await spreadMonitorService.poll();
+    await spreadMonitorService.poll();
+
+    assert.ok(!positionService.hasOpenPosition('SOLUSDT'));
+    assert.equal(spreadMonitorService.active.SOLUSDT, undefined);
+  } finally {
+    config.spreadMonitor.symbols.pop();
+    bybit.setIndexPrice('SOLUSDT', null);
+  }
+});
+
+scenario('Position is closed as SPREAD_CONVERGED when the CLOSE signal is lost', async () => {
+  bybit.setPrice('ETHUSDT', 3500);
+  bybit.setIndexPrice('ETHUSDT', 3520);
+  await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG', -0.5682));
+  assert.equal(positionService.getOpenPosition('ETHUSDT')?.direction, 'LONG');
+
+  // Ще не зійшовся — позиція лишається
+  await positionService.checkSpreadConvergence();
+  assert.ok(!positionService.getOpenPosition('ETHUSDT').closing);
+
+  // last наздогнав index, CLOSE сигналу немає
+  bybit.setPrice('ETHUSDT', 3519);
+  await positionService.checkSpreadConvergence();
+  await positionService.checkPositions();
+
+  assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+  assert.equal(closedPositions.at(-1).exitReason, 'SPREAD_CONVERGED');
+  assert.equal(telegram.findMessages('SPREAD CONVERGED').length, 1);
+  bybit.setIndexPrice('ETHUSDT', null);
+});
+
+scenario('LONG opened on a positive spread stays open until that spread converges', async () => {
+  // Формат каналу: LONG при last вище index (+0.575%)
+  bybit.setPrice('ETHUSDT', 3500);
+  bybit.setIndexPrice('ETHUSDT', 3480);
+  await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG', 0.5747));
+  assert.equal(positionService.getOpenPosition('ETHUSDT')?.direction, 'LONG');
+
+  await positionService.checkSpreadConvergence();
+  await positionService.checkPositions();
+  assert.ok(positionService.hasOpenPosition('ETHUSDT'));
+  assert.ok(!positionService.getOpenPosition('ETHUSDT').closing);
+
+  // +0.029% — в межах SPREAD_CONVERGED_EXIT_PERCENT
+  bybit.setPrice('ETHUSDT', 3481);
+  await positionService.checkSpreadConvergence();
+  await positionService.checkPositions();
+
+  assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+  assert.equal(closedPositions.at(-1).exitReason, 'SPREAD_CONVERGED');
+  bybit.setPrice('ETHUSDT', 3500);
+  bybit.setIndexPrice('ETHUSDT', null);
+});
+
+scenario('Position held past MAX_HOLDING_MINUTES_BY_SYMBOL is closed as TIMEOUT', async () => {
+  config.trading.maxHoldingMinutesBySymbol = { ETHUSDT: 30 };
+  try {
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+
+    // Обидві позиції відкриті 31 хвилину тому; ліміт є лише для ETHUSDT
+    for (const position of positionService.getAllOpenPositions()) {
+      position.openedAt -= 31 * 60 * 1000;
+    }
+    await positionService.checkHoldingTimes();
+    await positionService.checkPositions();
+
+    assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+    assert.ok(positionService.hasOpenPosition('BTCUSDT', 'LONG'));
+    assert.equal(closedPositions.at(-1).symbol, 'ETHUSDT');
+    assert.equal(closedPositions.at(-1).exitReason, 'TIMEOUT');
+    assert.equal(ordersFor('ETHUSDT').at(-1).reduceOnly, true);
+
+    const [timeout] = telegram.findMessages('POSITION TIMEOUT');
+    assert.match(timeout.text, /ETHUSDT[\s\S]*No CLOSE signal received within 30m/);
+    assert.match(telegram.messages.at(-1).text, /POSITION CLOSED[\s\S]*Max holding time/);
+  } finally {
+    config.trading.maxHoldingMinutesBySymbol = {};
+    await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+    await positionService.checkPositions();
+  }
+});
+
+scenario('Post-only entry chases the bid and fills as maker', async () => {
+  config.execution.entryModeBySymbol.BTCUSDT = 'POST_ONLY';
+  bybit.setPrice('BTCUSDT', 65000);
+
+  // Ціна тікає вгору до першого переставляння, потім повертається до нового ліміту
+  setTimeout(() => bybit.setPrice('BTCUSDT', 65010), 250);
+  setTimeout(() => bybit.setPrice('BTCUSDT', 65009), 800);
+  await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+  delete config.execution.entryModeBySymbol.BTCUSDT;
+
+  const [entry] = Object.values(bybit.limitOrders).filter(order => order.symbol === 'BTCUSDT');
+  assert.equal(entry.postOnly, true);
+  assert.equal(entry.status, 'Filled');
+  assert.equal(entry.price, 65009.99);
+  assert.equal(positionService.getOpenPosition('BTCUSDT')?.entryPrice, 65009.99);
+  assert.equal(positionService.getOpenPosition('BTCUSDT')?.quantity, 0.002);
+});
+
+scenario('Unfilled post-only exit falls back to a reduce-only market order', async () => {
+  config.execution.exitModeBySymbol.BTCUSDT = 'POST_ONLY';
+  await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+  delete config.execution.exitModeBySymbol.BTCUSDT;
+  await positionService.checkPositions();
+
+  const exit = Object.values(bybit.limitOrders).filter(order => order.symbol === 'BTCUSDT').at(-1);
+  assert.equal(exit.reduceOnly, true);
+  assert.equal(exit.status, 'Cancelled');
+
+  const fallback = ordersFor('BTCUSDT').at(-1);
+  assert.equal(fallback.orderType, 'Market');
+  assert.equal(fallback.reduceOnly, true);
+  assert.match(fallback.orderLinkId, /-m$/);
+  assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+});
+
+scenario('Partially filled post-only exit with CANCEL fallback records the closed part', async () => {
+  bybit.setPrice('BTCUSDT', 65000);
+  await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+
+  Object.assign(config.execution, { fallback: 'CANCEL', maxChases: 0 });
+  config.execution.exitModeBySymbol.BTCUSDT = 'POST_ONLY';
+  try {
+    // Половина reduce-only ордера виконується, решту скасовує таймаут погоні
+    bybit.partialFillNextLimit(0.5);
+    setTimeout(() => bybit.setPrice('BTCUSDT', 65100), 200);
+    await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+
+    const tracked = positionService.getOpenPosition('BTCUSDT', 'LONG');
+    assert.equal(tracked.quantity, 0.001);
+    assert.equal(tracked.slices.length, 1);
+    assert.equal(tracked.slices[0].quantity, 0.001);
+    assert.equal(bybit.positions['BTCUSDT:0'].size, 0.001);
+    const [closeError] = telegram.findMessages('ERROR CLOSING POSITION').slice(-1);
+    assert.match(closeError.text, /partially filled: 0\.001 of 0\.002/);
+  } finally {
+    Object.assign(config.execution, { fallback: 'MARKET', maxChases: 5 });
+    delete config.execution.exitModeBySymbol.BTCUSDT;
+  }
+
+  await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+  await positionService.checkPositions();
+  assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+});
+
+scenario('Tracked position uses the actual filled quantity, price and fees', async () => {
+  bybit.setPrice('ETHUSDT', 3500);
+  bybit.partialFillNext(0.5);
+  await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+
+  // 13% від 1000 USDT / 3500 = 0.037 ETH запитано, виконано половину
+  const tracked = positionService.getOpenPosition('ETHUSDT');
+  assert.equal(tracked.requestedQuantity, 0.037);
+  assert.equal(tracked.quantity, 0.018);
+  assert.equal(tracked.entryPrice, 3500);
+  assert.ok(Math.abs(tracked.entryFee - 0.018 * 3500 * 0.00055) < 1e-9);
+  assert.equal(telegram.findMessages('partial fill').length, 1);
+
+  bybit.setPrice('ETHUSDT', 3550);
+  await handleSignal(signal('CLOSE', 'ETHUSDT', 'LONG'));
+  await positionService.checkPositions();
+
+  const closed = closedPositions.at(-1);
+  assert.equal(closed.symbol, 'ETHUSDT');
+  assert.equal(closed.quantity, 0.018);
+  assert.equal(closed.exitPrice, 3550);
+  assert.ok(Math.abs(closed.grossPnl - 0.018 * 50) < 1e-9);
+  assert.ok(closed.fees > tracked.entryFee);
+});
+
+scenario('Closed P&L is split into gross, fees, funding and net from Bybit records', async () => {
+  bybit.setPrice('ETHUSDT', 3500);
+  await handleSignal(signal('OPEN', 'ETHUSDT', 'SHORT'));
+  bybit.settleFunding('ETHUSDT', 0.25);
+  // Розрахунки інших символів виштовхують запис ETHUSDT за межі першої сторінки (50)
+  const [settlement] = bybit.transactions;
+  for (let i = 0; i < 60; i++) {
+    bybit.transactions.unshift({ ...settlement, symbol: 'SOLUSDT', change: '-0.01' });
+  }
+  bybit.settleFunding('ETHUSDT', -0.05);
+  const logRequestsBefore = bybit.requests.filter(request => request.path === '/v5/account/transaction-log').length;
+
+  bybit.setPrice('ETHUSDT', 3450);
+  await handleSignal(signal('CLOSE', 'ETHUSDT', 'SHORT'));
+  await positionService.checkPositions();
+
+  // 0.037 ETH × 50 = 1.85 gross; комісія taker 0.055% з обох сторін
+  const closed = closedPositions.at(-1);
+  const fees = 0.037 * (3500 + 3450) * 0.00055;
+  assert.equal(closed.pnlSource, 'BYBIT');
+  assert.ok(Math.abs(closed.grossPnl - 1.85) < 1e-9);
+  assert.ok(Math.abs(closed.fees - fees) < 1e-9);
+  assert.ok(Math.abs(closed.funding - 0.2) < 1e-9);
+  const logRequests = bybit.requests.filter(request => request.path === '/v5/account/transaction-log').slice(logRequestsBefore);
+  assert.equal(logRequests.length, 2);
+  assert.equal(logRequests[1].params.cursor, '50');
+  assert.ok(Math.abs(closed.pnl - (1.85 - fees + 0.2)) < 1e-9);
+  assert.equal(closed.netPnl, closed.pnl);
+
+  const [message] = telegram.findMessages('funding +$0.20');
+  assert.ok(message, 'closed message has no P&L breakdown');
+  assert.match(message.text, /gross \+\$1\.85 \| fees -\$0\.14/);
+});
+
+scenario('Hedge mode tracks LONG and SHORT legs of a symbol independently', async () => {
+  config.bybit.positionMode = 'HEDGE';
+  try {
+    bybit.setPrice('BTCUSDT', 65000);
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'SHORT'));
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'SHORT'));
+
+    // Повторний SHORT відхилено, обидві ноги — окремі позиції з власними стопами
+    assert.equal(positionService.getSymbolPositions('BTCUSDT').length, 2);
+    assert.equal(bybit.positions['BTCUSDT:1'].side, 'Buy');
+    assert.equal(bybit.positions['BTCUSDT:2'].side, 'Sell');
+    assert.equal(bybit.positions['BTCUSDT:2'].stopLoss, 66950);
+
+    bybit.setPrice('BTCUSDT', 64000);
+    await handleSignal(signal('CLOSE', 'BTCUSDT', 'SHORT'));
+    await positionService.checkPositions();
+
+    assert.equal(closedPositions.at(-1).direction, 'SHORT');
+    assert.equal(closedPositions.at(-1).exitPrice, 64000);
+    assert.ok(positionService.hasOpenPosition('BTCUSDT', 'LONG'));
+    assert.ok(!positionService.hasOpenPosition('BTCUSDT', 'SHORT'));
+    assert.ok(bybit.positions['BTCUSDT:1']);
+
+    await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+    await positionService.checkPositions();
+
+    assert.equal(closedPositions.at(-1).direction, 'LONG');
+    assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+  } finally {
+    config.bybit.positionMode = 'ONE_WAY';
+  }
+});
+
+scenario('Repeated OPEN scales in on a wider spread and CLOSE exits the whole stack', async () => {
+  Object.assign(config.scaleIn, { enabled: true, maxAdds: 1, sizeMode: 'FIXED', sizePercent: 50 });
+  try {
+    // last 3500 vs index 3480 → +0.575%
+    bybit.setPrice('ETHUSDT', 3500);
+    bybit.setIndexPrice('ETHUSDT', 3480);
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'SHORT', 0.575));
+
+    // Спред майже не змінився — докупівлі немає
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'SHORT', 0.6));
+    assert.equal(telegram.findMessages('Spread widened by 0.025%').length, 1);
+
+    // last 3520 → +1.149%: докуповуємо 50% першого входу
+    bybit.setPrice('ETHUSDT', 3520);
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'SHORT', 1.15));
+
+    const tracked = positionService.getOpenPosition('ETHUSDT', 'SHORT');
+    assert.equal(tracked.legs.length, 2);
+    assert.equal(tracked.legs[1].quantity, 0.019);
+    assert.equal(tracked.quantity, 0.056);
+    assert.ok(Math.abs(tracked.entryPrice - (0.037 * 3500 + 0.019 * 3520) / 0.056) < 1e-6);
+    assert.ok(Math.abs(bybit.positions['ETHUSDT:0'].size - 0.056) < 1e-9);
+    assert.equal(telegram.findMessages('POSITION SCALED IN').length, 1);
+
+    bybit.setPrice('ETHUSDT', 3540);
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'SHORT', 1.7));
+    assert.equal(telegram.findMessages('Maximum scale-ins (1) reached').length, 1);
+
+    await handleSignal(signal('CLOSE', 'ETHUSDT', 'SHORT'));
+    await positionService.checkPositions();
+
+    assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+    assert.equal(closedPositions.at(-1).quantity, 0.056);
+    assert.ok(!bybit.positions['ETHUSDT:0']);
+  } finally {
+    config.scaleIn.enabled = false;
+    bybit.setIndexPrice('ETHUSDT', null);
+  }
+});
+
+scenario('CLOSE exits in slices and the closed record aggregates them', async () => {
+  config.exitPlan.signalClosePercent = 50;
+  const exitsBefore = telegram.findMessages('<b>Exits:</b>').length;
+  try {
+    // last 3500 vs index 3530 → -0.85%
+    bybit.setPrice('ETHUSDT', 3500);
+    bybit.setIndexPrice('ETHUSDT', 3530);
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG', -0.85));
+
+    // План виходу: перший CLOSE закриває половину
+    bybit.setPrice('ETHUSDT', 3520);
+    await handleSignal(signal('CLOSE', 'ETHUSDT', 'LONG'));
+
+    let tracked = positionService.getOpenPosition('ETHUSDT', 'LONG');
+    assert.equal(tracked.quantity, 0.018);
+    assert.equal(tracked.slices[0].quantity, 0.019);
+    assert.ok(Math.abs(tracked.slices[0].grossPnl - 0.019 * 20) < 1e-9);
+    assert.equal(telegram.findMessages('POSITION PARTIALLY CLOSED').length, 1);
+
+    // Явна кількість у CLOSE
+    await handleSignal({ ...signal('CLOSE', 'ETHUSDT', 'LONG'), closeQuantity: 0.008 });
+    tracked = positionService.getOpenPosition('ETHUSDT', 'LONG');
+    assert.equal(tracked.quantity, 0.01);
+    assert.equal(tracked.slices.length, 2);
+
+    // Залишок — на повному сходженні спреду
+    bybit.setPrice('ETHUSDT', 3530);
+    await positionService.checkSpreadConvergence();
+    await positionService.checkPositions();
+
+    const closed = closedPositions.at(-1);
+    assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+    assert.equal(closed.exitReason, 'SPREAD_CONVERGED');
+    assert.equal(closed.quantity, 0.037);
+    assert.equal(closed.slices.length, 3);
+    assert.equal(closed.slices[2].quantity, 0.01);
+    assert.ok(Math.abs(closed.slices[2].exitPrice - 3530) < 1e-6);
+    assert.ok(Math.abs(closed.grossPnl - (0.027 * 20 + 0.01 * 30)) < 1e-9);
+    assert.equal(telegram.findMessages('<b>Exits:</b>').length, exitsBefore + 1);
+  } finally {
+    config.exitPlan.signalClosePercent = 100;
+    bybit.setIndexPrice('ETHUSDT', null);
+  }
+});
+
+scenario('Opposite OPEN flips the position and reports one reversal event', async () => {
+  config.reversal.policy = 'FLIP';
+  try {
+    bybit.setPrice('BTCUSDT', 65000);
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+
+    const openedBefore = telegram.findMessages('POSITION OPENED').length;
+    const closedBefore = telegram.findMessages('POSITION CLOSED').length;
+
+    bybit.setPrice('BTCUSDT', 64500);
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'SHORT'));
+
+    assert.equal(closedPositions.at(-1).direction, 'LONG');
+    assert.equal(closedPositions.at(-1).exitReason, 'REVERSAL');
+    assert.equal(positionService.getOpenPosition('BTCUSDT').direction, 'SHORT');
+    assert.equal(bybit.positions['BTCUSDT:0'].side, 'Sell');
+    assert.equal(bybit.positions['BTCUSDT:0'].size, 0.002);
+
+    const [message] = telegram.findMessages('POSITION REVERSAL');
+    assert.ok(message, 'no reversal message');
+    assert.match(message.text, /LONG → SHORT/);
+    assert.equal(telegram.findMessages('POSITION OPENED').length, openedBefore);
+    assert.equal(telegram.findMessages('POSITION CLOSED').length, closedBefore);
+
+    // Лише закриття — нова позиція не відкривається
+    config.reversal.policy = 'CLOSE_ONLY';
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+
+    assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+    assert.ok(!bybit.positions['BTCUSDT:0']);
+    assert.equal(closedPositions.at(-1).direction, 'SHORT');
+    assert.equal(telegram.findMessages('SHORT → FLAT').length, 1);
+  } finally {
+    config.reversal.policy = 'IGNORE';
+  }
+});
+
+scenario('Sizing mode per symbol: fixed notional and ATR-scaled size', async () => {
+  config.risk.sizingModeBySymbol = { BTCUSDT: 'FIXED_USDT', ETHUSDT: 'ATR' };
+  config.risk.fixedNotionalUSDT = 260;
+  try {
+    // 260 USDT / 65000 = 0.004 BTC незалежно від балансу
+    bybit.setPrice('BTCUSDT', 65000);
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+    assert.equal(ordersFor('BTCUSDT').at(-1).qty, 0.004);
+
+    // Діапазон свічки 70 USDT при ціні 3500 → ATR 2% при цільових 1% → множник 0.5
+    const candles = Array.from({ length: 15 }, () => ({ open: 3500, high: 3535, low: 3465, close: 3500 }));
+    bybit.setKlines('ETHUSDT', candles);
+    bybit.setPrice('ETHUSDT', 3500);
+
+    const equity = parseFloat(bybit._usdtCoin().equity);
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+
+    const expected = equity * 0.13 * 0.5 / 3500;
+    assert.ok(Math.abs(ordersFor('ETHUSDT').at(-1).qty - expected) <= 0.0005 + 1e-9);
+    assert.ok(bybit.requests.some(request => request.path === '/v5/market/kline'));
+
+    await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+    await handleSignal(signal('CLOSE', 'ETHUSDT', 'LONG'));
+    await positionService.checkPositions();
+    assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+    assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+  } finally {
+    config.risk.sizingModeBySymbol = {};
+    config.risk.fixedNotionalUSDT = 100;
+  }
+});
+
+scenario('RISK sizing uses the distance of the LIQUIDATION protective stop', async () => {
+  config.risk.sizingModeBySymbol = { ETHUSDT: 'RISK' };
+  config.risk.percentage = 1;
+  config.protectiveStop.mode = 'LIQUIDATION';
+  try {
+    // Плече 10x → ліквідація на 10%, запас 20% → стоп на 8%: 3500 → 3220
+    bybit.setPrice('ETHUSDT', 3500);
+    const equity = parseFloat(bybit._usdtCoin().equity);
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+
+    // Збиток на стопі = 1% equity, тобто номінал equity * 0.01 / 0.08, а не / SIZING_STOP_PERCENT
+    const expected = equity * 0.01 / 0.08 / 3500;
+    assert.ok(Math.abs(ordersFor('ETHUSDT').at(-1).qty - expected) <= 0.0005 + 1e-9);
+    assert.equal(bybit.positions['ETHUSDT:0'].stopLoss, 3220);
+
+    await handleSignal(signal('CLOSE', 'ETHUSDT', 'LONG'));
+    await positionService.checkPositions();
+    assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+  } finally {
+    config.risk.sizingModeBySymbol = {};
+    config.risk.percentage = 2.5;
+    config.protectiveStop.mode = 'PERCENT';
+  }
+});
+
+scenario('Symbol profiles from the config file override leverage, sizing and filters', async () => {
+  // FIXED_USDT 100 / 0.5 = 200 XRP з плечем профілю
+  await handleSignal(signal('OPEN', 'XRPUSDT', 'LONG'));
+  assert.equal(ordersFor('XRPUSDT').at(-1).qty, 200);
+  assert.equal(bybit.leverage.XRPUSDT, 5);
+  assert.equal(positionService.getOpenPosition('XRPUSDT').positionSizeUSDT, 100);
+
+  await handleSignal(signal('CLOSE', 'XRPUSDT', 'LONG'));
+  await positionService.checkPositions();
+  assert.ok(!positionService.hasOpenPosition('XRPUSDT'));
+
+  config.profiles.symbols.ETHUSDT = { enabled: false };
+  config.profiles.symbols.BTCUSDT = { minSpreadPercent: 0.5 };
+  try {
+    const ignoredBefore = telegram.findMessages('SIGNAL IGNORED').length;
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+
+    assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+    assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+    assert.equal(telegram.findMessages('SIGNAL IGNORED').length, ignoredBefore + 2);
+    assert.equal(telegram.findMessages('Spread already converged').length, 1);
+  } finally {
+    delete config.profiles.symbols.ETHUSDT;
+    delete config.profiles.symbols.BTCUSDT;
+  }
+});
+
+scenario('SIGHUP reloads profiles, announces the diff and rejects an invalid file', async () => {
+  const reloadSettled = () => new Promise(resolve => setTimeout(resolve, 200));
+
+  writeProfiles({ enabled: true, leverage: 3, sizingMode: 'FIXED_USDT' });
+  process.kill(process.pid, 'SIGHUP');
+  await reloadSettled();
+
+  assert.equal(config.profiles.symbols.XRPUSDT.leverage, 3);
+  const [applied] = telegram.findMessages('CONFIG RELOADED');
+  assert.ok(applied, 'no reload notice');
+  assert.equal(applied.chatId, ADMIN_CHAT_ID);
+  assert.match(applied.text, /profiles\.symbols\.XRPUSDT\.leverage<\/code>: 5 → 3/);
+
+  await handleSignal(signal('OPEN', 'XRPUSDT', 'LONG'));
+  assert.equal(bybit.leverage.XRPUSDT, 3);
+  await handleSignal(signal('CLOSE', 'XRPUSDT', 'LONG'));
+
+  // Невалідний файл — стара конфігурація лишається
+  writeProfiles({ enabled: true, leverage: 500 });
+  process.kill(process.pid, 'SIGHUP');
+  await reloadSettled();
+
+  assert.equal(config.profiles.symbols.XRPUSDT.leverage, 3);
+  const [rejected] = telegram.findMessages('CONFIG RELOAD REJECTED');
+  assert.ok(rejected, 'no rejection notice');
+  assert.match(rejected.text, /symbols\.XRPUSDT\.leverage must be an integer between 1 and 100 \(got 500\)/);
+
+  // enabled у defaults увімкнув би всі символи Bybit
+  fs.writeFileSync(profilesFile, JSON.stringify({ defaults: { enabled: true }, symbols: { XRPUSDT: { enabled: true } } }));
+  process.kill(process.pid, 'SIGHUP');
+  await reloadSettled();
+
+  assert.equal(config.profiles.defaults.enabled, undefined);
+  assert.equal(telegram.findMessages('defaults.enabled is not allowed').length, 1);
+});
+
+scenario('Daily loss trips the circuit breaker and rejects OPEN signals', async () => {
+  // Збиток попередніх сценаріїв не враховується
+  circuitBreakerService.reset();
+  config.circuitBreaker.maxDailyLossUSDT = 1;
+  try {
+    // 0.002 BTC, -1300 USDT ціни → -2.6 USDT
+    bybit.setPrice('BTCUSDT', 65000);
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+    bybit.setPrice('BTCUSDT', 63700);
+    await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+    await positionService.checkPositions();
+
+    assert.ok(await waitFor(() => telegram.findMessages('CIRCUIT BREAKER TRIPPED').length === 1));
+    assert.match(telegram.findMessages('CIRCUIT BREAKER TRIPPED')[0].text, /Daily loss \d+\.\d{2} USDT >= limit 1 USDT/);
+
+    const ordersBefore = bybit.orders.length;
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+
+    assert.equal(bybit.orders.length, ordersBefore);
+    assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+    assert.equal(telegram.findMessages('Circuit breaker tripped: Daily loss').length, 1);
+  } finally {
+    config.circuitBreaker.maxDailyLossUSDT = 0;
+    circuitBreakerService.reset();
+  }
+});
+
+scenario('Drawdown trip with CIRCUIT_BREAKER_FLATTEN closes every tracked position', async () => {
+  const referenceBefore = circuitBreakerService.referenceBalance;
+  Object.assign(config.circuitBreaker, { maxDrawdownPercent: 1, drawdownReference: 'START_BALANCE', flattenOnTrip: true });
+  bybit.setPrice('BTCUSDT', 65000);
+  bybit.setPrice('ETHUSDT', 3500);
+  circuitBreakerService.setReferenceBalance(parseFloat(bybit._usdtCoin().equity));
+  try {
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+    assert.equal(positionService.getOpenPositionsCount(), 2);
+
+    // -5% по обох позиціях (~260 USDT номіналу) → просадка ~1.3%; перевіряється на наступному OPEN
+    bybit.setPrice('BTCUSDT', 61750);
+    bybit.setPrice('ETHUSDT', 3325);
+    const ordersBefore = ordersFor('XRPUSDT').length;
+    await handleSignal(signal('OPEN', 'XRPUSDT', 'LONG'));
+    await positionService.checkPositions();
+
+    assert.equal(positionService.getOpenPositionsCount(), 0);
+    assert.deepEqual(closedPositions.slice(-2).map(position => position.exitReason), ['CIRCUIT_BREAKER', 'CIRCUIT_BREAKER']);
+    assert.equal(ordersFor('XRPUSDT').length, ordersBefore);
+
+    const [tripped] = telegram.findMessages('Drawdown').filter(message => message.text.includes('CIRCUIT BREAKER TRIPPED'));
+    assert.match(tripped.text, /Closed positions:<\/b>\n✅ BTCUSDT LONG\n✅ ETHUSDT LONG/);
+  } finally {
+    Object.assign(config.circuitBreaker, { maxDrawdownPercent: 0, drawdownReference: 'DAILY_PEAK', flattenOnTrip: false });
+    circuitBreakerService.setReferenceBalance(referenceBefore);
+    circuitBreakerService.reset();
+  }
+});
+
+scenario('/resetbreaker re-enables OPENs and its drawdown reference survives the next UTC day', async () => {
+  const referenceBefore = circuitBreakerService.referenceBalance;
+  Object.assign(config.circuitBreaker, { maxDrawdownPercent: 1, drawdownReference: 'START_BALANCE' });
+  bybit.setPrice('BTCUSDT', 65000);
+  try {
+    assert.match((await adminCommand('/resetbreaker')).text, /Circuit breaker is not tripped/);
+
+    // Баланс на старті вищий за поточний equity; equity падає ще на 5% — спрацювання по просадці
+    const equity = parseFloat(bybit._usdtCoin().equity);
+    circuitBreakerService.setReferenceBalance(equity * 1.05);
+    await circuitBreakerService.updateEquity(equity * 0.95);
+    assert.ok(circuitBreakerService.getStatus().tripped);
+
+    const reply = await adminCommand('/resetbreaker');
+    assert.match(reply.text, /Circuit breaker reset[\s\S]*Drawdown \d+\.\d{2}% from START_BALANCE/);
+
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+    assert.ok(positionService.hasOpenPosition('BTCUSDT', 'LONG'));
+    await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+    await positionService.checkPositions();
+
+    // Наступний день UTC: просадка й далі рахується від equity на момент скидання
+    circuitBreakerService.state.date = '2000-01-01';
+    await circuitBreakerService.updateEquity(parseFloat(bybit._usdtCoin().equity));
+    assert.ok(!circuitBreakerService.getStatus().tripped);
+  } finally {
+    Object.assign(config.circuitBreaker, { maxDrawdownPercent: 0, drawdownReference: 'DAILY_PEAK' });
+    circuitBreakerService.setReferenceBalance(referenceBefore);
+    circuitBreakerService.reset();
+  }
+});
+
+scenario('Admin commands are accepted only from TELEGRAM_ADMIN_CHAT_IDS', async () => {
+  const STRANGER_CHAT_ID = '777000';
+  telegram.pushMessage(STRANGER_CHAT_ID, '/pause');
+
+  // Оновлення обробляються по черзі: відповідь адміну означає, що /pause від чужого чату вже відкинуто
+  const status = await adminCommand('/status');
+  assert.match(status.text, /BOT STATUS[\s\S]*OPEN signals:<\/b> ▶️ ACCEPTED/);
+  assert.equal(telegram.messages.filter(message => message.chatId === STRANGER_CHAT_ID).length, 0);
+});
+
+scenario('/pause rejects OPEN signals while CLOSE is still processed; /resume accepts them again', async () => {
+  await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+  assert.ok(positionService.hasOpenPosition('BTCUSDT', 'LONG'));
+
+  assert.match((await adminCommand('/pause')).text, /Trading paused/);
+  try {
+    const pausedBefore = telegram.findMessages('Trading paused by admin').length;
+    await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+    assert.ok(!positionService.hasOpenPosition('ETHUSDT'));
+    assert.equal(telegram.findMessages('Trading paused by admin').length, pausedBefore + 1);
+
+    await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+    await positionService.checkPositions();
+    assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+
+    assert.match((await adminCommand('/status')).text, /OPEN signals:<\/b> ⏸ PAUSED/);
+  } finally {
+    assert.match((await adminCommand('/resume')).text, /Trading resumed/);
+  }
+
+  await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+  assert.ok(positionService.hasOpenPosition('ETHUSDT', 'LONG'));
+  await handleSignal(signal('CLOSE', 'ETHUSDT', 'LONG'));
+  await positionService.checkPositions();
+});
+
+scenario('/positions lists tracked and untracked legs; /close and /closeall close only tracked ones', async () => {
+  await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+  await handleSignal(signal('OPEN', 'ETHUSDT', 'LONG'));
+  bybit.seedPosition('SOLUSDT', 'Sell', 1, 150);
+  try {
+    const positions = await adminCommand('/positions');
+    assert.match(positions.text, /POSITIONS<\/b> \(tracked: 2, exchange: 3\)/);
+    assert.match(positions.text, /<b>BTCUSDT<\/b> LONG/);
+    assert.match(positions.text, /<b>ETHUSDT<\/b> LONG/);
+    assert.match(positions.text, /<b>SOLUSDT<\/b> SHORT 1 @ \$150 ⚠️ untracked/);
+
+    assert.match((await adminCommand('/close DOGEUSDT')).text, /No tracked position for DOGEUSDT/);
+    assert.match((await adminCommand('/close BTCUSDT')).text, /Close order submitted: BTCUSDT LONG/);
+    await positionService.checkPositions();
+    assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+    assert.equal(closedPositions.at(-1).exitReason, 'MANUAL');
+
+    const closeAll = await adminCommand('/closeall');
+    assert.match(closeAll.text, /CLOSE ALL<\/b>\n\n✅ ETHUSDT LONG$/);
+    await positionService.checkPositions();
+    assert.equal(positionService.getOpenPositionsCount(), 0);
+    assert.ok(bybit.positions['SOLUSDT:0'], 'untracked position was closed');
+    assert.match((await adminCommand('/closeall')).text, /No tracked positions/);
+  } finally {
+    delete bybit.positions['SOLUSDT:0'];
+  }
+});
+
+scenario('DRY_RUN fills on the virtual exchange with slippage and fees and labels messages [PAPER]', async () => {
+  const priceBefore = bybit.prices.BTCUSDT;
+  const ordersBefore = bybit.orders.length;
+  const messagesBefore = telegram.messages.length;
+  config.trading.dryRun = true;
+  try {
+    bybit.setPrice('BTCUSDT', 64000);
+    await handleSignal(signal('OPEN', 'BTCUSDT', 'LONG'));
+
+    // 13% від віртуальних 1000 USDT / 64000 = 0.002 BTC; Buy виконується на 0.05% вище ринку
+    const tracked = positionService.getOpenPosition('BTCUSDT', 'LONG');
+    assert.equal(tracked.quantity, 0.002);
+    assert.ok(Math.abs(tracked.entryPrice - 64032) < 1e-9);
+    const entryFee = 0.002 * 64032 * 0.00055;
+    assert.ok(Math.abs(tracked.entryFee - entryFee) < 1e-9);
+    assert.ok(Math.abs(paperExchangeService.getWalletBalance().walletBalance - (1000 - entryFee)) < 1e-9);
+    assert.equal(paperExchangeService.getPositions('BTCUSDT')[0].stopLoss > 0, true);
+
+    bybit.setPrice('BTCUSDT', 66000);
+    await handleSignal(signal('CLOSE', 'BTCUSDT', 'LONG'));
+    await positionService.checkPositions();
+
+    // Sell виконується на 0.05% нижче ринку; P&L береться з віртуальних closed PnL записів
+    const closed = closedPositions.at(-1);
+    const exitFee = 0.002 * 65967 * 0.00055;
+    assert.ok(!positionService.hasOpenPosition('BTCUSDT'));
+    assert.equal(closed.pnlSource, 'BYBIT');
+    assert.ok(Math.abs(closed.exitPrice - 65967) < 1e-9);
+    assert.ok(Math.abs(closed.grossPnl - 3.87) < 1e-9);
+    assert.ok(Math.abs(closed.fees - (entryFee + exitFee)) < 1e-9);
+    assert.ok(Math.abs(closed.pnl - (3.87 - entryFee - exitFee)) < 1e-9);
+    assert.ok(Math.abs(paperExchangeService.getWalletBalance().walletBalance - (1000 + closed.pnl)) < 1e-9);
+    assert.equal(paperExchangeService.getPositions().length, 0);
+
+    // Жоден ордер не пішов на біржу, а кожне повідомлення позначене
+    assert.equal(bybit.orders.length, ordersBefore);
+    const sent = telegram.messages.slice(messagesBefore);
+    assert.ok(sent.some(message => message.text.includes('POSITION OPENED')));
+    assert.ok(sent.some(message => message.text.includes('POSITION CLOSED - PROFIT')));
+    assert.ok(sent.every(message => message.text.startsWith('🧪 <b>[PAPER]</b>\n')));
+  } finally {
+    config.trading.dryRun = false;
+    bybit.setPrice('BTCUSDT', priceBefore);
+  }
+});
+
+scenario('Backtest replays a channel export over CSV klines with fees, stops and a summary', async () => {
+  const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'backtest');
+  const signals = loadSignalsFromExport(path.join(fixtures, 'result.json'));
+
+  // Повідомлення без сигналу відкидається; без TIME береться дата повідомлення
+  assert.deepEqual(signals.map(({ type, symbol, direction }) => `${type} ${symbol} ${direction}`), [
+    'OPEN BTCUSDT LONG', 'OPEN DOGEUSDT LONG', 'CLOSE BTCUSDT LONG', 'OPEN ETHUSDT SHORT', 'OPEN BTCUSDT SHORT'
+  ]);
+  assert.equal(signals[0].timestamp, Date.parse('2024-03-01T10:00:00Z'));
+  assert.equal(signals[0].messageId, 101);
+
+  const engine = new BacktestEngine({
+    initialBalance:  1000,
+    takerFeePercent: 0.055,
+    priceSeries: {
+      BTCUSDT: loadPriceSeries(path.join(fixtures, 'BTCUSDT.csv')),
+      ETHUSDT: loadPriceSeries(path.join(fixtures, 'ETHUSDT.csv'))
+    }
+  });
+  const { trades, rejected, equityCurve, summary } = await engine.run(signals);
+
+  assert.deepEqual(rejected.map(({ symbol, reason }) => `${symbol}: ${reason}`), ['DOGEUSDT: Symbol DOGEUSDT not in allowed list']);
+  assert.deepEqual(
+    trades.map(({ symbol, direction, entryPrice, exitPrice, quantity, exitReason }) =>
+      [symbol, direction, entryPrice, exitPrice, quantity, exitReason]),
+    [
+      // 13% від балансу по ціні відкриття бару; вихід по CLOSE — відкриття бару 10:30
+      ['BTCUSDT', 'LONG', 60000, 61000, 0.0022, 'SIGNAL'],
+      // Максимум бару 11:15 перетинає 3% аварійний стоп 3090
+      ['ETHUSDT', 'SHORT', 3000, 3090, 0.0434, 'STOP_LOSS'],
+      // Відкрита на кінець даних — по закриттю останнього бару
+      ['BTCUSDT', 'SHORT', 61000, 60500, 0.0021, 'END_OF_DATA']
+    ]
+  );
+
+  // Taker комісія 0.055% з номіналу входу та виходу
+  const expected = [[2.2, 0.0022 * 121000], [-3.906, 0.0434 * 6090], [1.05, 0.0021 * 121500]];
+  trades.forEach((trade, i) => {
+    const [grossPnl, notional] = expected[i];
+    assert.ok(Math.abs(trade.grossPnl - grossPnl) < 1e-9);
+    assert.ok(Math.abs(trade.fees - notional * 0.00055) < 1e-9);
+    assert.ok(Math.abs(trade.netPnl - (grossPnl - notional * 0.00055)) < 1e-9);
+  });
+  assert.equal(equityCurve.length, 4);
+
+  assert.equal(summary.totalSignals, 5);
+  assert.equal(summary.openSignals, 4);
+  assert.equal(summary.closeSignals, 1);
+  assert.equal(summary.rejectedSignals, 1);
+  assert.equal(summary.totalTrades, 3);
+  assert.equal(summary.winTrades, 2);
+  assert.equal(summary.loseTrades, 1);
+  assert.equal(summary.winRate, 66.67);
+  assert.equal(summary.grossPnl, -0.656);
+  assert.equal(summary.totalFees, 0.4321);
+  assert.equal(summary.netPnl, -1.0881);
+  assert.equal(summary.profitFactor, 0.73);
+  assert.equal(summary.avgHoldingMinutes, 25);
+  assert.deepEqual(summary.exitReasons, { SIGNAL: 1, STOP_LOSS: 1, END_OF_DATA: 1 });
+  assert.equal(summary.finalBalance, 998.9119);
+  assert.equal(summary.roi, -0.11);
+  assert.equal(summary.maxDrawdown, 4.0514);
+  assert.equal(summary.maxDrawdownPercent, 0.4);
+});
+
+async function runE2E() {
+  let failed = 0;
+
+  try {
+    await initialize();
+    assert.equal(telegram.findMessages('TRADING BOT STARTED').length, 1);
+
+    for (const { name, run } of scenarios) {
+      try {
+        await run();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failed++;
+        console.log(`❌ ${name}\n   ${error.message}`);
+      }
+    }
+  } catch (error) {
+    failed++;
+    console.log(`❌ Bot failed to start: ${error.message}`);
+  }
+
+  console.log(`\n${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+
+  positionService.stopMonitoring();
+  await telegramService.bot.stopPolling();
+  await Promise.all([bybit.stop(), telegram.stop()]);
+  fs.rmSync(stateDir, { recursive: true, force: true });
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runE2E();
@@ -0,0 +1,623 @@
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+/**
+ * Локальний mock Bybit V5 REST API для інтеграційного тестування.
+ *
+ * Реалізує лише ті endpoint-и, які використовує BybitService:
+ *   GET  /v5/market/time, /v5/market/instruments-info, /v5/market/tickers, /v5/market/kline
+ *   GET  /v5/account/wallet-balance, /v5/position/list, /v5/execution/list
+ *   GET  /v5/order/realtime, /v5/order/history, /v5/position/closed-pnl, /v5/account/transaction-log
+ *   POST /v5/position/set-leverage, /v5/order/create, /v5/position/trading-stop
+ *   POST /v5/order/amend, /v5/order/cancel
+ *
+ * Market ордери виконуються одразу. Limit ордери чекають, поки setPrice()
+ * перетне їхню ціну; PostOnly, що перетнув би стакан (bid/ask), скасовується.
+ * Підпис запитів не перевіряється. Ціни та помилки керуються зі сценарію:
+ *   server.setPrice('BTCUSDT', 65000);
+ *   server.failNext('/v5/order/create', 110007, 'ab not enough for new order');
+ *
+ * Запуск окремо (BYBIT_BASE_URL=http://127.0.0.1:8555):
+ *   npm run mock:bybit -- --port 8555
+ */
+export class MockBybitServer {
+  constructor({ balance = 1000, takerFeeRate = 0.00055, makerFeeRate = 0.0002 } = {}) {
+    this.balance = balance;
+    this.feeRates = { Market: takerFeeRate, Limit: makerFeeRate };
+    this.prices = {};        // symbol -> lastPrice
+    this.indexPrices = {};   // symbol -> indexPrice (за замовчуванням = lastPrice)
+    this.books = {};         // symbol -> { bid, ask } (за замовчуванням lastPrice ∓ крок ціни)
+    this.klines = {};        // symbol -> свічки від старих до нових { open, high, low, close }
+    this.instruments = {};   // symbol -> параметри lotSizeFilter / priceScale
+    this.leverage = {};      // symbol -> плече
+    this.positions = {};     // `${symbol}:${positionIdx}` -> позиція
+    this.orders = [];        // усі створені ордери (для перевірок у сценаріях)
+    this.limitOrders = {};   // orderId -> Limit ордер зі статусом
+    this.executions = [];    // новіші першими, формат Bybit execution list
+    this.closedPnl = [];     // новіші першими, формат Bybit closed PnL
+    this.transactions = [];  // новіші першими, формат Bybit transaction log (лише SETTLEMENT)
+    this.requests = [];      // журнал запитів { method, path, params }
+    this.failures = {};      // path -> черга { retCode, retMsg }
+    this.partialFills = [];  // черга часток виконання наступних Market ордерів
+    this.limitPartialFills = []; // черга часток виконання наступних Limit ордерів
+    this.orderSequence = 0;
+    this.server = null;
+  }
+
+  /**
+   * Встановлює ринкову ціну символу (і додає інструмент, якщо його ще немає)
+   */
+  setPrice(symbol, price) {
+    this.prices[symbol] = price;
+    if (!this.instruments[symbol]) {
+      this.addInstrument(symbol);
+    }
+    this._matchLimitOrders(symbol);
+  }
+
+  /**
+   * Встановлює best bid / ask символу
+   */
+  setBook(symbol, bid, ask) {
+    this.books[symbol] = { bid, ask };
+  }
+
+  /**
+   * Встановлює index price (для перевірки спреду last vs index)
+   */
+  setIndexPrice(symbol, indexPrice) {
+    this.indexPrices[symbol] = indexPrice;
+  }
+
+  /**
+   * Встановлює свічки символу (від старих до нових) для GET /v5/market/kline
+   */
+  setKlines(symbol, candles) {
+    this.klines[symbol] = candles;
+  }
+
+  addInstrument(symbol, { qtyStep = '0.001', minQty = '0.001', maxQty = '1000', priceScale = '2', tickSize = '0.01', status = 'Trading' } = {}) {
+    this.instruments[symbol] = { qtyStep, minQty, maxQty, priceScale, tickSize, status };
+  }
+
+  /**
+   * Наступний запит на path поверне помилку з указаним retCode
+   */
+  failNext(path, retCode, retMsg = 'Mock error') {
+    (this.failures[path] = this.failures[path] || []).push({ retCode, retMsg });
+  }
+
+  /**
+   * Наступний Market ордер виконається лише на fraction від кількості (решта скасовується)
+   */
+  partialFillNext(fraction) {
+    this.partialFills.push(fraction);
+  }
+
+  /**
+   * Наступний Limit ордер, який перетне ціна, виконається лише на fraction і лишиться
+   * активним (PartiallyFilled) до скасування
+   */
+  partialFillNextLimit(fraction) {
+    this.limitPartialFills.push(fraction);
+  }
+
+  /**
+   * Розрахунок фінансування по відкритій позиції: amount > 0 — позиція отримує, < 0 — платить
+   */
+  settleFunding(symbol, amount, positionIdx = 0) {
+    const position = this.positions[`${symbol}:${positionIdx}`];
+    if (!position) {
+      throw new Error(`Mock: no position for ${symbol}`);
+    }
+
+    this.balance += amount;
+    this.transactions.unshift({
+      symbol,
+      category:        'linear',
+      side:            position.side,
+      type:            'SETTLEMENT',
+      transactionTime: Date.now().toString(),
+      size:            position.size.toString(),
+      funding:         (-amount).toString(),
+      change:          amount.toString(),
+      cashFlow:        '0',
+      fee:             '0'
+    });
+  }
+
+  /**
+   * Позиція, відкрита до запуску бота: сама позиція та виконання, що її відкрило
+   * (без запису в this.orders — ордери поточної сесії)
+   * @returns {string} orderId відкриваючого ордера
+   */
+  seedPosition(symbol, side, size, avgPrice, { positionIdx = 0, orderLinkId = '', execTime = Date.now() } = {}) {
+    if (!this.instruments[symbol]) {
+      this.addInstrument(symbol);
+    }
+
+    const orderId = `mock-${++this.orderSequence}`;
+    this.positions[`${symbol}:${positionIdx}`] = {
+      symbol, side, positionIdx, size, avgPrice, stopLoss: 0, openFee: 0,
+      leverage: this.leverage[symbol] || 1
+    };
+    this.executions.unshift({
+      symbol,
+      side,
+      orderId,
+      orderLinkId,
+      orderType:     'Market',
+      execPrice:     avgPrice.toString(),
+      execQty:       size.toString(),
+      execFee:       '0',
+      execTime:      execTime.toString(),
+      closedSize:    '0',
+      stopOrderType: ''
+    });
+
+    return orderId;
+  }
+
+  /**
+   * Закриває позицію «з боку біржі» — спрацювання стопу, ліквідація, ручне закриття
+   */
+  closePosition(symbol, positionIdx = 0, stopOrderType = '') {
+    const position = this.positions[`${symbol}:${positionIdx}`];
+    if (!position) {
+      throw new Error(`Mock: no position for ${symbol}`);
+    }
+
+    this._fill({
+      symbol,
+      side:        position.side === 'Buy' ? 'Sell' : 'Buy',
+      qty:         position.size,
+      positionIdx,
+      reduceOnly:  true,
+      stopOrderType
+    });
+  }
+
+  /**
+   * Запускає сервер; port 0 — будь-який вільний порт
+   * @returns {Promise<string>} базовий URL
+   */
+  start(port = 0) {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let params = Object.fromEntries(url.searchParams);
+
+    if (req.method === 'POST') {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      params = body ? JSON.parse(body) : {};
+    }
+
+    this.requests.push({ method: req.method, path: url.pathname, params });
+
+    const reply = (result, retCode = 0, retMsg = 'OK') => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ retCode, retMsg, result, retExtInfo: {}, time: Date.now() }));
+    };
+
+    const failure = this.failures[url.pathname]?.shift();
+    if (failure) {
+      return reply({}, failure.retCode, failure.retMsg);
+    }
+
+    try {
+      switch (`${req.method} ${url.pathname}`) {
+        case 'GET /v5/market/time':
+          return reply({
+            timeSecond: Math.floor(Date.now() / 1000).toString(),
+            timeNano:   (BigInt(Date.now()) * 1000000n).toString()
+          });
+
+        case 'GET /v5/account/wallet-balance':
+          return reply({ list: [{ accountType: 'UNIFIED', coin: [this._usdtCoin()] }] });
+
+        case 'GET /v5/market/instruments-info':
+          return reply({ category: 'linear', list: this._instrumentList(params.symbol) });
+
+        case 'GET /v5/market/tickers':
+          return reply({
+            category: 'linear',
+            list: Object.entries(this.prices)
+              .filter(([symbol]) => !params.symbol || symbol === params.symbol)
+              .map(([symbol, price]) => ({
+                symbol,
+                lastPrice:  price.toString(),
+                markPrice:  price.toString(),
+                indexPrice: (this.indexPrices[symbol] || price).toString(),
+                bid1Price:  this._book(symbol).bid.toString(),
+                ask1Price:  this._book(symbol).ask.toString()
+              }))
+          });
+
+        case 'GET /v5/market/kline': {
+          const limit = parseInt(params.limit) || 200;
+          const interval = parseInt(params.interval) || 1;
+          const candles = (this.klines[params.symbol] || []).slice(-limit);
+          const start = Date.now() - candles.length * interval * 60000;
+          return reply({
+            category: 'linear',
+            symbol:   params.symbol,
+            list: candles
+              .map((c, i) => [start + i * interval * 60000, c.open, c.high, c.low, c.close, 0, 0].map(String))
+              .reverse()
+          });
+        }
+
+        case 'POST /v5/position/set-leverage':
+          if (this.leverage[params.symbol] === parseFloat(params.buyLeverage)) {
+            return reply({}, 110043, 'leverage not modified');
+          }
+          this.leverage[params.symbol] = parseFloat(params.buyLeverage);
+          return reply({});
+
+        case 'POST /v5/order/create':
+          if (params.orderLinkId && (
+            this.orders.some(order => order.orderLinkId === params.orderLinkId) ||
+            Object.values(this.limitOrders).some(order => order.orderLinkId === params.orderLinkId)
+          )) {
+            return reply({}, 110072, 'OrderLinkedID is duplicate');
+          }
+          if (params.orderType === 'Limit') {
+            return reply(this._placeLimit(params));
+          }
+          return reply(this._fill({
+            symbol:      params.symbol,
+            side:        params.side,
+            qty:         this._marketQty(params),
+            positionIdx: params.positionIdx || 0,
+            reduceOnly:  params.reduceOnly === true,
+            orderLinkId: params.orderLinkId
+          }));
+
+        case 'POST /v5/position/trading-stop': {
+          const position = this.positions[`${params.symbol}:${params.positionIdx || 0}`];
+          if (!position) {
+            return reply({}, 10001, 'can not set tp/sl/ts for zero position');
+          }
+          position.stopLoss = parseFloat(params.stopLoss) || 0;
+          return reply({});
+        }
+
+        case 'POST /v5/order/amend': {
+          const order = this.limitOrders[params.orderId];
+          if (!order || order.status !== 'New') {
+            return reply({}, 110001, 'order not exists or too late to replace');
+          }
+          order.price = parseFloat(params.price);
+          this._checkPostOnly(order);
+          return reply({ orderId: order.orderId, orderLinkId: order.orderLinkId });
+        }
+
+        case 'POST /v5/order/cancel': {
+          const order = this.limitOrders[params.orderId];
+          if (!order || !this._isActive(order)) {
+            return reply({}, 110001, 'order not exists or too late to cancel');
+          }
+          order.status = 'Cancelled';
+          return reply({ orderId: order.orderId, orderLinkId: order.orderLinkId });
+        }
+
+        case 'GET /v5/order/realtime':
+        case 'GET /v5/order/history': {
+          const active = url.pathname === '/v5/order/realtime';
+          return reply({
+            category: 'linear',
+            list: Object.values(this.limitOrders)
+              .filter(order => !params.orderId || order.orderId === params.orderId)
+              .filter(order => this._isActive(order) === active)
+              .map(order => this._orderView(order))
+          });
+        }
+
+        case 'GET /v5/position/closed-pnl':
+          return reply({
+            category: 'linear',
+            ...this._page(
+              this.closedPnl.filter(record => !params.symbol || record.symbol === params.symbol),
+              'createdTime',
+              params
+            )
+          });
+
+        case 'GET /v5/account/transaction-log':
+          return reply(this._page(
+            this.transactions.filter(record => !params.type || record.type === params.type),
+            'transactionTime',
+            params
+          ));
+
+        case 'GET /v5/position/list':
+          return reply({
+            category: 'linear',
+            list: Object.values(this.positions)
+              .filter(pos => !params.symbol || pos.symbol === params.symbol)
+              .map(pos => this._positionView(pos))
+          });
+
+        case 'GET /v5/execution/list':
+          return reply({
+            category: 'linear',
+            list: this.executions
+              .filter(exec => !params.symbol || exec.symbol === params.symbol)
+              .filter(exec => !params.orderId || exec.orderId === params.orderId)
+              .slice(0, parseInt(params.limit || '50'))
+          });
+
+        default:
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ retCode: 10404, retMsg: `Mock: ${url.pathname} not implemented` }));
+      }
+    } catch (error) {
+      return reply({}, 10016, error.message);
+    }
+  }
+
+  /**
+   * Приймає Limit ордер: PostOnly, що перетинає стакан, скасовується,
+   * звичайний Limit, що перетинає ціну, виконується одразу
+   */
+  _placeLimit(params) {
+    const orderId = `mock-${++this.orderSequence}`;
+    const order = {
+      orderId,
+      orderLinkId: params.orderLinkId || '',
+      symbol:      params.symbol,
+      side:        params.side,
+      qty:         parseFloat(params.qty),
+      price:       parseFloat(params.price),
+      positionIdx: params.positionIdx || 0,
+      reduceOnly:  params.reduceOnly === true,
+      postOnly:    params.timeInForce === 'PostOnly',
+      status:      'New',
+      avgPrice:    0,
+      filledQty:   0,
+      rejectReason: ''
+    };
+
+    this.limitOrders[orderId] = order;
+    this._checkPostOnly(order);
+    this._matchLimitOrders(order.symbol);
+
+    return { orderId, orderLinkId: order.orderLinkId };
+  }
+
+  _checkPostOnly(order) {
+    const { bid, ask } = this._book(order.symbol);
+    const crosses = order.side === 'Buy' ? order.price >= ask : order.price <= bid;
+
+    if (order.postOnly && crosses) {
+      order.status = 'Cancelled';
+      order.rejectReason = 'EC_PostOnlyWillTakeLiquidity';
+    }
+  }
+
+  /**
+   * Виконує Limit ордери, ціну яких перетнула поточна ціна
+   */
+  _matchLimitOrders(symbol) {
+    const price = this.prices[symbol];
+
+    for (const order of Object.values(this.limitOrders)) {
+      if (order.symbol !== symbol || order.status !== 'New') continue;
+      if (order.side === 'Buy' ? price > order.price : price < order.price) continue;
+
+      try {
+        const fraction = this.limitPartialFills.shift();
+        const qty = fraction ? this._partialQty(symbol, order.qty, fraction) : order.qty;
+
+        this._fill({ ...order, qty, orderType: 'Limit' });
+        order.status = qty < order.qty ? 'PartiallyFilled' : 'Filled';
+        order.filledQty = qty;
+        order.avgPrice = order.price;
+      } catch (error) {
+        // reduce-only без позиції
+        order.status = 'Cancelled';
+        order.rejectReason = error.message;
+      }
+    }
+  }
+
+  _marketQty(params) {
+    const qty = parseFloat(params.qty);
+    const fraction = this.partialFills.shift();
+    return fraction ? this._partialQty(params.symbol, qty, fraction) : qty;
+  }
+
+  _partialQty(symbol, qty, fraction) {
+    const step = parseFloat(this.instruments[symbol]?.qtyStep || '0.001');
+    return Math.round(Math.floor(qty * fraction / step) * step * 1e8) / 1e8;
+  }
+
+  /**
+   * Сторінка записів за період startTime..endTime: cursor — зсув, nextPageCursor порожній на останній
+   */
+  _page(records, timeField, params) {
+    const inRange = records
+      .filter(record => !params.startTime || parseInt(record[timeField]) >= parseInt(params.startTime))
+      .filter(record => !params.endTime || parseInt(record[timeField]) <= parseInt(params.endTime));
+    const offset = parseInt(params.cursor || '0');
+    const limit = parseInt(params.limit || '50');
+
+    return {
+      list: inRange.slice(offset, offset + limit),
+      nextPageCursor: offset + limit < inRange.length ? String(offset + limit) : ''
+    };
+  }
+
+  _isActive(order) {
+    return order.status === 'New' || order.status === 'PartiallyFilled';
+  }
+
+  _book(symbol) {
+    const price = this.prices[symbol];
+    const tick = parseFloat(this.instruments[symbol]?.tickSize || '0.01');
+    return this.books[symbol] || { bid: price - tick, ask: price + tick };
+  }
+
+  _orderView(order) {
+    return {
+      orderId:      order.orderId,
+      orderLinkId:  order.orderLinkId,
+      symbol:       order.symbol,
+      side:         order.side,
+      orderType:    'Limit',
+      price:        order.price.toString(),
+      qty:          order.qty.toString(),
+      cumExecQty:   order.filledQty.toString(),
+      avgPrice:     order.avgPrice.toString(),
+      orderStatus:  order.status,
+      timeInForce:  order.postOnly ? 'PostOnly' : 'GTC',
+      rejectReason: order.rejectReason
+    };
+  }
+
+  /**
+   * Виконує ордер по поточній (або лімітній) ціні та оновлює позицію
+   */
+  _fill({ symbol, side, qty, positionIdx = 0, reduceOnly = false, orderLinkId = '', stopOrderType = '', orderId = null, orderType = 'Market', ...rest }) {
+    const price = rest.price || this.prices[symbol];
+    if (!price) {
+      throw new Error(`Mock: no price for ${symbol}`);
+    }
+
+    const key = `${symbol}:${positionIdx}`;
+    const position = this.positions[key];
+
+    if (reduceOnly && (!position || position.side === side)) {
+      throw new Error('current position is zero, cannot fix reduce-only order qty');
+    }
+
+    const fee = qty * price * this.feeRates[orderType];
+    this.balance -= fee;
+    orderId = orderId || `mock-${++this.orderSequence}`;
+
+    let closedSize = 0;
+    if (position && position.side !== side) {
+      closedSize = Math.min(qty, position.size);
+      const direction = position.side === 'Buy' ? 1 : -1;
+      const realised = (price - position.avgPrice) * closedSize * direction;
+      this.balance += realised;
+
+      // closedPnl — за вирахуванням частки комісії входу та комісії виходу
+      const openFeeShare = position.openFee * closedSize / position.size;
+      position.openFee -= openFeeShare;
+      this.closedPnl.unshift({
+        symbol,
+        orderId,
+        side,
+        closedSize:    closedSize.toString(),
+        avgEntryPrice: position.avgPrice.toString(),
+        avgExitPrice:  price.toString(),
+        cumEntryValue: (closedSize * position.avgPrice).toString(),
+        cumExitValue:  (closedSize * price).toString(),
+        closedPnl:     (realised - openFeeShare - fee * closedSize / qty).toString(),
+        createdTime:   Date.now().toString()
+      });
+
+      position.size -= closedSize;
+      if (position.size <= 0) delete this.positions[key];
+    } else if (position) {
+      position.avgPrice = (position.avgPrice * position.size + price * qty) / (position.size + qty);
+      position.size += qty;
+      position.openFee += fee;
+    } else {
+      this.positions[key] = {
+        symbol, side, positionIdx, size: qty, avgPrice: price, stopLoss: 0, openFee: fee,
+        leverage: this.leverage[symbol] || 1
+      };
+    }
+
+    this.orders.push({ orderId, orderLinkId, symbol, side, qty, price, positionIdx, reduceOnly, orderType });
+    this.executions.unshift({
+      symbol,
+      side,
+      orderId,
+      orderLinkId,
+      orderType,
+      execPrice:     price.toString(),
+      execQty:       qty.toString(),
+      execFee:       fee.toString(),
+      execTime:      Date.now().toString(),
+      closedSize:    closedSize.toString(),
+      stopOrderType
+    });
+
+    return { orderId, orderLinkId };
+  }
+
+  _positionView(pos) {
+    const markPrice = this.prices[pos.symbol] || pos.avgPrice;
+    const direction = pos.side === 'Buy' ? 1 : -1;
+
+    return {
+      symbol:        pos.symbol,
+      side:          pos.side,
+      size:          pos.size.toString(),
+      avgPrice:      pos.avgPrice.toString(),
+      markPrice:     markPrice.toString(),
+      unrealisedPnl: ((markPrice - pos.avgPrice) * pos.size * direction).toString(),
+      leverage:      pos.leverage.toString(),
+      positionIdx:   pos.positionIdx,
+      liqPrice:      (pos.avgPrice * (1 - direction / pos.leverage)).toString(),
+      stopLoss:      pos.stopLoss.toString()
+    };
+  }
+
+  _usdtCoin() {
+    const unrealised = Object.values(this.positions)
+      .reduce((sum, pos) => sum + parseFloat(this._positionView(pos).unrealisedPnl), 0);
+
+    return {
+      coin:                'USDT',
+      walletBalance:       this.balance.toString(),
+      availableToWithdraw: this.balance.toString(),
+      equity:              (this.balance + unrealised).toString()
+    };
+  }
+
+  _instrumentList(symbol) {
+    return Object.entries(this.instruments)
+      .filter(([name]) => !symbol || name === symbol)
+      .map(([name, info]) => ({
+        symbol:        name,
+        status:        info.status,
+        baseCoin:      name.replace(/USDT$/, ''),
+        quoteCoin:     'USDT',
+        priceScale:    info.priceScale,
+        priceFilter:   { tickSize: info.tickSize },
+        lotSizeFilter: { qtyStep: info.qtyStep, minOrderQty: info.minQty, minQty: info.minQty, maxOrderQty: info.maxQty, maxQty: info.maxQty }
+      }));
+  }
+}
+
+// Запуск як окремого процесу
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex !== -1 ? parseInt(process.argv[portIndex + 1]) : 8555;
+
+  const server = new MockBybitServer();
+  for (const entry of (process.env.MOCK_PRICES || 'BTCUSDT:65000,ETHUSDT:3500').split(',')) {
+    const [symbol, price] = entry.split(':');
+    server.setPrice(symbol.trim().toUpperCase(), parseFloat(price));
+  }
+
+  server.start(port).then(url => console.log(`Mock Bybit V5 API listening on ${url}`));
+}
@@ -0,0 +1,100 @@
+import http from 'http';
+
+/**
+ * Локальний mock Telegram Bot API для інтеграційного тестування.
+ *
+ * Записує всі sendMessage у this.messages та віддає боту оновлення,
+ * додані через pushChannelPost() / pushMessage(), на getUpdates.
+ * Інші методи Bot API відповідають { ok: true, result: true }.
+ *
+ * Бот підключається через TELEGRAM_API_URL=http://127.0.0.1:<port>
+ */
+export class MockTelegramServer {
+  constructor() {
+    this.messages = [];   // { chatId, text }
+    this.updates = [];    // черга оновлень для getUpdates
+    this.updateId = 0;
+    this.messageId = 0;
+    this.server = null;
+  }
+
+  /**
+   * Публікує повідомлення в каналі (сигнал Spread Monitor Bot)
+   */
+  pushChannelPost(chatId, text) {
+    this.updates.push({
+      update_id:    ++this.updateId,
+      channel_post: { message_id: ++this.messageId, chat: { id: Number(chatId), type: 'channel' }, date: Math.floor(Date.now() / 1000), text }
+    });
+  }
+
+  /**
+   * Надсилає боту приватне повідомлення (команда адміністратора)
+   */
+  pushMessage(chatId, text) {
+    this.updates.push({
+      update_id: ++this.updateId,
+      message:   { message_id: ++this.messageId, chat: { id: Number(chatId), type: 'private' }, date: Math.floor(Date.now() / 1000), text }
+    });
+  }
+
+  /**
+   * Повідомлення, відправлені ботом, що містять substring
+   */
+  findMessages(substring) {
+    return this.messages.filter(message => message.text.includes(substring));
+  }
+
+  start(port = 0) {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.closeAllConnections();
+      this.server.close(() => resolve());
+    });
+  }
+
+  async _handle(req, res) {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    const params = (req.headers['content-type'] || '').includes('application/json')
+      ? JSON.parse(body || '{}')
+      : Object.fromEntries(new URLSearchParams(body));
+
+    const method = req.url.split('?')[0].split('/').pop();
+    const reply = (result) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, result }));
+    };
+
+    switch (method) {
+      case 'sendMessage':
+        this.messages.push({ chatId: params.chat_id.toString(), text: params.text });
+        return reply({ message_id: ++this.messageId, chat: { id: Number(params.chat_id) }, text: params.text });
+
+      case 'getUpdates': {
+        const offset = parseInt(params.offset || '0');
+        this.updates = this.updates.filter(update => update.update_id >= offset);
+        // Короткий long-polling, щоб бот не засипав mock запитами
+        if (this.updates.length === 0) {
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        return reply(this.updates);
+      }
+
+      default:
+        return reply(true);
+    }
+  }
+}
@@ -0,0 +1,480 @@
+import fs from 'fs';
+import { config, getSymbolProfile } from '../config/settings.js';
+import { validateSignalRules } from './signal-validation.service.js';
+import { calculatePositionParameters, calculateProtectiveStopPrice, hasSufficientBalance } from './risk.service.js';
+import { isSignalMessage, parseSignal } from '../utils/signal-parser.js';
+import { calculatePnL, calculatePnLPercent, roundToDecimal } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+
+// Інформація про символ, якщо не передано --symbol-info
+const DEFAULT_SYMBOL_INFO = {
+  tickSize:       0.0001,
+  minQty:         0,
+  maxQty:         Infinity,
+  pricePrecision: 4,
+  status:         'Trading'
+};
+
+/**
+ * Завантажує сигнали з експорту історії каналу.
+ *
+ * Підтримувані формати:
+ *   - JSON експорт Telegram Desktop (result.json: { messages: [{ id, date, text }] })
+ *   - текстовий файл, де повідомлення йдуть одне за одним
+ *     (кожне починається з рядка "📊 SPREAD SIGNAL" або "✅ SPREAD CLOSED")
+ *
+ * @returns {Object[]} сигнали, відсортовані за часом
+ */
+export function loadSignalsFromExport(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  let messages;
+
+  if (filePath.endsWith('.json')) {
+    const data = JSON.parse(raw);
+    messages = (data.messages || []).map(msg => ({
+      id:   msg.id,
+      text: Array.isArray(msg.text)
+        ? msg.text.map(part => (typeof part === 'string' ? part : part.text || '')).join('')
+        : msg.text || '',
+      date: msg.date_unixtime ? parseInt(msg.date_unixtime) * 1000 : Date.parse(msg.date)
+    }));
+  } else {
+    messages = raw
+      .split(/\r?\n(?=[^\n]*SPREAD (?:SIGNAL|CLOSED))/)
+      .map((text, index) => ({ id: index + 1, text, date: null }));
+  }
+
+  const signals = messages
+    .filter(msg => isSignalMessage(msg.text))
+    .map(msg => {
+      const signal = parseSignal(msg.text, msg.date || NaN);
+      return signal ? { ...signal, messageId: msg.id } : null;
+    })
+    .filter(signal => signal && !isNaN(signal.timestamp));
+
+  signals.sort((a, b) => a.timestamp - b.timestamp);
+
+  logger.info(`[BACKTEST] Loaded ${signals.length} signals from ${filePath}`);
+  return signals;
+}
+
+/**
+ * Завантажує історичні ціни з CSV.
+ *
+ * Kline CSV:  timestamp,open,high,low,close[,volume...]  (заголовок необов'язковий)
+ * Trade CSV:  timestamp,...,price[,...]                  (заголовок з колонкою "price")
+ *
+ * timestamp — мілісекунди, секунди або ISO-дата.
+ *
+ * @returns {Object[]} [{ time, open, high, low, close }] відсортовані за часом
+ */
+export function loadPriceSeries(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return [];
+
+  const firstRow = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+  const hasHeader = firstRow.some(cell => isNaN(parseFloat(cell)) && isNaN(Date.parse(cell)));
+  const header = hasHeader ? firstRow : ['timestamp', 'open', 'high', 'low', 'close'];
+  const rows = hasHeader ? lines.slice(1) : lines;
+
+  const timeColumn = header.findIndex(name =>
+    ['timestamp', 'time', 'start', 'starttime', 'open_time', 'date'].includes(name)
+  );
+  const column = (name) => header.indexOf(name);
+
+  if (timeColumn === -1) {
+    throw new Error(`${filePath}: timestamp column not found`);
+  }
+
+  const isTradeData = column('price') !== -1 && column('close') === -1;
+
+  const series = rows.map(line => {
+    const cells = line.split(',').map(cell => cell.trim());
+    const time = parseTimestamp(cells[timeColumn]);
+
+    if (isTradeData) {
+      const price = parseFloat(cells[column('price')]);
+      return { time, open: price, high: price, low: price, close: price };
+    }
+
+    return {
+      time,
+      open:  parseFloat(cells[column('open')]),
+      high:  parseFloat(cells[column('high')]),
+      low:   parseFloat(cells[column('low')]),
+      close: parseFloat(cells[column('close')])
+    };
+  }).filter(bar => !isNaN(bar.time) && !isNaN(bar.open));
+
+  series.sort((a, b) => a.time - b.time);
+  return series;
+}
+
+function parseTimestamp(value) {
+  const numeric = Number(value);
+  if (!isNaN(numeric)) {
+    // Секунди (Bybit trade CSV) або мілісекунди
+    return numeric < 1e12 ? Math.round(numeric * 1000) : numeric;
+  }
+  return Date.parse(value);
+}
+
+/**
+ * Бектест: програє архівні сигнали через ту ж валідацію (validateSignalRules)
+ * та розрахунок розміру позиції (calculatePositionParameters), що й живий бот.
+ *
+ * Виконання:
+ *   - вхід/вихід по ціні відкриття першого бару (або угоди) не раніше часу сигналу
+ *   - ціна погіршується на slippagePercent, з кожної сторони списується takerFeePercent
+ *   - аварійний стоп (config.protectiveStop) та ліміт часу утримання
+ *     (maxHoldingMinutes профілю символу) перевіряються по барах між сигналами
+ *   - позиції, відкриті на кінець даних, закриваються по останній ціні (END_OF_DATA)
+ */
+export class BacktestEngine {
+  /**
+   * @param {Object} options
+   *   initialBalance   — початковий баланс USDT
+   *   takerFeePercent  — комісія taker, % від номіналу (Bybit: 0.055)
+   *   slippagePercent  — прослизання, % від ціни
+   *   priceSeries      — { SYMBOL: [{ time, open, high, low, close }] }
+   *   symbolInfo       — { SYMBOL: { tickSize, minQty, maxQty, pricePrecision, status } }
+   */
+  constructor(options) {
+    this.initialBalance  = options.initialBalance;
+    this.takerFeePercent = options.takerFeePercent;
+    this.slippagePercent = options.slippagePercent || 0;
+    this.priceSeries     = options.priceSeries || {};
+    this.symbolInfo      = options.symbolInfo || {};
+
+    this.balance       = this.initialBalance; // реалізований баланс
+    this.openPositions = new Map();           // symbol -> position
+    this.trades        = [];
+    this.equityCurve   = [];
+    this.rejected      = [];
+    this.dailyTrades   = {};                  // YYYY-MM-DD -> count
+  }
+
+  /**
+   * Запускає бектест
+   * @param {Object[]} signals — сигнали з loadSignalsFromExport()
+   */
+  async run(signals) {
+    this.equityCurve.push({ time: signals[0]?.timestamp || Date.now(), balance: this.balance });
+
+    for (const signal of signals) {
+      this._advance(signal.timestamp);
+
+      if (signal.type === 'OPEN') {
+        await this._handleOpen(signal);
+      } else if (signal.type === 'CLOSE') {
+        this._handleClose(signal);
+      }
+    }
+
+    this._closeRemaining();
+
+    return {
+      trades:      this.trades,
+      equityCurve: this.equityCurve,
+      rejected:    this.rejected,
+      summary:     this._buildSummary(signals)
+    };
+  }
+
+  async _handleOpen(signal) {
+    const { symbol, direction, timestamp } = signal;
+    const date = new Date(timestamp).toISOString().split('T')[0];
+    const symbolInfo = { symbol, ...DEFAULT_SYMBOL_INFO, ...this.symbolInfo[symbol] };
+
+    const validation = await validateSignalRules(signal, {
+      now:                new Date(timestamp),
+      hasOpenPosition:    (s) => this.openPositions.has(s),
+      openPositionsCount: this.openPositions.size,
+      dailyTrades:        this.dailyTrades[date] || 0,
+      getBalance:         async () => this._availableBalance(),
+      getSymbolInfo:      async () => symbolInfo,
+      // Index price в архіві немає — перевірка спреду пропускається
+      getTicker:          async (s) => {
+        const bar = this._barAt(s, timestamp);
+        return bar ? { lastPrice: bar.open, indexPrice: null } : null;
+      }
+    });
+
+    if (!validation.valid) {
+      this._reject(signal, validation.reason);
+      return;
+    }
+
+    const bar = this._barAt(symbol, timestamp);
+    if (!bar) {
+      this._reject(signal, 'No price data');
+      return;
+    }
+
+    const available = this._availableBalance();
+    const entryPrice = this._applySlippage(bar.open, direction === 'LONG' ? 'Buy' : 'Sell');
+
+    let params;
+    try {
+      const profile = getSymbolProfile(symbol);
+      // Equity бектесту — доступний баланс; ATR з klines не симулюється (розмір без множника)
+      params = calculatePositionParameters(available, entryPrice, direction, symbolInfo, {
+        mode:     profile.sizingMode,
+        leverage: profile.leverage,
+        equity:   available,
+        spread:   signal.spread
+      });
+    } catch (error) {
+      this._reject(signal, error.message);
+      return;
+    }
+
+    if (!hasSufficientBalance(available, params.requiredMargin)) {
+      this._reject(signal, 'Insufficient balance');
+      return;
+    }
+
+    const entryFee = params.quantity * entryPrice * (this.takerFeePercent / 100);
+
+    let stopLoss = null;
+    if (config.protectiveStop.enabled) {
+      // Оцінка ціни ліквідації без урахування maintenance margin
+      const liqPrice = direction === 'LONG'
+        ? entryPrice * (1 - 1 / params.leverage)
+        : entryPrice * (1 + 1 / params.leverage);
+      stopLoss = calculateProtectiveStopPrice(entryPrice, direction, {
+        liqPrice,
+        pricePrecision: symbolInfo.pricePrecision
+      });
+    }
+
+    this.openPositions.set(symbol, {
+      symbol,
+      direction,
+      entryPrice,
+      quantity:       params.quantity,
+      requiredMargin: params.requiredMargin,
+      entryFee,
+      stopLoss,
+      openedAt:       bar.time,
+      signalTime:     timestamp,
+      cursor:         this._barIndexAt(symbol, timestamp)
+    });
+
+    this.dailyTrades[date] = (this.dailyTrades[date] || 0) + 1;
+  }
+
+  _handleClose(signal) {
+    const { symbol, direction, timestamp } = signal;
+    const position = this.openPositions.get(symbol);
+
+    if (!position || position.direction !== direction) {
+      return;
+    }
+
+    const bar = this._barAt(symbol, timestamp);
+    if (!bar) {
+      logger.warn(`[BACKTEST] No price data for CLOSE ${symbol} at ${new Date(timestamp).toISOString()}`);
+      return;
+    }
+
+    this._closePosition(position, bar.open, bar.time, 'SIGNAL');
+  }
+
+  /**
+   * Проганяє відкриті позиції по барах до моменту time: аварійний стоп та час утримання
+   */
+  _advance(time) {
+    for (const position of Array.from(this.openPositions.values())) {
+      const series = this.priceSeries[position.symbol] || [];
+      const maxHoldingMinutes = getSymbolProfile(position.symbol).maxHoldingMinutes;
+      const maxHoldingMs = maxHoldingMinutes > 0 ? maxHoldingMinutes * 60 * 1000 : 0;
+
+      while (position.cursor < series.length && series[position.cursor].time < time) {
+        const bar = series[position.cursor];
+        position.cursor++;
+
+        if (bar.time <= position.openedAt) continue;
+
+        if (maxHoldingMs && bar.time >= position.openedAt + maxHoldingMs) {
+          this._closePosition(position, bar.open, bar.time, 'TIMEOUT');
+          break;
+        }
+
+        if (position.stopLoss) {
+          const isLong = position.direction === 'LONG';
+          const hit = isLong ? bar.low <= position.stopLoss : bar.high >= position.stopLoss;
+
+          if (hit) {
+            // Геп через стоп — виконання по ціні відкриття бару
+            const gapped = isLong ? bar.open < position.stopLoss : bar.open > position.stopLoss;
+            this._closePosition(position, gapped ? bar.open : position.stopLoss, bar.time, 'STOP_LOSS');
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  _closeRemaining() {
+    this._advance(Infinity);
+
+    for (const position of Array.from(this.openPositions.values())) {
+      const series = this.priceSeries[position.symbol] || [];
+      const lastBar = series[series.length - 1];
+      const exitPrice = lastBar ? lastBar.close : position.entryPrice;
+      this._closePosition(position, exitPrice, lastBar ? lastBar.time : position.openedAt, 'END_OF_DATA');
+    }
+  }
+
+  _closePosition(position, rawExitPrice, time, exitReason) {
+    const { symbol, direction, entryPrice, quantity, entryFee } = position;
+    const exitPrice = this._applySlippage(rawExitPrice, direction === 'LONG' ? 'Sell' : 'Buy');
+
+    const grossPnl = calculatePnL(entryPrice, exitPrice, quantity, direction);
+    const exitFee = quantity * exitPrice * (this.takerFeePercent / 100);
+    const fees = entryFee + exitFee;
+    const netPnl = grossPnl - fees;
+
+    this.balance += netPnl;
+    this.openPositions.delete(symbol);
+
+    this.trades.push({
+      symbol,
+      direction,
+      entryTime:  position.openedAt,
+      exitTime:   time,
+      entryPrice,
+      exitPrice,
+      quantity,
+      grossPnl,
+      fees,
+      netPnl,
+      pnlPercent: calculatePnLPercent(entryPrice, exitPrice, direction),
+      exitReason
+    });
+
+    this.equityCurve.push({ time, balance: this.balance });
+  }
+
+  _reject(signal, reason) {
+    this.rejected.push({
+      time:      signal.timestamp,
+      symbol:    signal.symbol,
+      direction: signal.direction,
+      reason
+    });
+  }
+
+  _availableBalance() {
+    const usedMargin = Array.from(this.openPositions.values())
+      .reduce((sum, position) => sum + position.requiredMargin + position.entryFee, 0);
+    return this.balance - usedMargin;
+  }
+
+  _applySlippage(price, side) {
+    const slippage = price * (this.slippagePercent / 100);
+    return side === 'Buy' ? price + slippage : price - slippage;
+  }
+
+  /**
+   * Індекс першого бару з time >= timestamp (бінарний пошук)
+   */
+  _barIndexAt(symbol, timestamp) {
+    const series = this.priceSeries[symbol] || [];
+    let low = 0;
+    let high = series.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (series[mid].time < timestamp) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  _barAt(symbol, timestamp) {
+    const series = this.priceSeries[symbol] || [];
+    return series[this._barIndexAt(symbol, timestamp)] || null;
+  }
+
+  _buildSummary(signals) {
+    const wins = this.trades.filter(trade => trade.netPnl >= 0);
+    const losses = this.trades.filter(trade => trade.netPnl < 0);
+    const grossProfit = wins.reduce((sum, trade) => sum + trade.netPnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.netPnl, 0));
+
+    // Максимальна просадка по кривій реалізованого балансу
+    let peak = this.initialBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    for (const point of this.equityCurve) {
+      peak = Math.max(peak, point.balance);
+      const drawdown = peak - point.balance;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownPercent = (drawdown / peak) * 100;
+      }
+    }
+
+    const rejectedByReason = this.rejected.reduce((counts, { reason }) => {
+      counts[reason] = (counts[reason] || 0) + 1;
+      return counts;
+    }, {});
+
+    const exitReasons = this.trades.reduce((counts, { exitReason }) => {
+      counts[exitReason] = (counts[exitReason] || 0) + 1;
+      return counts;
+    }, {});
+
+    const sum = (field) => this.trades.reduce((total, trade) => total + trade[field], 0);
+    const holdingMs = this.trades.reduce((total, trade) => total + (trade.exitTime - trade.entryTime), 0);
+
+    return {
+      period: {
+        from: signals[0] ? new Date(signals[0].timestamp).toISOString() : null,
+        to:   signals.length ? new Date(signals[signals.length - 1].timestamp).toISOString() : null
+      },
+      totalSignals:       signals.length,
+      openSignals:        signals.filter(signal => signal.type === 'OPEN').length,
+      closeSignals:       signals.filter(signal => signal.type === 'CLOSE').length,
+      rejectedSignals:    this.rejected.length,
+      rejectedByReason,
+      totalTrades:        this.trades.length,
+      winTrades:          wins.length,
+      loseTrades:         losses.length,
+      winRate:            this.trades.length ? roundToDecimal((wins.length / this.trades.length) * 100, 2) : 0,
+      grossPnl:           roundToDecimal(sum('grossPnl'), 4),
+      totalFees:          roundToDecimal(sum('fees'), 4),
+      netPnl:             roundToDecimal(sum('netPnl'), 4),
+      avgTradePnl:        this.trades.length ? roundToDecimal(sum('netPnl') / this.trades.length, 4) : 0,
+      profitFactor:       grossLoss > 0 ? roundToDecimal(grossProfit / grossLoss, 2) : null,
+      avgHoldingMinutes:  this.trades.length ? roundToDecimal(holdingMs / this.trades.length / 60000, 1) : 0,
+      exitReasons,
+      initialBalance:     this.initialBalance,
+      finalBalance:       roundToDecimal(this.balance, 4),
+      roi:                roundToDecimal(((this.balance - this.initialBalance) / this.initialBalance) * 100, 2),
+      maxDrawdown:        roundToDecimal(maxDrawdown, 4),
+      maxDrawdownPercent: roundToDecimal(maxDrawdownPercent, 2),
+      settings: {
+        leverage:            config.risk.leverage,
+        positionSizePercent: config.risk.positionSizePercent,
+        takerFeePercent:     this.takerFeePercent,
+        slippagePercent:     this.slippagePercent,
+        maxOpenPositions:    config.trading.maxOpenPositions,
+        maxDailyTrades:      config.trading.maxDailyTrades,
+        protectiveStop:      config.protectiveStop.enabled ? config.protectiveStop.mode : 'OFF'
+      }
+    };
+  }
+}
+
+export default {
+  BacktestEngine,
+  loadSignalsFromExport,
+  loadPriceSeries
+};
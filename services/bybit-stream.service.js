@@ -0,0 +1,207 @@
+import { WebsocketClient } from 'bybit-api';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+// Приватні топіки Bybit V5, на які підписується бот
+const PRIVATE_TOPICS = ['position', 'order', 'execution', 'wallet'];
+
+/**
+ * Приватний WebSocket-стрім Bybit V5 (position / order / execution / wallet).
+ *
+ * Оновлення передаються зареєстрованим callback'ам (див. on()).
+ * Перепідключення та повторна підписка на топіки виконуються бібліотекою
+ * bybit-api автоматично — сервіс лише відстежує стан з'єднання, щоб
+ * PositionService міг перейти на polling, поки сокет недоступний.
+ */
+class BybitStreamService {
+  constructor() {
+    this.client = null;
+    this.isConnected = false;
+    this.callbacks = {
+      position:  [],
+      order:     [],
+      execution: [],
+      wallet:    [],
+      status:    []
+    };
+  }
+
+  /**
+   * Реєструє callback для топіка ('position' | 'order' | 'execution' | 'wallet')
+   * або для зміни стану з'єднання ('status' → callback(isConnected))
+   */
+  on(topic, callback) {
+    if (!this.callbacks[topic]) {
+      throw new Error(`Unknown stream topic: ${topic}`);
+    }
+    this.callbacks[topic].push(callback);
+  }
+
+  /**
+   * Підключається до приватного стріму та підписується на топіки
+   */
+  async start() {
+    if (this.client) {
+      logger.warn('[STREAM] Stream already started');
+      return;
+    }
+
+    logger.info('[STREAM] Connecting to Bybit private WebSocket...');
+
+    this.client = new WebsocketClient(
+      {
+        key:              config.bybit.apiKey,
+        secret:           config.bybit.apiSecret,
+        testnet:          config.bybit.testnet,
+        market:           'v5',
+        reconnectTimeout: config.bybit.wsReconnectTimeoutMs
+      },
+      this._createLibraryLogger()
+    );
+
+    this.client.on('open', ({ wsKey }) => {
+      logger.info(`[STREAM] ✅ Connected (${wsKey})`);
+      this._setConnected(true);
+    });
+
+    this.client.on('reconnected', ({ wsKey }) => {
+      logger.info(`[STREAM] ✅ Reconnected (${wsKey}), topics resubscribed`);
+      this._setConnected(true);
+    });
+
+    this.client.on('reconnect', ({ wsKey }) => {
+      logger.warn(`[STREAM] Connection dropped (${wsKey}), reconnecting...`);
+      this._setConnected(false);
+    });
+
+    this.client.on('close', ({ wsKey }) => {
+      logger.warn(`[STREAM] Connection closed (${wsKey})`);
+      this._setConnected(false);
+    });
+
+    this.client.on('error', (error) => {
+      logger.error(`[STREAM] WebSocket error: ${error?.message || JSON.stringify(error)}`);
+    });
+
+    this.client.on('update', (message) => this._handleUpdate(message));
+
+    await this.client.subscribeV5(PRIVATE_TOPICS, 'linear', true);
+    logger.info(`[STREAM] Subscribed to: ${PRIVATE_TOPICS.join(', ')}`);
+  }
+
+  /**
+   * Закриває стрім
+   */
+  stop() {
+    if (!this.client) return;
+
+    this.client.closeAll(true);
+    this.client = null;
+    this._setConnected(false);
+    logger.info('[STREAM] Stream stopped');
+  }
+
+  /**
+   * Розбирає повідомлення стріму та передає дані callback'ам
+   */
+  async _handleUpdate(message) {
+    const topic = message?.topic;
+    const items = Array.isArray(message?.data) ? message.data : [];
+
+    if (!this.callbacks[topic] || topic === 'status') {
+      return;
+    }
+
+    for (const item of items) {
+      const payload = this._normalize(topic, item);
+
+      for (const callback of this.callbacks[topic]) {
+        try {
+          await callback(payload);
+        } catch (error) {
+          logger.error(`[STREAM] Error in ${topic} callback: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Приводить сирі дані Bybit до формату, який використовує bybitService
+   */
+  _normalize(topic, item) {
+    switch (topic) {
+      case 'position':
+        return {
+          symbol:        item.symbol,
+          side:          item.side,
+          size:          parseFloat(item.size || '0'),
+          entryPrice:    parseFloat(item.entryPrice || item.avgPrice || '0'),
+          markPrice:     parseFloat(item.markPrice || '0'),
+          unrealisedPnl: parseFloat(item.unrealisedPnl || '0'),
+          leverage:      parseFloat(item.leverage || '1'),
+          positionIdx:   parseInt(item.positionIdx || '0'),
+          liqPrice:      parseFloat(item.liqPrice || '0'),
+          stopLoss:      parseFloat(item.stopLoss || '0')
+        };
+
+      case 'execution':
+        return {
+          ...item,
+          execPrice: parseFloat(item.execPrice || '0'),
+          execQty:   parseFloat(item.execQty || '0'),
+          execFee:   parseFloat(item.execFee || '0'),
+          execTime:  parseInt(item.execTime || `${Date.now()}`)
+        };
+
+      case 'wallet': {
+        const usdtCoin = (item.coin || []).find(coin => coin.coin === 'USDT');
+        return {
+          balance: usdtCoin
+            ? parseFloat(usdtCoin.availableToWithdraw || usdtCoin.walletBalance || '0')
+            : null,
+          equity: usdtCoin
+            ? parseFloat(usdtCoin.equity || usdtCoin.walletBalance || '0')
+            : null
+        };
+      }
+
+      default:
+        return item;
+    }
+  }
+
+  _setConnected(isConnected) {
+    if (this.isConnected === isConnected) return;
+
+    this.isConnected = isConnected;
+    for (const callback of this.callbacks.status) {
+      try {
+        callback(isConnected);
+      } catch (error) {
+        logger.error(`[STREAM] Error in status callback: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Перенаправляє логи bybit-api у winston (без шумних ping/pong)
+   */
+  _createLibraryLogger() {
+    const format = (params) => params
+      .map(param => (typeof param === 'string' ? param : JSON.stringify(param)))
+      .join(' ');
+
+    return {
+      silly:   () => {},
+      debug:   (...params) => logger.debug(`[STREAM] ${format(params)}`),
+      notice:  (...params) => logger.info(`[STREAM] ${format(params)}`),
+      info:    (...params) => logger.debug(`[STREAM] ${format(params)}`),
+      warning: (...params) => logger.warn(`[STREAM] ${format(params)}`),
+      error:   (...params) => logger.error(`[STREAM] ${format(params)}`)
+    };
+  }
+}
+
+// Експортуємо singleton
+const bybitStreamService = new BybitStreamService();
+export default bybitStreamService;
@@ -1,18 +1,62 @@
 import { RestClientV5 } from 'bybit-api';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
+import { calculateSpreadPercent } from '../utils/helpers.js';
+import paperExchangeService from './paper-exchange.service.js';
 
+// Bybit V5: "OrderLinkedID is duplicate"
+const DUPLICATE_ORDER_LINK_ID = 110072;
+
+// Максимальний період одного запиту closed PnL / transaction log у Bybit
+const PRIVATE_LIST_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Доступ до Bybit V5 API.
+ * У DRY_RUN (paper trading) ринкові дані беруться з Bybit, а ордери, позиції,
+ * баланс та історія виконань — з віртуальної біржі paperExchangeService.
+ */
 class BybitService {
   constructor() {
     this.client = new RestClientV5({
       key: config.bybit.apiKey,
       secret: config.bybit.apiSecret,
-      testnet: config.bybit.testnet
+      testnet: config.bybit.testnet,
+      baseUrl: config.bybit.baseURL
     });
 
     this.isConnected = false;
   }
 
+  /**
+   * Чи працює сервіс у режимі paper trading
+   */
+  isPaperTrading() {
+    return config.trading.dryRun;
+  }
+
+  /**
+   * Поточні ціни символів віртуальних позицій (для uPnL та перевірки стопів)
+   */
+  async _getPaperPrices(symbol = null) {
+    const symbols = [...new Set(
+      paperExchangeService.getPositions(symbol).map(pos => pos.symbol)
+    )];
+
+    const prices = {};
+    for (const positionSymbol of symbols) {
+      prices[positionSymbol] = await this.getCurrentPrice(positionSymbol);
+      paperExchangeService.checkStops(positionSymbol, prices[positionSymbol]);
+    }
+    return prices;
+  }
+
+  /**
+   * Чи це відмова Bybit через повторний orderLinkId
+   */
+  isDuplicateOrderError(error) {
+    return error?.code === DUPLICATE_ORDER_LINK_ID;
+  }
+
   /**
    * Повертає positionIdx в залежності від режиму позицій акаунта.
    * ONE_WAY: 0
@@ -53,6 +97,12 @@ class BybitService {
    */
   async getUSDTBalance() {
     try {
+      if (this.isPaperTrading()) {
+        const { availableBalance } = paperExchangeService.getWalletBalance();
+        logger.info(`[BYBIT] [PAPER] USDT Balance: ${availableBalance} USDT`);
+        return availableBalance;
+      }
+
       const response = await this.client.getWalletBalance({
         accountType: 'UNIFIED'
       });
@@ -81,6 +131,33 @@ class BybitService {
     }
   }
 
+  /**
+   * Отримує equity USDT (баланс + нереалізований P&L) — для контролю просадки
+   */
+  async getUSDTEquity() {
+    try {
+      if (this.isPaperTrading()) {
+        return paperExchangeService.getWalletBalance(await this._getPaperPrices()).equity;
+      }
+
+      const response = await this.client.getWalletBalance({
+        accountType: 'UNIFIED'
+      });
+
+      if (response.retCode !== 0) {
+        throw new Error(`Failed to get equity: ${response.retMsg}`);
+      }
+
+      const coins = response.result?.list?.[0]?.coin || [];
+      const usdtCoin = coins.find(coin => coin.coin === 'USDT');
+
+      return usdtCoin ? parseFloat(usdtCoin.equity || usdtCoin.walletBalance || '0') : 0;
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting equity: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Отримує інформацію про символ (tickSize, minQty, maxQty, pricePrecision)
    */
@@ -106,6 +183,7 @@ class BybitService {
         minQty:         parseFloat(instrument.lotSizeFilter?.minQty  || '0'),
         maxQty:         parseFloat(instrument.lotSizeFilter?.maxQty  || '999999999'),
         pricePrecision: parseInt(instrument.priceScale || '4'),
+        priceTickSize:  parseFloat(instrument.priceFilter?.tickSize || '0'),
         status:         instrument.status,
         baseCoin:       instrument.baseCoin,
         quoteCoin:      instrument.quoteCoin
@@ -117,9 +195,9 @@ class BybitService {
   }
 
   /**
-   * Отримує поточну ціну символу
+   * Отримує тікер символу: { lastPrice, indexPrice, markPrice, bidPrice, askPrice }
    */
-  async getCurrentPrice(symbol) {
+  async getTicker(symbol) {
     try {
       const response = await this.client.getTickers({
         category: 'linear',
@@ -135,16 +213,91 @@ class BybitService {
         throw new Error(`Ticker for ${symbol} not found`);
       }
 
-      const lastPrice = parseFloat(ticker.lastPrice);
-      logger.info(`[BYBIT] Current price for ${symbol}: ${lastPrice}`);
+      return {
+        lastPrice:  parseFloat(ticker.lastPrice),
+        indexPrice: parseFloat(ticker.indexPrice || '0') || null,
+        markPrice:  parseFloat(ticker.markPrice || '0') || null,
+        bidPrice:   parseFloat(ticker.bid1Price || '0') || null,
+        askPrice:   parseFloat(ticker.ask1Price || '0') || null
+      };
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting ticker for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fair price символу: last, mark, index та спред, перерахований локально
+   * (незалежно від SPREAD у сигналі).
+   *
+   * @returns {Object} { lastPrice, markPrice, indexPrice, spreadPercent, markSpreadPercent }
+   */
+  async getFairPriceSpread(symbol) {
+    const { lastPrice, markPrice, indexPrice } = await this.getTicker(symbol);
+
+    const fairPrice = {
+      lastPrice,
+      markPrice,
+      indexPrice,
+      spreadPercent:     indexPrice ? calculateSpreadPercent(lastPrice, indexPrice) : null,
+      markSpreadPercent: indexPrice && markPrice ? calculateSpreadPercent(markPrice, indexPrice) : null
+    };
+
+    logger.info(
+      `[BYBIT] Fair price ${symbol}: last=${lastPrice} mark=${markPrice} index=${indexPrice} ` +
+      `spread=${fairPrice.spreadPercent?.toFixed(4)}%`
+    );
+
+    return fairPrice;
+  }
+
+  /**
+   * Свічки символу (ринкові дані — однакові для живої торгівлі та DRY_RUN).
+   *
+   * @param {string} interval — інтервал Bybit: '1', '5', '15', '60', 'D', ...
+   * @param {number} limit    — кількість свічок
+   * @returns {Object[]} від старих до нових: { startTime, open, high, low, close, volume }
+   */
+  async getKlines(symbol, interval, limit) {
+    try {
+      const response = await this.client.getKline({
+        category: 'linear',
+        symbol,
+        interval,
+        limit
+      });
 
-      return lastPrice;
+      if (response.retCode !== 0) {
+        throw new Error(`Failed to get klines: ${response.retMsg}`);
+      }
+
+      // Bybit віддає від нових до старих: [startTime, open, high, low, close, volume, turnover]
+      return (response.result?.list || [])
+        .map(([startTime, open, high, low, close, volume]) => ({
+          startTime: parseInt(startTime),
+          open:      parseFloat(open),
+          high:      parseFloat(high),
+          low:       parseFloat(low),
+          close:     parseFloat(close),
+          volume:    parseFloat(volume)
+        }))
+        .reverse();
     } catch (error) {
-      logger.error(`[BYBIT] Error getting current price for ${symbol}: ${error.message}`);
+      logger.error(`[BYBIT] Error getting klines for ${symbol}: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Отримує поточну ціну символу
+   */
+  async getCurrentPrice(symbol) {
+    const { lastPrice } = await this.getTicker(symbol);
+    logger.info(`[BYBIT] Current price for ${symbol}: ${lastPrice}`);
+
+    return lastPrice;
+  }
+
   /**
    * Встановлює плече для символу
    */
@@ -152,6 +305,11 @@ class BybitService {
     try {
       logger.info(`[BYBIT] Setting leverage ${leverage}x for ${symbol}...`);
 
+      if (this.isPaperTrading()) {
+        paperExchangeService.setLeverage(symbol, leverage);
+        return true;
+      }
+
       const response = await this.client.setLeverage({
         category:     'linear',
         symbol:       symbol,
@@ -186,22 +344,37 @@ class BybitService {
 
   /**
    * Відкриває Market ордер
+   *
+   * @param {string} orderLinkId — клієнтський ID (опційно); повтор з тим самим ID Bybit відхиляє
    */
-  async openMarketOrder(symbol, side, quantity, positionIdx = 0) {
+  async openMarketOrder(symbol, side, quantity, positionIdx = 0, orderLinkId = undefined) {
     try {
       logger.info(`[BYBIT] Opening ${side} market order: ${quantity} ${symbol}...`);
 
+      if (this.isPaperTrading()) {
+        const result = paperExchangeService.submitMarketOrder({
+          symbol,
+          side,
+          qty:   quantity,
+          price: await this.getCurrentPrice(symbol),
+          positionIdx,
+          orderLinkId
+        });
+        return { ...result, symbol, side, quantity };
+      }
+
       const response = await this.client.submitOrder({
         category:    'linear',
         symbol:      symbol,
         side:        side,         // 'Buy' або 'Sell'
         orderType:   'Market',
         qty:         quantity.toString(),
-        positionIdx: positionIdx   // 0: one-way, 1: hedge LONG, 2: hedge SHORT
+        positionIdx: positionIdx,  // 0: one-way, 1: hedge LONG, 2: hedge SHORT
+        ...(orderLinkId && { orderLinkId })
       });
 
       if (response.retCode !== 0) {
-        throw new Error(`Failed to open order: ${response.retMsg}`);
+        throw this._orderError('Failed to open order', response);
       }
 
       const orderId = response.result?.orderId;
@@ -227,11 +400,25 @@ class BybitService {
    * @param {string} closeSide    — 'Buy' (для закриття SHORT) або 'Sell' (для закриття LONG)
    * @param {number} quantity     — кількість контрактів для закриття
    * @param {number} positionIdx  — 0: one-way, 1: hedge LONG, 2: hedge SHORT
+   * @param {string} orderLinkId  — клієнтський ID (опційно); повтор з тим самим ID Bybit відхиляє
    */
-  async closeMarketOrder(symbol, closeSide, quantity, positionIdx = 0) {
+  async closeMarketOrder(symbol, closeSide, quantity, positionIdx = 0, orderLinkId = undefined) {
     try {
       logger.info(`[BYBIT] Closing position: ${closeSide} ${quantity} ${symbol} (reduceOnly)...`);
 
+      if (this.isPaperTrading()) {
+        const result = paperExchangeService.submitMarketOrder({
+          symbol,
+          side:       closeSide,
+          qty:        quantity,
+          price:      await this.getCurrentPrice(symbol),
+          positionIdx,
+          reduceOnly: true,
+          orderLinkId
+        });
+        return { ...result, symbol, side: closeSide, quantity };
+      }
+
       const response = await this.client.submitOrder({
         category:    'linear',
         symbol:      symbol,
@@ -239,11 +426,12 @@ class BybitService {
         orderType:   'Market',
         qty:         quantity.toString(),
         reduceOnly:  true,
-        positionIdx: positionIdx
+        positionIdx: positionIdx,
+        ...(orderLinkId && { orderLinkId })
       });
 
       if (response.retCode !== 0) {
-        throw new Error(`Failed to close position: ${response.retMsg} (code: ${response.retCode})`);
+        throw this._orderError('Failed to close position', response);
       }
 
       const orderId = response.result?.orderId;
@@ -262,11 +450,220 @@ class BybitService {
     }
   }
 
+  /**
+   * Виставляє Limit ордер (за замовчуванням PostOnly — тільки maker).
+   *
+   * @param {Object} options — { postOnly = true, reduceOnly = false, orderLinkId }
+   * @returns {Object} { orderId, orderLinkId }
+   */
+  async placeLimitOrder(symbol, side, quantity, price, positionIdx = 0, options = {}) {
+    const { postOnly = true, reduceOnly = false, orderLinkId } = options;
+
+    try {
+      logger.info(`[BYBIT] Placing ${postOnly ? 'post-only ' : ''}${side} limit: ${quantity} ${symbol} @ ${price}...`);
+
+      if (this.isPaperTrading()) {
+        return paperExchangeService.submitLimitOrder({
+          symbol,
+          side,
+          qty:         quantity,
+          price,
+          lastPrice:   await this.getCurrentPrice(symbol),
+          positionIdx,
+          reduceOnly,
+          postOnly,
+          orderLinkId
+        });
+      }
+
+      const response = await this.client.submitOrder({
+        category:    'linear',
+        symbol:      symbol,
+        side:        side,
+        orderType:   'Limit',
+        qty:         quantity.toString(),
+        price:       price.toString(),
+        timeInForce: postOnly ? 'PostOnly' : 'GTC',
+        positionIdx: positionIdx,
+        ...(reduceOnly && { reduceOnly: true }),
+        ...(orderLinkId && { orderLinkId })
+      });
+
+      if (response.retCode !== 0) {
+        throw this._orderError('Failed to place limit order', response);
+      }
+
+      return {
+        orderId:     response.result?.orderId,
+        orderLinkId: response.result?.orderLinkId
+      };
+    } catch (error) {
+      logger.error(`[BYBIT] Error placing limit order for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Змінює ціну активного ордера
+   */
+  async amendOrderPrice(symbol, orderId, price) {
+    try {
+      if (this.isPaperTrading()) {
+        paperExchangeService.amendOrder(orderId, price);
+        return true;
+      }
+
+      const response = await this.client.amendOrder({
+        category: 'linear',
+        symbol:   symbol,
+        orderId:  orderId,
+        price:    price.toString()
+      });
+
+      if (response.retCode !== 0) {
+        throw this._orderError('Failed to amend order', response);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error(`[BYBIT] Error amending order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Скасовує ордер. Вже виконаний / скасований ордер (110001) — не помилка
+   */
+  async cancelOrder(symbol, orderId) {
+    try {
+      if (this.isPaperTrading()) {
+        paperExchangeService.cancelOrder(orderId);
+        return true;
+      }
+
+      const response = await this.client.cancelOrder({
+        category: 'linear',
+        symbol:   symbol,
+        orderId:  orderId
+      });
+
+      if (response.retCode !== 0 && response.retCode !== 110001) {
+        throw this._orderError('Failed to cancel order', response);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error(`[BYBIT] Error cancelling order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Стан ордера: { orderId, status, price, quantity, filledQty, avgPrice, rejectReason }
+   * status — як у Bybit: New, PartiallyFilled, Filled, Cancelled, Rejected, ...
+   */
+  async getOrder(symbol, orderId) {
+    try {
+      if (this.isPaperTrading()) {
+        return paperExchangeService.getOrder(orderId, await this.getCurrentPrice(symbol));
+      }
+
+      let response = await this.client.getActiveOrders({ category: 'linear', symbol, orderId });
+      let order = response.result?.list?.[0];
+
+      // Закриті ордери з realtime зникають — шукаємо в історії
+      if (response.retCode === 0 && !order) {
+        response = await this.client.getHistoricOrders({ category: 'linear', symbol, orderId });
+        order = response.result?.list?.[0];
+      }
+
+      if (response.retCode !== 0) {
+        throw new Error(`Failed to get order: ${response.retMsg}`);
+      }
+      if (!order) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+
+      return {
+        orderId:      order.orderId,
+        status:       order.orderStatus,
+        price:        parseFloat(order.price || '0'),
+        quantity:     parseFloat(order.qty || '0'),
+        filledQty:    parseFloat(order.cumExecQty || '0'),
+        avgPrice:     parseFloat(order.avgPrice || '0') || null,
+        rejectReason: order.rejectReason || ''
+      };
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Помилка створення ордера з кодом Bybit у error.code
+   */
+  _orderError(prefix, response) {
+    const error = new Error(`${prefix}: ${response.retMsg} (code: ${response.retCode})`);
+    error.code = response.retCode;
+    return error;
+  }
+
+  /**
+   * Встановлює (або знімає) stop-loss на всю позицію через trading-stop.
+   *
+   * @param {string} symbol       — торгова пара
+   * @param {number} stopLoss     — ціна стопу; 0 — зняти стоп
+   * @param {number} positionIdx  — 0: one-way, 1: hedge LONG, 2: hedge SHORT
+   */
+  async setTradingStop(symbol, stopLoss, positionIdx = 0) {
+    try {
+      logger.info(`[BYBIT] Setting stop-loss ${stopLoss} for ${symbol}...`);
+
+      if (this.isPaperTrading()) {
+        paperExchangeService.setTradingStop(symbol, stopLoss, positionIdx);
+        return true;
+      }
+
+      const response = await this.client.setTradingStop({
+        category:    'linear',
+        symbol:      symbol,
+        stopLoss:    stopLoss.toString(),
+        slTriggerBy: config.protectiveStop.triggerBy,
+        tpslMode:    'Full',
+        slOrderType: 'Market',
+        positionIdx: positionIdx
+      });
+
+      // 34040 — "not modified": стоп вже такий
+      if (response.retCode !== 0 && response.retCode !== 34040) {
+        throw new Error(`Failed to set trading stop: ${response.retMsg} (code: ${response.retCode})`);
+      }
+
+      logger.info(`[BYBIT] ✅ Stop-loss ${stopLoss > 0 ? `set at ${stopLoss}` : 'removed'} for ${symbol}`);
+      return true;
+    } catch (error) {
+      logger.error(`[BYBIT] Error setting trading stop for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Знімає stop-loss з позиції
+   */
+  async cancelTradingStop(symbol, positionIdx = 0) {
+    return this.setTradingStop(symbol, 0, positionIdx);
+  }
+
   /**
    * Отримує відкриті позиції
    */
   async getOpenPositions(symbol = null) {
     try {
+      if (this.isPaperTrading()) {
+        const prices = await this._getPaperPrices(symbol);
+        return paperExchangeService.getPositions(symbol, prices);
+      }
+
       const params = { category: 'linear' };
 
       if (symbol) {
@@ -291,7 +688,9 @@ class BybitService {
           markPrice:     parseFloat(pos.markPrice  || '0'),
           unrealisedPnl: parseFloat(pos.unrealisedPnl || '0'),
           leverage:      parseFloat(pos.leverage || '1'),
-          positionIdx:   parseInt(pos.positionIdx || '0')
+          positionIdx:   parseInt(pos.positionIdx || '0'),
+          liqPrice:      parseFloat(pos.liqPrice || '0'),
+          stopLoss:      parseFloat(pos.stopLoss || '0')
         }));
 
       return positions;
@@ -309,11 +708,146 @@ class BybitService {
     return positions.length > 0;
   }
 
+  /**
+   * Виконання конкретного ордера (формат Bybit execution list)
+   */
+  async getOrderExecutions(symbol, orderId) {
+    try {
+      if (this.isPaperTrading()) {
+        return paperExchangeService.getExecutions(symbol, 200).filter(exec => exec.orderId === orderId);
+      }
+
+      const response = await this.client.getExecutionList({
+        category: 'linear',
+        symbol,
+        orderId,
+        limit:    100
+      });
+
+      if (response.retCode !== 0) {
+        throw new Error(`Failed to get order executions: ${response.retMsg}`);
+      }
+
+      return response.result?.list || [];
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting executions for order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Записи closed PnL Bybit по символу за період (новіші першими).
+   * closedPnl — реалізований P&L за вирахуванням комісій входу та виходу.
+   */
+  async getClosedPnl(symbol, startTime, endTime = Date.now()) {
+    try {
+      const list = this.isPaperTrading()
+        ? paperExchangeService.getClosedPnl(symbol, startTime, endTime)
+        : await this._getPrivateList('getClosedPnL', 'closed PnL', {
+          category: 'linear',
+          symbol,
+          startTime,
+          endTime,
+          limit:    50
+        });
+
+      return list.map(record => ({
+        orderId:       record.orderId,
+        side:          record.side,
+        closedSize:    parseFloat(record.closedSize || '0'),
+        avgEntryPrice: parseFloat(record.avgEntryPrice || '0'),
+        avgExitPrice:  parseFloat(record.avgExitPrice || '0'),
+        cumEntryValue: parseFloat(record.cumEntryValue || '0'),
+        cumExitValue:  parseFloat(record.cumExitValue || '0'),
+        closedPnl:     parseFloat(record.closedPnl || '0'),
+        createdTime:   parseInt(record.createdTime || '0')
+      }));
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting closed PnL for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Розрахунки фінансування (transaction log, type SETTLEMENT) по символу за період.
+   * amount — зміна балансу: додатне — отримали, від'ємне — заплатили.
+   * Transaction log не фільтрується по символу на боці Bybit — читаються всі сторінки періоду.
+   */
+  async getFundingSettlements(symbol, startTime, endTime = Date.now()) {
+    try {
+      if (this.isPaperTrading()) {
+        // Віртуальна біржа фінансування не симулює
+        return [];
+      }
+
+      const list = await this._getPrivateList('getTransactionLog', 'transaction log', {
+        accountType: 'UNIFIED',
+        category:    'linear',
+        type:        'SETTLEMENT',
+        startTime,
+        endTime,
+        limit:       50
+      });
+
+      return list
+        .filter(record => record.symbol === symbol)
+        .map(record => ({
+          side:   record.side,
+          amount: parseFloat(record.change || '0'),
+          time:   parseInt(record.transactionTime || '0')
+        }));
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting funding for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Викликає метод RestClientV5 і повертає всі записи result.list за період startTime..endTime.
+   * Bybit приймає не більше 7 днів на запит, тому період ділиться на вікна (від новіших
+   * до старіших — записи лишаються новіші першими), а в кожному вікні сторінки
+   * читаються по nextPageCursor.
+   */
+  async _getPrivateList(method, description, params) {
+    const endTime = params.endTime || Date.now();
+    const startTime = params.startTime || endTime - PRIVATE_LIST_WINDOW_MS;
+    const list = [];
+
+    for (let windowEnd = endTime; windowEnd >= startTime;) {
+      const windowStart = Math.max(startTime, windowEnd - PRIVATE_LIST_WINDOW_MS + 1);
+      let cursor = '';
+
+      do {
+        const response = await this.client[method]({
+          ...params,
+          startTime: windowStart,
+          endTime:   windowEnd,
+          ...(cursor ? { cursor } : {})
+        });
+
+        if (response.retCode !== 0) {
+          throw new Error(`Failed to get ${description}: ${response.retMsg}`);
+        }
+
+        list.push(...(response.result?.list || []));
+        cursor = response.result?.nextPageCursor || '';
+      } while (cursor);
+
+      windowEnd = windowStart - 1;
+    }
+
+    return list;
+  }
+
   /**
    * Отримує історію угод
    */
   async getTradeHistory(symbol = null, limit = 50) {
     try {
+      if (this.isPaperTrading()) {
+        return paperExchangeService.getExecutions(symbol, limit);
+      }
+
       const params = { category: 'linear', limit };
       if (symbol) params.symbol = symbol;
 
@@ -0,0 +1,211 @@
+import { config } from '../config/settings.js';
+import storageService from './storage.service.js';
+import logger from '../utils/logger.js';
+import { getCurrentDate } from '../utils/helpers.js';
+
+/**
+ * Circuit breaker: зупиняє відкриття нових позицій після поганого дня.
+ *
+ * Спрацьовує, коли:
+ *   - реалізований P&L за день <= -MAX_DAILY_LOSS_USDT
+ *   - реалізований P&L за день <= -MAX_DAILY_LOSS_PERCENT% від equity на початок дня
+ *   - просадка equity >= MAX_DRAWDOWN_PERCENT% від startBalance або денного піку
+ *
+ * Після спрацювання залишається активним до наступного дня (UTC)
+ * або до ручного скидання (/resetbreaker). Стан зберігається у storageService.
+ * Точка відліку просадки START_BALANCE, встановлена скиданням, діє і в наступні дні.
+ */
+class CircuitBreakerService {
+  constructor() {
+    this.state = this._createDayState();
+    this.referenceBalance = 0; // statistics.startBalance
+    this.tripCallbacks = [];
+  }
+
+  /**
+   * Відновлює стан зі сховища
+   */
+  restoreState() {
+    const saved = storageService.get('circuitBreaker');
+    if (saved) {
+      this.state = { ...this._createDayState(), ...saved };
+    }
+    this._rollDayIfNeeded();
+
+    if (this.state.tripped) {
+      logger.warn(`[BREAKER] Restored in TRIPPED state: ${this.state.reason}`);
+    }
+  }
+
+  /**
+   * Встановлює баланс, від якого рахується просадка в режимі START_BALANCE
+   */
+  setReferenceBalance(balance) {
+    this.referenceBalance = balance;
+  }
+
+  /**
+   * Реєструє callback, який викликається при спрацюванні (reason, state)
+   */
+  onTrip(callback) {
+    this.tripCallbacks.push(callback);
+  }
+
+  /**
+   * Враховує реалізований P&L закритої позиції
+   */
+  async recordClosedPnl(pnl) {
+    this._rollDayIfNeeded();
+
+    this.state.realisedPnl += pnl || 0;
+    this._save();
+
+    logger.info(`[BREAKER] Daily realised P&L: ${this.state.realisedPnl.toFixed(2)} USDT`);
+
+    await this._evaluate();
+  }
+
+  /**
+   * Оновлює поточний equity (для контролю просадки)
+   */
+  async updateEquity(equity) {
+    if (!(equity > 0)) return;
+
+    this._rollDayIfNeeded();
+
+    if (!this.state.dayStartEquity) {
+      this.state.dayStartEquity = equity;
+    }
+    this.state.peakEquity = Math.max(this.state.peakEquity || 0, equity);
+    this.state.lastEquity = equity;
+    this._save();
+
+    await this._evaluate();
+  }
+
+  /**
+   * Повертає поточний стан (tripped, reason, realisedPnl, ...)
+   */
+  getStatus() {
+    this._rollDayIfNeeded();
+    return { ...this.state };
+  }
+
+  /**
+   * Ручне скидання (команда адміністратора).
+   * Лічильники дня зберігаються, але ліміти далі рахуються від моменту скидання:
+   * вже отриманий збиток і поточний equity стають новою точкою відліку.
+   */
+  reset() {
+    const { realisedPnl, dayStartEquity, peakEquity, lastEquity } = this.state;
+
+    this.state = {
+      ...this._createDayState(),
+      realisedPnl,
+      lossOffset: realisedPnl,
+      dayStartEquity,
+      peakEquity: lastEquity || peakEquity,
+      lastEquity,
+      resetEquity: lastEquity,
+      manualResetAt: Date.now()
+    };
+    this._save();
+
+    logger.warn('[BREAKER] Manually reset');
+  }
+
+  /**
+   * Перевіряє ліміти та спрацьовує, якщо якийсь з них досягнуто
+   */
+  async _evaluate() {
+    if (this.state.tripped) return;
+
+    const reason = this._findBreach();
+    if (!reason) return;
+
+    this.state.tripped = true;
+    this.state.reason = reason;
+    this.state.trippedAt = Date.now();
+    this._save();
+
+    logger.error(`[BREAKER] 🚨 Circuit breaker TRIPPED: ${reason}`);
+
+    for (const callback of this.tripCallbacks) {
+      try {
+        await callback(reason, { ...this.state });
+      } catch (error) {
+        logger.error(`[BREAKER] Error in trip callback: ${error.message}`);
+      }
+    }
+  }
+
+  _findBreach() {
+    const { maxDailyLossUSDT, maxDailyLossPercent, maxDrawdownPercent, drawdownReference } = config.circuitBreaker;
+    const { realisedPnl, dayStartEquity, peakEquity, lastEquity, lossOffset, resetEquity } = this.state;
+    const dailyLoss = -(realisedPnl - (lossOffset || 0));
+
+    if (maxDailyLossUSDT > 0 && dailyLoss >= maxDailyLossUSDT) {
+      return `Daily loss ${dailyLoss.toFixed(2)} USDT >= limit ${maxDailyLossUSDT} USDT`;
+    }
+
+    const lossBase = dayStartEquity || this.referenceBalance;
+    if (maxDailyLossPercent > 0 && lossBase > 0) {
+      const dailyLossPercent = (dailyLoss / lossBase) * 100;
+      if (dailyLossPercent >= maxDailyLossPercent) {
+        return `Daily loss ${dailyLossPercent.toFixed(2)}% >= limit ${maxDailyLossPercent}%`;
+      }
+    }
+
+    if (maxDrawdownPercent > 0 && lastEquity > 0) {
+      const reference = drawdownReference === 'DAILY_PEAK'
+        ? peakEquity
+        : (resetEquity || this.referenceBalance);
+      if (reference > 0) {
+        const drawdownPercent = ((reference - lastEquity) / reference) * 100;
+        if (drawdownPercent >= maxDrawdownPercent) {
+          return `Drawdown ${drawdownPercent.toFixed(2)}% from ${drawdownReference} ` +
+            `(${reference.toFixed(2)} → ${lastEquity.toFixed(2)} USDT) >= limit ${maxDrawdownPercent}%`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  _rollDayIfNeeded() {
+    const today = getCurrentDate();
+    if (this.state.date === today) return;
+
+    if (this.state.tripped) {
+      logger.info(`[BREAKER] New day (${today}) — circuit breaker reset`);
+    }
+
+    // Нова точка відліку START_BALANCE після /resetbreaker не скидається з днем,
+    // інакше просадка знову рахувалась би від statistics.startBalance
+    this.state = { ...this._createDayState(), resetEquity: this.state.resetEquity || null };
+    this._save();
+  }
+
+  _createDayState() {
+    return {
+      date: getCurrentDate(),
+      realisedPnl: 0,
+      lossOffset: 0,
+      dayStartEquity: null,
+      peakEquity: null,
+      lastEquity: null,
+      resetEquity: null,
+      tripped: false,
+      reason: null,
+      trippedAt: null
+    };
+  }
+
+  _save() {
+    storageService.set('circuitBreaker', this.state);
+  }
+}
+
+// Експортуємо singleton
+const circuitBreakerService = new CircuitBreakerService();
+export default circuitBreakerService;
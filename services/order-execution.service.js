@@ -0,0 +1,274 @@
+import { config, getSymbolProfile } from '../config/settings.js';
+import bybitService from './bybit.service.js';
+import logger from '../utils/logger.js';
+import { aggregateExecutions, roundPriceToTick, roundQuantity, sleep } from '../utils/helpers.js';
+
+// Підтвердження виконання: execution list Bybit може відставати від відповіді на ордер
+const FILL_CONFIRM_ATTEMPTS = 5;
+const FILL_CONFIRM_DELAY_MS = 500;
+
+/**
+ * Виконання ордерів входу та виходу.
+ *
+ * MARKET    — звичайний Market ордер (bybitService.openMarketOrder / closeMarketOrder).
+ * POST_ONLY — лімітний PostOnly ордер по best bid/ask (для входу — опційно по
+ *             index price сигналу), який кожні EXECUTION_CHASE_INTERVAL_MS
+ *             переставляється за ринком. Погоня зупиняється після
+ *             EXECUTION_MAX_CHASES переставлянь, при відході ціни далі ніж на
+ *             EXECUTION_MAX_SLIPPAGE_PERCENT від початкової або по EXECUTION_TIMEOUT_MS;
+ *             невиконаний залишок добивається Market ордером або скасовується
+ *             (EXECUTION_FALLBACK).
+ *
+ * Режим задається окремо для входу й виходу та перевизначається по символах.
+ *
+ * Результат будь-якого режиму підтверджується виконаннями ордерів (execution list
+ * по orderId): фактична кількість, середньозважена ціна та комісія, а не запитані.
+ */
+class OrderExecutionService {
+  /**
+   * Режим виконання для символу (вхід — за профілем символу)
+   * @param {boolean} isExit — для reduce-only закриття
+   */
+  getMode(symbol, isExit = false) {
+    const { exitMode, exitModeBySymbol } = config.execution;
+
+    return isExit
+      ? exitModeBySymbol[symbol] || exitMode
+      : getSymbolProfile(symbol).entryMode;
+  }
+
+  /**
+   * Відкриває (збільшує) позицію.
+   *
+   * @param {Object} options — { orderLinkId, indexPrice }
+   * @returns {Object} { orderId, orderIds, orderLinkId, symbol, side, requestedQuantity,
+   *                     quantity, avgPrice, fee, partial, confirmed }
+   *                   quantity / avgPrice / fee — фактичні, з виконань; avgPrice — null, якщо невідома;
+   *                   confirmed: false — виконання так і не з'явились, quantity = запитана
+   */
+  async openPosition(symbol, side, quantity, positionIdx = 0, options = {}) {
+    const { orderLinkId, indexPrice } = options;
+
+    if (this.getMode(symbol) === 'MARKET') {
+      const result = await bybitService.openMarketOrder(symbol, side, quantity, positionIdx, orderLinkId);
+      return this._confirm(result, [result.orderId], quantity, quantity);
+    }
+
+    return this._executePostOnly(symbol, side, quantity, positionIdx, { orderLinkId, indexPrice, reduceOnly: false });
+  }
+
+  /**
+   * Закриває (зменшує) позицію reduce-only ордером
+   *
+   * @param {Object} options — { orderLinkId, forceMarket } — forceMarket ігнорує EXECUTION_EXIT_MODE
+   */
+  async closePosition(symbol, closeSide, quantity, positionIdx = 0, options = {}) {
+    const { orderLinkId, forceMarket = false } = options;
+
+    if (forceMarket || this.getMode(symbol, true) === 'MARKET') {
+      const result = await bybitService.closeMarketOrder(symbol, closeSide, quantity, positionIdx, orderLinkId);
+      return this._confirm(result, [result.orderId], quantity, quantity);
+    }
+
+    return this._executePostOnly(symbol, closeSide, quantity, positionIdx, { orderLinkId, reduceOnly: true });
+  }
+
+  /**
+   * PostOnly ордер з погонею за ціною та fallback
+   */
+  async _executePostOnly(symbol, side, quantity, positionIdx, { orderLinkId, indexPrice, reduceOnly }) {
+    const { entryPrice, chaseIntervalMs, maxChases, maxSlippagePercent, timeoutMs, fallback } = config.execution;
+    const symbolInfo = await bybitService.getSymbolInfo(symbol);
+    const startedAt = Date.now();
+
+    const ticker = await bybitService.getTicker(symbol);
+    const startPrice = !reduceOnly && entryPrice === 'INDEX' && indexPrice
+      ? indexPrice
+      : this._bestPrice(side, ticker);
+
+    // Найгірша ціна, до якої дозволено переставляти ордер
+    const limitPrice = side === 'Buy'
+      ? startPrice * (1 + maxSlippagePercent / 100)
+      : startPrice * (1 - maxSlippagePercent / 100);
+
+    // Виконана кількість за станом ордерів — для розрахунку залишку
+    let filledQty = 0;
+    let attempt = 0;
+    let chases = 0;
+    let price = this._roundPrice(startPrice, side, symbolInfo);
+    let order = await this._placeLimit(symbol, side, quantity, price, positionIdx, reduceOnly, orderLinkId, attempt);
+    const orderIds = [order.orderId];
+
+    logger.info(`[EXECUTION] ${symbol} ${side} post-only ${quantity} @ ${price} (limit ${this._roundPrice(limitPrice, side, symbolInfo)})`);
+
+    while (true) {
+      await sleep(chaseIntervalMs);
+
+      const state = await bybitService.getOrder(symbol, order.orderId);
+
+      if (state.status === 'Filled') {
+        filledQty += state.filledQty;
+        order = null;
+        break;
+      }
+
+      if (Date.now() - startedAt >= timeoutMs || chases >= maxChases) {
+        logger.info(`[EXECUTION] ${symbol} chase stopped after ${chases} re-price(s)`);
+        break;
+      }
+
+      const best = this._bestPrice(side, await bybitService.getTicker(symbol));
+      if (side === 'Buy' ? best > limitPrice : best < limitPrice) {
+        logger.warn(`[EXECUTION] ${symbol} moved beyond max slippage (best ${best}, limit ${limitPrice})`);
+        break;
+      }
+
+      const nextPrice = this._roundPrice(best, side, symbolInfo);
+      const isClosed = state.status === 'Cancelled' || state.status === 'Rejected' || state.status === 'Deactivated';
+
+      if (isClosed) {
+        // PostOnly скасовано біржею (ціна пішла на нашу сторону) — виставляємо залишок заново
+        filledQty += state.filledQty;
+        const remaining = roundQuantity(quantity - filledQty, symbolInfo.tickSize);
+        if (remaining < symbolInfo.minQty) {
+          order = null;
+          break;
+        }
+
+        price = nextPrice;
+        order = await this._placeLimit(symbol, side, remaining, price, positionIdx, reduceOnly, orderLinkId, ++attempt);
+        orderIds.push(order.orderId);
+        chases++;
+      } else if (nextPrice !== price) {
+        try {
+          await bybitService.amendOrderPrice(symbol, order.orderId, nextPrice);
+          price = nextPrice;
+          chases++;
+        } catch (error) {
+          // Ордер виконався або скасувався між перевірками — побачимо на наступній ітерації
+          logger.warn(`[EXECUTION] ${symbol} amend failed: ${error.message}`);
+        }
+      }
+    }
+
+    if (order) {
+      await bybitService.cancelOrder(symbol, order.orderId);
+      filledQty += (await bybitService.getOrder(symbol, order.orderId)).filledQty;
+    }
+
+    const remaining = roundQuantity(quantity - filledQty, symbolInfo.tickSize);
+
+    if (remaining >= symbolInfo.minQty) {
+      if (fallback === 'CANCEL') {
+        if (filledQty === 0) {
+          throw new Error(
+            `Post-only ${side} ${symbol} not filled (${filledQty}/${quantity}) within ${chases} re-price(s), remainder cancelled`
+          );
+        }
+        logger.warn(`[EXECUTION] ${symbol} partially filled ${filledQty}/${quantity}, remainder cancelled`);
+      } else {
+        logger.info(`[EXECUTION] ${symbol} falling back to market for ${remaining}`);
+        const marketLinkId = orderLinkId ? `${orderLinkId}-m` : undefined;
+        const result = reduceOnly
+          ? await bybitService.closeMarketOrder(symbol, side, remaining, positionIdx, marketLinkId)
+          : await bybitService.openMarketOrder(symbol, side, remaining, positionIdx, marketLinkId);
+
+        orderIds.push(result.orderId);
+        filledQty += remaining;
+      }
+    }
+
+    logger.info(`[EXECUTION] ${symbol} ${side} post-only done after ${chases} re-price(s)`);
+
+    return this._confirm(
+      { orderId: orderIds.at(-1), orderLinkId, symbol, side },
+      orderIds,
+      quantity,
+      roundQuantity(filledQty, symbolInfo.tickSize)
+    );
+  }
+
+  /**
+   * Підтверджує виконання ордерів по їхніх execution.
+   *
+   * @param {Object}   result       — відповідь на ордер (orderId, orderLinkId, symbol, side)
+   * @param {string[]} orderIds     — усі ордери цього входу / виходу
+   * @param {number}   requestedQty — запитана кількість
+   * @param {number}   expectedQty  — очікувана виконана кількість (для Market — запитана)
+   */
+  async _confirm(result, orderIds, requestedQty, expectedQty) {
+    const { symbol } = result;
+    let fill = { quantity: 0, avgPrice: null, fee: 0 };
+
+    for (let attempt = 1; attempt <= FILL_CONFIRM_ATTEMPTS; attempt++) {
+      try {
+        const executions = [];
+        for (const orderId of orderIds) {
+          executions.push(...await bybitService.getOrderExecutions(symbol, orderId));
+        }
+        fill = aggregateExecutions(executions);
+      } catch (error) {
+        logger.warn(`[EXECUTION] ${symbol} fill check ${attempt}/${FILL_CONFIRM_ATTEMPTS} failed: ${error.message}`);
+      }
+
+      if (fill.quantity >= expectedQty) break;
+      if (attempt < FILL_CONFIRM_ATTEMPTS) await sleep(FILL_CONFIRM_DELAY_MS);
+    }
+
+    const confirmed = fill.quantity > 0;
+    if (!confirmed) {
+      // Ордер прийнято, але виконань не видно — далі позицію уточнить звірка з біржею
+      logger.warn(`[EXECUTION] ${symbol} fills not confirmed for ${orderIds.join(', ')}, assuming ${expectedQty}`);
+    }
+
+    const quantity = confirmed ? fill.quantity : expectedQty;
+    const partial = quantity < requestedQty;
+
+    logger.info(
+      `[EXECUTION] ✅ ${symbol} ${result.side} filled ${quantity}/${requestedQty}` +
+      (fill.avgPrice ? ` @ ${fill.avgPrice}` : '') + ` (fee ${fill.fee.toFixed(4)} USDT)`
+    );
+    if (partial) {
+      logger.warn(`[EXECUTION] ${symbol} partial fill: ${quantity} of ${requestedQty}`);
+    }
+
+    return {
+      ...result,
+      orderIds,
+      requestedQuantity: requestedQty,
+      quantity,
+      avgPrice:          fill.avgPrice,
+      fee:               fill.fee,
+      partial,
+      confirmed
+    };
+  }
+
+  /**
+   * Виставляє PostOnly ордер; повторні спроби отримують суфікс до orderLinkId
+   */
+  _placeLimit(symbol, side, quantity, price, positionIdx, reduceOnly, orderLinkId, attempt) {
+    const linkId = orderLinkId && attempt > 0 ? `${orderLinkId}-${attempt}` : orderLinkId;
+    return bybitService.placeLimitOrder(symbol, side, quantity, price, positionIdx, {
+      postOnly:    true,
+      reduceOnly,
+      orderLinkId: linkId
+    });
+  }
+
+  /**
+   * Maker ціна: купуємо по best bid, продаємо по best ask
+   */
+  _bestPrice(side, ticker) {
+    const best = side === 'Buy' ? ticker.bidPrice : ticker.askPrice;
+    return best || ticker.lastPrice;
+  }
+
+  _roundPrice(price, side, symbolInfo) {
+    return roundPriceToTick(price, symbolInfo.priceTickSize, symbolInfo.pricePrecision, side === 'Buy');
+  }
+}
+
+// Експортуємо singleton
+const orderExecutionService = new OrderExecutionService();
+export default orderExecutionService;
@@ -0,0 +1,486 @@
+import { config } from '../config/settings.js';
+import storageService from './storage.service.js';
+import logger from '../utils/logger.js';
+import { calculatePnL } from '../utils/helpers.js';
+
+/**
+ * Віртуальна біржа для paper trading (DRY_RUN=true).
+ *
+ * Ринкові дані (ціни, інформація про символ) бот і далі бере з Bybit,
+ * а ордери, позиції, баланс та історія виконань симулюються тут:
+ *   - Market ордер виконується по поточній ціні ± PAPER_SLIPPAGE_PERCENT
+ *   - з кожного виконання списується PAPER_TAKER_FEE_PERCENT від номіналу
+ *   - Limit ордер чекає, поки ціна його перетне, і виконується по своїй ціні
+ *     з PAPER_MAKER_FEE_PERCENT; PostOnly, що перетнув би ринок, скасовується
+ *   - аварійний стоп спрацьовує, коли ціна перетинає рівень stop-loss
+ *
+ * Формат відповідей збігається з bybitService, тому PositionService
+ * обробляє закриття та P&L тим самим шляхом, що й у живій торгівлі.
+ * Стан зберігається у storageService і переживає рестарт.
+ */
+class PaperExchangeService {
+  constructor() {
+    this.state = null;
+    this.orderSequence = 0;
+  }
+
+  /**
+   * Повертає стан віртуального акаунта (створює при першому запуску)
+   */
+  _getState() {
+    if (!this.state) {
+      this.state = storageService.get('paperExchange') || {
+        balance:    config.paperTrading.initialBalance,
+        positions:  {},   // `${symbol}:${positionIdx}` -> позиція
+        executions: [],   // останні виконання, новіші першими
+        leverage:   {}    // symbol -> плече
+      };
+      // Стан, збережений до появи лімітних ордерів / closed PnL
+      this.state.orders = this.state.orders || {};     // orderId -> лімітний ордер
+      this.state.closedPnl = this.state.closedPnl || []; // записи у форматі Bybit closed PnL, новіші першими
+      logger.info(`[PAPER] Virtual account: ${this.state.balance.toFixed(2)} USDT`);
+    }
+    return this.state;
+  }
+
+  _save() {
+    storageService.set('paperExchange', this.state);
+  }
+
+  /**
+   * Баланс віртуального акаунта.
+   * @param {Object} prices — { SYMBOL: lastPrice } для розрахунку нереалізованого P&L
+   */
+  getWalletBalance(prices = {}) {
+    const state = this._getState();
+    const positions = Object.values(state.positions);
+
+    const usedMargin = positions.reduce(
+      (sum, pos) => sum + (pos.size * pos.avgPrice) / pos.leverage, 0
+    );
+    const unrealisedPnl = positions.reduce((sum, pos) => {
+      const price = prices[pos.symbol];
+      return price ? sum + calculatePnL(pos.avgPrice, price, pos.size, pos.side === 'Buy' ? 'LONG' : 'SHORT') : sum;
+    }, 0);
+
+    return {
+      walletBalance:    state.balance,
+      availableBalance: state.balance - usedMargin,
+      equity:           state.balance + unrealisedPnl
+    };
+  }
+
+  /**
+   * Встановлює плече для символу
+   */
+  setLeverage(symbol, leverage) {
+    this._getState().leverage[symbol] = leverage;
+    this._save();
+    logger.info(`[PAPER] Leverage ${leverage}x set for ${symbol}`);
+  }
+
+  /**
+   * Виконує Market ордер.
+   *
+   * @param {Object} order — { symbol, side, qty, price, positionIdx, reduceOnly, orderLinkId, stopOrderType }
+   *                         price — ринкова ціна, до якої застосовується прослизання
+   * @returns {Object} { orderId, orderLinkId }
+   */
+  submitMarketOrder(order) {
+    const { symbol, side, price, positionIdx = 0, reduceOnly = false, orderLinkId, stopOrderType } = order;
+    this._checkOrderLinkId(orderLinkId);
+
+    const slippage = price * (config.paperTrading.slippagePercent / 100);
+    const orderId = this._nextOrderId();
+
+    this._execute({
+      orderId,
+      symbol,
+      side,
+      qty:         order.qty,
+      execPrice:   side === 'Buy' ? price + slippage : price - slippage,
+      feePercent:  config.paperTrading.takerFeePercent,
+      orderType:   'Market',
+      positionIdx,
+      reduceOnly,
+      orderLinkId,
+      stopOrderType
+    });
+    this._save();
+
+    return { orderId, orderLinkId: orderLinkId || '' };
+  }
+
+  /**
+   * Виставляє Limit ордер.
+   *
+   * @param {Object} order — { symbol, side, qty, price, lastPrice, positionIdx, reduceOnly, postOnly, orderLinkId }
+   *                         lastPrice — поточна ринкова ціна
+   * @returns {Object} { orderId, orderLinkId }
+   */
+  submitLimitOrder(order) {
+    const { symbol, side, qty, price, lastPrice, positionIdx = 0, reduceOnly = false, postOnly = false, orderLinkId } = order;
+    this._checkOrderLinkId(orderLinkId);
+
+    const state = this._getState();
+    const orderId = this._nextOrderId();
+
+    state.orders[orderId] = {
+      orderId,
+      orderLinkId: orderLinkId || '',
+      symbol,
+      side,
+      qty,
+      price,
+      positionIdx,
+      reduceOnly,
+      postOnly,
+      status:       'New',
+      filledQty:    0,
+      avgPrice:     null,
+      rejectReason: '',
+      createdAt:    Date.now()
+    };
+
+    this._matchOrder(state.orders[orderId], lastPrice, true);
+    this._pruneOrders();
+    this._save();
+
+    logger.info(`[PAPER] ${side} limit ${qty} ${symbol} @ ${price}: ${state.orders[orderId].status}`);
+
+    return { orderId, orderLinkId: orderLinkId || '' };
+  }
+
+  /**
+   * Змінює ціну активного лімітного ордера
+   */
+  amendOrder(orderId, price) {
+    const order = this._getState().orders[orderId];
+    if (!order || order.status !== 'New') {
+      const error = new Error('Paper: order not exists or too late to replace');
+      error.code = 110001;
+      throw error;
+    }
+
+    order.price = price;
+    this._save();
+  }
+
+  /**
+   * Скасовує лімітний ордер (виконаний чи вже скасований — без змін)
+   */
+  cancelOrder(orderId) {
+    const order = this._getState().orders[orderId];
+    if (order?.status === 'New') {
+      order.status = 'Cancelled';
+      this._save();
+    }
+  }
+
+  /**
+   * Стан лімітного ордера у форматі bybitService.getOrder().
+   * Спершу перевіряє, чи не перетнула його поточна ціна.
+   */
+  getOrder(orderId, lastPrice) {
+    const order = this._getState().orders[orderId];
+    if (!order) {
+      throw new Error(`Paper: order ${orderId} not found`);
+    }
+
+    if (this._matchOrder(order, lastPrice, false)) {
+      this._save();
+    }
+
+    return {
+      orderId:      order.orderId,
+      status:       order.status,
+      price:        order.price,
+      quantity:     order.qty,
+      filledQty:    order.filledQty,
+      avgPrice:     order.avgPrice,
+      rejectReason: order.rejectReason
+    };
+  }
+
+  /**
+   * Виконує (або для PostOnly — відхиляє) ордер, якщо ринкова ціна його перетнула.
+   * @param {boolean} isNew — перевірка в момент виставлення (перетин = taker)
+   * @returns {boolean} чи змінився стан ордера
+   */
+  _matchOrder(order, lastPrice, isNew) {
+    if (order.status !== 'New' || !lastPrice) return false;
+
+    const crossed = order.side === 'Buy' ? lastPrice <= order.price : lastPrice >= order.price;
+    if (!crossed) return false;
+
+    if (isNew && order.postOnly) {
+      order.status = 'Cancelled';
+      order.rejectReason = 'EC_PostOnlyWillTakeLiquidity';
+      return true;
+    }
+
+    const position = this._getState().positions[`${order.symbol}:${order.positionIdx}`];
+    if (order.reduceOnly && (!position || position.side === order.side)) {
+      order.status = 'Cancelled';
+      order.rejectReason = 'EC_ReduceOnlyNoPosition';
+      return true;
+    }
+
+    // Limit, що перетинає ринок при виставленні, виконується як taker по ринку
+    const execPrice = isNew ? lastPrice : order.price;
+    const qty = this._execute({
+      orderId:     order.orderId,
+      symbol:      order.symbol,
+      side:        order.side,
+      qty:         order.qty,
+      execPrice,
+      feePercent:  isNew ? config.paperTrading.takerFeePercent : config.paperTrading.makerFeePercent,
+      orderType:   'Limit',
+      positionIdx: order.positionIdx,
+      reduceOnly:  order.reduceOnly,
+      orderLinkId: order.orderLinkId
+    });
+
+    order.status = 'Filled';
+    order.filledQty = qty;
+    order.avgPrice = execPrice;
+    return true;
+  }
+
+  /**
+   * Застосовує виконання до позиції та балансу, записує його в історію.
+   * @returns {number} виконана кількість
+   */
+  _execute(fill) {
+    const { orderId, symbol, side, execPrice, feePercent, orderType, positionIdx = 0, reduceOnly = false, orderLinkId, stopOrderType } = fill;
+    const state = this._getState();
+    const key = `${symbol}:${positionIdx}`;
+    const position = state.positions[key];
+
+    let qty = fill.qty;
+    if (reduceOnly) {
+      if (!position || position.side === side) {
+        throw new Error('Paper: reduce-only order has no position to reduce');
+      }
+      qty = Math.min(qty, position.size);
+    }
+
+    const execFee = qty * execPrice * (feePercent / 100);
+    let closedSize = 0;
+
+    if (position && position.side !== side) {
+      // Зменшення / закриття (і, можливо, розворот) існуючої позиції
+      closedSize = Math.min(qty, position.size);
+      const realisedPnl = calculatePnL(
+        position.avgPrice, execPrice, closedSize, position.side === 'Buy' ? 'LONG' : 'SHORT'
+      );
+      state.balance += realisedPnl;
+
+      // Як у Bybit: closed PnL за вирахуванням частки комісії входу та комісії виходу
+      const openFeeShare = (position.openFee || 0) * closedSize / position.size;
+      position.openFee = (position.openFee || 0) - openFeeShare;
+      state.closedPnl.unshift({
+        symbol,
+        orderId,
+        side,
+        closedSize:    closedSize.toString(),
+        avgEntryPrice: position.avgPrice.toString(),
+        avgExitPrice:  execPrice.toString(),
+        cumEntryValue: (closedSize * position.avgPrice).toString(),
+        cumExitValue:  (closedSize * execPrice).toString(),
+        closedPnl:     (realisedPnl - openFeeShare - execFee * closedSize / qty).toString(),
+        createdTime:   Date.now().toString()
+      });
+      state.closedPnl = state.closedPnl.slice(0, 200);
+
+      position.size -= closedSize;
+
+      if (position.size <= 0) {
+        delete state.positions[key];
+      }
+
+      const remaining = qty - closedSize;
+      if (remaining > 0 && !reduceOnly) {
+        state.positions[key] = this._newPosition(symbol, side, remaining, execPrice, positionIdx);
+        state.positions[key].openFee = execFee * remaining / qty;
+      }
+    } else if (position) {
+      // Збільшення позиції — середньозважена ціна входу
+      const totalSize = position.size + qty;
+      position.avgPrice = (position.avgPrice * position.size + execPrice * qty) / totalSize;
+      position.size = totalSize;
+      position.openFee = (position.openFee || 0) + execFee;
+    } else {
+      state.positions[key] = this._newPosition(symbol, side, qty, execPrice, positionIdx);
+      state.positions[key].openFee = execFee;
+    }
+
+    state.balance -= execFee;
+
+    state.executions.unshift({
+      symbol,
+      side,
+      orderId,
+      orderLinkId: orderLinkId || '',
+      orderType,
+      execPrice:   execPrice.toString(),
+      execQty:     qty.toString(),
+      execFee:     execFee.toString(),
+      execTime:    Date.now().toString(),
+      closedSize:  closedSize.toString(),
+      stopOrderType: stopOrderType || ''
+    });
+    state.executions = state.executions.slice(0, 200);
+
+    logger.info(
+      `[PAPER] ${side} ${qty} ${symbol} filled @ ${execPrice.toFixed(6)} ` +
+      `(fee ${execFee.toFixed(4)} USDT, balance ${state.balance.toFixed(2)} USDT)`
+    );
+
+    return qty;
+  }
+
+  /**
+   * Як і Bybit: повторний orderLinkId відхиляється
+   */
+  _checkOrderLinkId(orderLinkId) {
+    if (!orderLinkId) return;
+
+    const state = this._getState();
+    const used = state.executions.some(exec => exec.orderLinkId === orderLinkId) ||
+      Object.values(state.orders).some(order => order.orderLinkId === orderLinkId);
+
+    if (used) {
+      const error = new Error('Paper: OrderLinkedID is duplicate');
+      error.code = 110072;
+      throw error;
+    }
+  }
+
+  _nextOrderId() {
+    return `PAPER-${Date.now()}-${++this.orderSequence}`;
+  }
+
+  /**
+   * Залишає всі активні та 100 останніх завершених лімітних ордерів
+   */
+  _pruneOrders() {
+    const state = this._getState();
+    const finished = Object.values(state.orders)
+      .filter(order => order.status !== 'New')
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    for (const order of finished.slice(100)) {
+      delete state.orders[order.orderId];
+    }
+  }
+
+  /**
+   * Встановлює (0 — знімає) stop-loss на віртуальну позицію
+   */
+  setTradingStop(symbol, stopLoss, positionIdx = 0) {
+    const position = this._getState().positions[`${symbol}:${positionIdx}`];
+    if (!position) {
+      throw new Error(`Paper: no position for ${symbol}`);
+    }
+
+    position.stopLoss = stopLoss > 0 ? stopLoss : 0;
+    this._save();
+  }
+
+  /**
+   * Перевіряє стопи по поточній ціні та закриває позиції, де стоп перетнуто
+   */
+  checkStops(symbol, price) {
+    const state = this._getState();
+
+    // Лімітні ордери, які перетнула ціна, виконуються раніше за стопи
+    for (const order of Object.values(state.orders)) {
+      if (order.symbol === symbol && this._matchOrder(order, price, false)) {
+        this._save();
+      }
+    }
+
+    for (const position of Object.values(state.positions)) {
+      if (position.symbol !== symbol || !position.stopLoss) continue;
+
+      const isLong = position.side === 'Buy';
+      const triggered = isLong ? price <= position.stopLoss : price >= position.stopLoss;
+
+      if (triggered) {
+        logger.warn(`[PAPER] Stop-loss triggered for ${symbol} @ ${price} (stop ${position.stopLoss})`);
+        this.submitMarketOrder({
+          symbol,
+          side:          isLong ? 'Sell' : 'Buy',
+          qty:           position.size,
+          price,
+          positionIdx:   position.positionIdx,
+          reduceOnly:    true,
+          stopOrderType: 'StopLoss'
+        });
+      }
+    }
+  }
+
+  /**
+   * Відкриті віртуальні позиції у форматі bybitService.getOpenPositions()
+   * @param {Object} prices — { SYMBOL: lastPrice }
+   */
+  getPositions(symbol = null, prices = {}) {
+    return Object.values(this._getState().positions)
+      .filter(pos => !symbol || pos.symbol === symbol)
+      .map(pos => {
+        const markPrice = prices[pos.symbol] || pos.avgPrice;
+        const direction = pos.side === 'Buy' ? 'LONG' : 'SHORT';
+        const liqDistance = pos.avgPrice / pos.leverage;
+
+        return {
+          symbol:        pos.symbol,
+          side:          pos.side,
+          size:          pos.size,
+          entryPrice:    pos.avgPrice,
+          markPrice,
+          unrealisedPnl: calculatePnL(pos.avgPrice, markPrice, pos.size, direction),
+          leverage:      pos.leverage,
+          positionIdx:   pos.positionIdx,
+          // Оцінка без maintenance margin
+          liqPrice:      direction === 'LONG' ? pos.avgPrice - liqDistance : pos.avgPrice + liqDistance,
+          stopLoss:      pos.stopLoss || 0
+        };
+      });
+  }
+
+  /**
+   * Історія виконань у форматі Bybit execution list (новіші першими)
+   */
+  getExecutions(symbol = null, limit = 50) {
+    return this._getState().executions
+      .filter(exec => !symbol || exec.symbol === symbol)
+      .slice(0, limit);
+  }
+
+  /**
+   * Записи closed PnL у форматі Bybit (новіші першими)
+   */
+  getClosedPnl(symbol = null, startTime = 0, endTime = Date.now()) {
+    return this._getState().closedPnl
+      .filter(record => !symbol || record.symbol === symbol)
+      .filter(record => record.createdTime >= startTime && record.createdTime <= endTime);
+  }
+
+  _newPosition(symbol, side, size, avgPrice, positionIdx) {
+    return {
+      symbol,
+      side,
+      size,
+      avgPrice,
+      positionIdx,
+      leverage: this._getState().leverage[symbol] || config.risk.leverage,
+      stopLoss: 0
+    };
+  }
+}
+
+// Експортуємо singleton
+const paperExchangeService = new PaperExchangeService();
+export default paperExchangeService;
@@ -1,14 +1,76 @@
 import bybitService from './bybit.service.js';
 import telegramService from './telegram.service.js';
-import { config } from '../config/settings.js';
+import storageService from './storage.service.js';
+import riskService from './risk.service.js';
+import orderExecutionService from './order-execution.service.js';
+import signalDedupService from './signal-dedup.service.js';
+import { config, getSymbolProfile } from '../config/settings.js';
 import logger from '../utils/logger.js';
-import { calculatePnL, calculatePnLPercent, formatDuration } from '../utils/helpers.js';
+import { aggregateExecutions, calculatePnL, calculatePnLPercent, calculateSpreadPercent, formatDuration, isSpreadConverged, roundToDecimal, sleep } from '../utils/helpers.js';
+
+// Запис closed PnL з'являється на Bybit із затримкою після закриття
+const CLOSED_PNL_ATTEMPTS = 3;
+const CLOSED_PNL_DELAY_MS = 1000;
+
+// Скільки останніх виконань по символу переглядати при пошуку ордера, що відкрив позицію
+const RECONCILE_EXECUTIONS_LIMIT = 100;
+
+// Підтвердження, що позиція нульова на біржі (розворот)
+const FLAT_CONFIRM_ATTEMPTS = 10;
+const FLAT_CONFIRM_DELAY_MS = 500;
+
+/**
+ * Ключ відстежуваної позиції: символ + напрямок.
+ * У HEDGE режимі по символу можуть бути дві незалежні ноги (LONG, positionIdx 1 і SHORT, positionIdx 2),
+ * в ONE_WAY — лише одна.
+ */
+export function positionKey(symbol, direction) {
+  return `${symbol}:${direction}`;
+}
+
+function sideOf(direction) {
+  return direction === 'LONG' ? 'Buy' : 'Sell';
+}
 
 class PositionService {
   constructor() {
-    this.openPositions = new Map(); // symbol -> position data
+    this.openPositions = new Map(); // positionKey(symbol, direction) -> position data
     this.closedPositions = [];
     this.monitoringInterval = null;
+
+    // WebSocket-стан: поки стрім активний, polling працює лише як контрольна перевірка
+    this.streamActive = false;
+    this.lastCheckAt = 0;
+    this.recentExecutions = new Map(); // symbol -> останні execution зі стріму
+    this.closingKeys = new Set();      // захист від подвійної обробки закриття (positionKey)
+    this.closedCallbacks = [];
+  }
+
+  /**
+   * Відновлює відкриті позиції та історію угод зі сховища (після рестарту)
+   */
+  restoreState() {
+    const saved = storageService.get('positions', { open: [], closed: [] });
+
+    this.openPositions = new Map(
+      (saved.open || []).map(position => [positionKey(position.symbol, position.direction), position])
+    );
+    this.closedPositions = saved.closed || [];
+
+    logger.info(
+      `[POSITION] Restored state: ${this.openPositions.size} open, ` +
+      `${this.closedPositions.length} closed positions`
+    );
+  }
+
+  /**
+   * Записує поточний стан позицій у сховище
+   */
+  persist() {
+    storageService.set('positions', {
+      open: Array.from(this.openPositions.values()),
+      closed: this.closedPositions
+    });
   }
 
   /**
@@ -24,10 +86,11 @@ class PositionService {
       orderId,
       timestamp,
       positionIdx,
-      positionSizeUSDT
+      positionSizeUSDT,
+      stopLoss
     } = positionData;
 
-    this.openPositions.set(symbol, {
+    this.openPositions.set(positionKey(symbol, direction), {
       symbol,
       direction,
       entryPrice,
@@ -35,25 +98,249 @@ class PositionService {
       orderId,
       timestamp: timestamp || Date.now(),
       positionIdx: positionIdx !== undefined ? positionIdx : 0,
-      positionSizeUSDT: positionSizeUSDT || 0
+      positionSizeUSDT: positionSizeUSDT || 0,
+      stopLoss: stopLoss || null,
+      // Фактичне виконання входу: запитана кількість, комісія та ордери
+      requestedQuantity: positionData.requestedQuantity || quantity,
+      entryFee: positionData.entryFee || 0,
+      entryOrderIds: positionData.entryOrderIds || (orderId ? [orderId] : []),
+      // Ордери закриття, відправлені ботом (виконання шукаються по orderId)
+      exitOrderIds: [],
+      // Входи позиції: перший + докупівлі (config.scaleIn); CLOSE закриває всі разом
+      legs: [{
+        quantity,
+        entryPrice,
+        fee: positionData.entryFee || 0,
+        orderIds: positionData.entryOrderIds || (orderId ? [orderId] : []),
+        spread: positionData.spread ?? null,
+        timestamp: timestamp || Date.now()
+      }],
+      // last / mark / index та перерахований спред на момент входу
+      fairPrice: positionData.fairPrice || null,
+      openedAt: positionData.openedAt || Date.now()
     });
+    this.persist();
 
     logger.info(`[POSITION] Added position to monitoring: ${symbol} ${direction}`);
   }
 
+  /**
+   * Додає до позиції докупівлю (scale-in): перераховує середньозважену ціну входу,
+   * загальну кількість, розмір та комісію входу.
+   *
+   * @param {Object} leg — { quantity, entryPrice, fee, orderIds, requestedQuantity, spread, timestamp }
+   * @returns {Object|null} оновлена позиція
+   */
+  addScaleInLeg(symbol, direction, leg) {
+    const position = this.getOpenPosition(symbol, direction);
+    if (!position) return null;
+
+    // Позиції, збережені до появи докупівель, не мають списку входів
+    if (!position.legs) {
+      position.legs = [{
+        quantity: position.quantity,
+        entryPrice: position.entryPrice,
+        fee: position.entryFee || 0,
+        orderIds: position.entryOrderIds || [],
+        spread: position.fairPrice?.signalSpread ?? null,
+        timestamp: position.timestamp
+      }];
+    }
+
+    const quantity = roundToDecimal(position.quantity + leg.quantity, 8);
+    position.entryPrice = roundToDecimal(
+      (position.entryPrice * position.quantity + leg.entryPrice * leg.quantity) / quantity,
+      8
+    );
+    position.quantity = quantity;
+    position.positionSizeUSDT = quantity * position.entryPrice;
+    position.requestedQuantity = roundToDecimal((position.requestedQuantity || 0) + (leg.requestedQuantity || leg.quantity), 8);
+    position.entryFee = (position.entryFee || 0) + (leg.fee || 0);
+    position.entryOrderIds = [...(position.entryOrderIds || []), ...(leg.orderIds || [])];
+    position.legs.push({
+      quantity: leg.quantity,
+      entryPrice: leg.entryPrice,
+      fee: leg.fee || 0,
+      orderIds: leg.orderIds || [],
+      spread: leg.spread ?? null,
+      timestamp: leg.timestamp || Date.now()
+    });
+    this.persist();
+
+    logger.info(
+      `[POSITION] Scaled in ${symbol} ${direction}: +${leg.quantity} @ ${leg.entryPrice} → ` +
+      `${position.quantity} @ ${position.entryPrice} (${position.legs.length} legs)`
+    );
+    return position;
+  }
+
   /**
    * Видаляє позицію з моніторингу (коли закрита)
    */
-  removeOpenPosition(symbol) {
-    const position = this.openPositions.get(symbol);
+  removeOpenPosition(symbol, direction) {
+    const key = positionKey(symbol, direction);
+    const position = this.openPositions.get(key);
     if (position) {
-      this.openPositions.delete(symbol);
-      logger.info(`[POSITION] Removed position from monitoring: ${symbol}`);
+      this.openPositions.delete(key);
+      this.persist();
+      logger.info(`[POSITION] Removed position from monitoring: ${symbol} ${direction}`);
       return position;
     }
     return null;
   }
 
+  /**
+   * Позначає, що бот сам закриває позицію, та запам'ятовує причину виходу.
+   * Поки позиція закривається, аварійний стоп не переставляється.
+   *
+   * @param {string} symbol     — торгова пара
+   * @param {string} direction  — LONG | SHORT (нога позиції)
+   * @param {string} exitReason — 'SIGNAL' | 'TIMEOUT' | ...
+   */
+  markPositionClosing(symbol, direction, exitReason) {
+    const position = this.getOpenPosition(symbol, direction);
+    if (!position) return;
+
+    position.closing = true;
+    position.exitReason = exitReason;
+    this.persist();
+  }
+
+  /**
+   * Запам'ятовує виконання ордера закриття, відправленого ботом.
+   * Якщо закрито менше за відстежувану кількість (частковий вихід або часткове
+   * виконання) — записує частину (slice) з реалізованим P&L, решта лишається відкритою.
+   *
+   * @param {Object} fill       — результат orderExecutionService.closePosition()
+   * @param {string} exitReason — причина виходу для запису частини
+   * @returns {Object|null} записана частина або null, якщо позиція закрита повністю
+   */
+  recordExitFill(symbol, direction, fill, exitReason = null) {
+    const position = this.getOpenPosition(symbol, direction);
+    if (!position) return null;
+
+    const orderIds = fill.orderIds || [fill.orderId];
+    position.exitOrderIds = [...(position.exitOrderIds || []), ...orderIds];
+
+    const remaining = roundToDecimal(position.quantity - fill.quantity, 8);
+    let slice = null;
+
+    if (fill.confirmed && remaining > 0) {
+      const exitPrice = fill.avgPrice || position.entryPrice;
+      // Частка комісії входу — пропорційно закритій кількості
+      const entryFeeShare = (position.entryFee || 0) * fill.quantity / position.quantity;
+      const grossPnl = calculatePnL(position.entryPrice, exitPrice, fill.quantity, direction);
+
+      slice = {
+        quantity: fill.quantity,
+        exitPrice,
+        grossPnl,
+        entryFee: entryFeeShare,
+        exitFee: fill.fee,
+        netPnl: grossPnl - entryFeeShare - fill.fee,
+        reason: exitReason || position.exitReason || 'SIGNAL',
+        orderIds,
+        timestamp: Date.now()
+      };
+
+      position.slices = [...(position.slices || []), slice];
+      position.entryFee = (position.entryFee || 0) - entryFeeShare;
+      position.quantity = remaining;
+      position.positionSizeUSDT = remaining * position.entryPrice;
+
+      logger.warn(
+        `[POSITION] ${symbol} ${direction} partially closed: ${fill.quantity} @ ${exitPrice} ` +
+        `(net ${slice.netPnl.toFixed(4)} USDT), ${remaining} still open`
+      );
+    }
+    this.persist();
+    return slice;
+  }
+
+  /**
+   * Знімає позначку закриття (якщо ордер на закриття не пройшов)
+   */
+  unmarkPositionClosing(symbol, direction) {
+    const position = this.getOpenPosition(symbol, direction);
+    if (!position) return;
+
+    position.closing = false;
+    position.exitReason = null;
+    this.persist();
+  }
+
+  /**
+   * Ставить аварійний stop-loss на біржі для відстежуваної позиції.
+   * Ціна розраховується від фактичної ціни входу (та ліквідації) з біржі.
+   *
+   * @param {string} symbol           — торгова пара
+   * @param {string} direction        — нога позиції
+   * @param {Object} exchangePosition — позиція з біржі (якщо вже отримана)
+   * @returns {number|null} ціна стопу або null
+   */
+  async placeProtectiveStop(symbol, direction, exchangePosition = null) {
+    if (!config.protectiveStop.enabled) {
+      return null;
+    }
+
+    const trackedPosition = this.getOpenPosition(symbol, direction);
+    if (!trackedPosition || trackedPosition.closing) {
+      return null;
+    }
+
+    try {
+      const position = exchangePosition || (await bybitService.getOpenPositions(symbol))
+        .find(pos => pos.positionIdx === (trackedPosition.positionIdx || 0));
+      const symbolInfo = await bybitService.getSymbolInfo(symbol);
+      const stopBasis = position?.entryPrice || trackedPosition.entryPrice;
+
+      const stopLoss = riskService.calculateProtectiveStopPrice(
+        stopBasis,
+        trackedPosition.direction,
+        { liqPrice: position?.liqPrice, pricePrecision: symbolInfo.pricePrecision }
+      );
+
+      await bybitService.setTradingStop(symbol, stopLoss, trackedPosition.positionIdx);
+
+      trackedPosition.stopLoss = stopLoss;
+      trackedPosition.stopBasis = stopBasis;
+      this.persist();
+
+      logger.info(`[POSITION] Protective stop for ${symbol} ${direction}: ${stopLoss}`);
+      return stopLoss;
+    } catch (error) {
+      logger.error(`[POSITION] Error placing protective stop for ${symbol}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Перевіряє, що аварійний стоп на біржі відповідає відстежуваній позиції
+   * (стоп не знятий вручну, ціна входу не змінилась), і переставляє його за потреби.
+   */
+  async syncProtectiveStop(trackedPosition, exchangePosition) {
+    if (!config.protectiveStop.enabled || !trackedPosition || trackedPosition.closing) {
+      return;
+    }
+    const { symbol, direction } = trackedPosition;
+
+    const tolerance = 0.001; // 0.1%
+    const exchangeStop = exchangePosition.stopLoss || 0;
+    const stopMissing = !exchangeStop;
+    const stopChanged = trackedPosition.stopLoss &&
+      Math.abs(exchangeStop - trackedPosition.stopLoss) / trackedPosition.stopLoss > tolerance;
+    const entryChanged = trackedPosition.stopBasis &&
+      Math.abs(exchangePosition.entryPrice - trackedPosition.stopBasis) / trackedPosition.stopBasis > tolerance;
+
+    if (stopMissing || stopChanged || entryChanged) {
+      logger.warn(
+        `[POSITION] Protective stop out of sync for ${symbol} ${direction} ` +
+        `(exchange=${exchangeStop}, tracked=${trackedPosition.stopLoss}) — re-placing`
+      );
+      await this.placeProtectiveStop(symbol, direction, exchangePosition);
+    }
+  }
+
   /**
    * Додає закриту позицію до історії
    */
@@ -62,22 +349,48 @@ class PositionService {
       ...positionData,
       closedAt: Date.now()
     });
+    this.persist();
 
     logger.info(`[POSITION] Position closed: ${positionData.symbol}, P&L: ${positionData.pnl.toFixed(2)} USDT`);
+
+    for (const callback of this.closedCallbacks) {
+      Promise.resolve()
+        .then(() => callback(positionData))
+        .catch(error => logger.error(`[POSITION] Error in position closed callback: ${error.message}`));
+    }
+  }
+
+  /**
+   * Реєструє callback, який викликається для кожної закритої позиції
+   */
+  onPositionClosed(callback) {
+    this.closedCallbacks.push(callback);
   }
 
   /**
    * Перевіряє чи є відкрита позиція по символу
+   * @param {string|null} direction — конкретна нога; null — будь-яка
    */
-  hasOpenPosition(symbol) {
-    return this.openPositions.has(symbol);
+  hasOpenPosition(symbol, direction = null) {
+    return Boolean(this.getOpenPosition(symbol, direction));
   }
 
   /**
    * Отримує відкриту позицію
+   * @param {string|null} direction — конкретна нога; null — перша по символу (в ONE_WAY — єдина)
    */
-  getOpenPosition(symbol) {
-    return this.openPositions.get(symbol);
+  getOpenPosition(symbol, direction = null) {
+    if (direction) {
+      return this.openPositions.get(positionKey(symbol, direction));
+    }
+    return this.getSymbolPositions(symbol)[0];
+  }
+
+  /**
+   * Усі відкриті ноги символу (в HEDGE — до двох)
+   */
+  getSymbolPositions(symbol) {
+    return Array.from(this.openPositions.values()).filter(position => position.symbol === symbol);
   }
 
   /**
@@ -95,7 +408,9 @@ class PositionService {
   }
 
   /**
-   * Запускає моніторинг позицій
+   * Запускає моніторинг позицій.
+   * Поки WebSocket-стрім активний, REST-перевірка виконується лише раз на
+   * config.monitoring.streamSafetyPollIntervalMs; без стріму — кожен інтервал.
    */
   startMonitoring(intervalMs = 30000) { // 30 секунд за замовчуванням
     if (this.monitoringInterval) {
@@ -106,10 +421,63 @@ class PositionService {
     logger.info('[POSITION] Starting position monitoring...');
 
     this.monitoringInterval = setInterval(async () => {
+      // Час утримання та сходження спреду перевіряємо завжди — позиція з біржі для цього не потрібна
+      await this.checkHoldingTimes();
+      await this.checkSpreadConvergence();
+
+      const sinceLastCheck = Date.now() - this.lastCheckAt;
+      if (this.streamActive && sinceLastCheck < config.monitoring.streamSafetyPollIntervalMs) {
+        return;
+      }
       await this.checkPositions();
     }, intervalMs);
   }
 
+  /**
+   * Оновлює стан WebSocket-стріму (викликається bybitStreamService)
+   */
+  setStreamStatus(isActive) {
+    this.streamActive = isActive;
+
+    if (isActive) {
+      logger.info('[POSITION] Stream active — real-time position updates');
+    } else {
+      logger.warn('[POSITION] Stream down — falling back to polling');
+      // Могли пропустити оновлення, поки сокет був недоступний
+      this.checkPositions();
+    }
+  }
+
+  /**
+   * Обробляє оновлення позиції зі стріму.
+   * Нога визначається по positionIdx: нульова позиція приходить без side.
+   */
+  async handleStreamPositionUpdate(exchangePosition) {
+    const { symbol, positionIdx, size, side } = exchangePosition;
+    const legs = this.getSymbolPositions(symbol).filter(position => (position.positionIdx || 0) === positionIdx);
+
+    for (const trackedPosition of legs) {
+      // В ONE_WAY позиція могла розвернутись поза ботом — наша нога тоді закрита
+      if (size === 0 || (side && side !== sideOf(trackedPosition.direction))) {
+        await this.handlePositionClosed(symbol, trackedPosition);
+      } else {
+        await this.updatePositionData(trackedPosition, exchangePosition);
+      }
+    }
+  }
+
+  /**
+   * Зберігає execution зі стріму — з них визначається реальна ціна закриття
+   */
+  handleStreamExecution(execution) {
+    const { symbol } = execution;
+    if (!this.hasOpenPosition(symbol)) return;
+
+    const executions = this.recentExecutions.get(symbol) || [];
+    executions.unshift(execution);
+    this.recentExecutions.set(symbol, executions.slice(0, 20));
+  }
+
   /**
    * Зупиняє моніторинг позицій
    */
@@ -126,22 +494,33 @@ class PositionService {
    */
   async checkPositions() {
     try {
+      this.lastCheckAt = Date.now();
+
       if (this.openPositions.size === 0) {
         return;
       }
 
-      // Перевіряємо КОЖЕН символ окремо (надійніше)
-      for (const [symbol, trackedPosition] of this.openPositions.entries()) {
+      // Перевіряємо КОЖЕН символ окремо (надійніше), а в ньому — кожну ногу
+      const symbols = new Set(Array.from(this.openPositions.values()).map(position => position.symbol));
+
+      for (const symbol of symbols) {
         try {
           const exchangePositions = await bybitService.getOpenPositions(symbol);
-          const exchangePosition = exchangePositions.find(pos => pos.symbol === symbol);
-
-          if (!exchangePosition || parseFloat(exchangePosition.size) === 0) {
-            // Позиція закрита на біржі
-            await this.handlePositionClosed(symbol, trackedPosition);
-          } else {
-            // Позиція все ще відкрита, оновлюємо дані
-            await this.updatePositionData(symbol, exchangePosition);
+
+          for (const trackedPosition of this.getSymbolPositions(symbol)) {
+            const exchangePosition = exchangePositions.find(pos =>
+              pos.symbol === symbol &&
+              pos.side === sideOf(trackedPosition.direction) &&
+              pos.positionIdx === (trackedPosition.positionIdx || 0)
+            );
+
+            if (!exchangePosition || parseFloat(exchangePosition.size) === 0) {
+              // Нога закрита на біржі
+              await this.handlePositionClosed(symbol, trackedPosition);
+            } else {
+              // Нога все ще відкрита, оновлюємо дані
+              await this.updatePositionData(trackedPosition, exchangePosition);
+            }
           }
         } catch (error) {
           logger.error(`[POSITION] Error checking position ${symbol}: ${error.message}`);
@@ -154,29 +533,341 @@ class PositionService {
   }
 
   /**
-   * Обробляє закриття позиції
+   * Повертає максимальний час утримання позиції для символу (мс, за профілем символу), 0 — без обмеження
    */
-  async handlePositionClosed(symbol, trackedPosition) {
+  getMaxHoldingMs(symbol) {
+    const minutes = getSymbolProfile(symbol).maxHoldingMinutes;
+    return minutes > 0 ? minutes * 60 * 1000 : 0;
+  }
+
+  /**
+   * Закриває позиції, що утримуються довше за дозволений час без CLOSE сигналу
+   */
+  async checkHoldingTimes() {
+    const remainderTimeoutMs = config.exitPlan.remainderTimeoutMinutes * 60 * 1000;
+
+    for (const trackedPosition of Array.from(this.openPositions.values())) {
+      const { symbol } = trackedPosition;
+      if (trackedPosition.closing) continue;
+
+      // Залишок після часткового виходу (config.exitPlan)
+      const firstSliceAt = trackedPosition.slices?.[0]?.timestamp;
+      if (remainderTimeoutMs > 0 && firstSliceAt && Date.now() - firstSliceAt >= remainderTimeoutMs) {
+        await this.closePositionByTimeout(symbol, trackedPosition, remainderTimeoutMs);
+        continue;
+      }
+
+      const maxHoldingMs = this.getMaxHoldingMs(symbol);
+      if (!maxHoldingMs) continue;
+
+      const heldMs = Date.now() - (trackedPosition.openedAt || trackedPosition.timestamp);
+      if (heldMs >= maxHoldingMs) {
+        await this.closePositionByTimeout(symbol, trackedPosition, maxHoldingMs);
+      }
+    }
+  }
+
+  /**
+   * Закриває позиції, спред яких вже зійшовся, а CLOSE сигнал так і не прийшов
+   * (config.spreadConvergedExit). Спред рахується по живому тікеру: last vs index.
+   * Залишок після часткового виходу закривається на повному сходженні
+   * (config.exitPlan.remainderSpreadPercent) незалежно від SPREAD_CONVERGED_EXIT_ENABLED.
+   */
+  async checkSpreadConvergence() {
+    const { enabled, percent: exitPercent } = config.spreadConvergedExit;
+
+    for (const trackedPosition of Array.from(this.openPositions.values())) {
+      const { symbol } = trackedPosition;
+      if (trackedPosition.closing) continue;
+
+      const percent = trackedPosition.slices?.length
+        ? config.exitPlan.remainderSpreadPercent
+        : enabled ? exitPercent : null;
+      if (percent === null) continue;
+
+      // Без спреду на вході (наприклад, прийнята з біржі позиція) сходження не визначити
+      const entrySpread = this._getEntrySpread(trackedPosition);
+      if (entrySpread === null) continue;
+
+      try {
+        const { lastPrice, indexPrice } = await bybitService.getTicker(symbol);
+        if (!indexPrice) continue;
+
+        const spreadPercent = calculateSpreadPercent(lastPrice, indexPrice);
+        if (!isSpreadConverged(entrySpread, spreadPercent, percent)) continue;
+
+        logger.warn(
+          `[POSITION] ${symbol} ${trackedPosition.direction} spread converged to ${spreadPercent.toFixed(3)}% ` +
+          `without CLOSE signal — closing`
+        );
+
+        await this.closePositionByBot(
+          symbol,
+          trackedPosition,
+          'SPREAD_CONVERGED',
+          telegramService.formatSpreadConvergedMessage({ ...trackedPosition, spreadPercent, level: percent })
+        );
+      } catch (error) {
+        logger.error(`[POSITION] Error checking spread for ${symbol}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Спред на вході: перерахований по тікеру Bybit, інакше SPREAD сигналу; null — невідомий
+   */
+  _getEntrySpread(position) {
+    const candidates = [position.fairPrice?.spreadPercent, position.fairPrice?.signalSpread, position.legs?.[0]?.spread];
+    return candidates.find(value => typeof value === 'number' && !isNaN(value) && value !== 0) ?? null;
+  }
+
+  /**
+   * Закриває позицію Market ордером через перевищення часу утримання.
+   * Причина виходу — TIMEOUT; запис про закриття створить handlePositionClosed().
+   */
+  async closePositionByTimeout(symbol, trackedPosition, maxHoldingMs) {
+    const maxHolding = formatDuration(maxHoldingMs / 1000);
+
+    logger.warn(`[POSITION] ${symbol} ${trackedPosition.direction} held longer than ${maxHolding} without CLOSE signal — closing`);
+
+    await this.closePositionByBot(
+      symbol,
+      trackedPosition,
+      'TIMEOUT',
+      telegramService.formatPositionTimeoutMessage({ ...trackedPosition, maxHolding })
+    );
+  }
+
+  /**
+   * Закриває позицію з ініціативи самого бота (TIMEOUT, SPREAD_CONVERGED).
+   * Запис про закриття з exitReason створить handlePositionClosed().
+   *
+   * @param {string} notification — повідомлення в Telegram після відправки ордера
+   */
+  async closePositionByBot(symbol, trackedPosition, exitReason, notification) {
+    const { direction, quantity } = trackedPosition;
+
+    this.markPositionClosing(symbol, direction, exitReason);
+
     try {
-      // Отримуємо останню угоду для визначення ціни закриття
-      const trades = await bybitService.getTradeHistory(symbol, 10);
-      const closeTrade = trades.find(t =>
-        t.symbol === symbol &&
-        (t.side === 'Sell' && trackedPosition.direction === 'LONG' ||
-         t.side === 'Buy' && trackedPosition.direction === 'SHORT')
+      const closeSide = direction === 'LONG' ? 'Sell' : 'Buy';
+      const closeResult = await orderExecutionService.closePosition(symbol, closeSide, quantity, trackedPosition.positionIdx);
+
+      this.recordExitFill(symbol, direction, closeResult);
+      if (closeResult.partial) {
+        throw new Error(`Close order partially filled: ${closeResult.quantity} of ${quantity}`);
+      }
+
+      await telegramService.sendMessage(config.telegram.channelId, notification);
+    } catch (error) {
+      logger.error(`[POSITION] Error closing ${symbol} ${direction} (${exitReason}): ${error.message}`);
+      this.unmarkPositionClosing(symbol, direction);
+
+      // Повідомляємо лише про першу невдачу, далі — повтор на кожній перевірці
+      if (!trackedPosition.autoCloseFailed) {
+        trackedPosition.autoCloseFailed = true;
+        await telegramService.sendMessage(
+          config.telegram.channelId,
+          `❌ <b>ERROR CLOSING POSITION (${exitReason})</b>\n\n` +
+          `Symbol: ${symbol}\n` +
+          `Direction: ${direction}\n` +
+          `Error: ${error.message}`
+        ).catch(telegramError => logger.error(`[POSITION] Error sending close error: ${telegramError.message}`));
+      }
+    }
+  }
+
+  /**
+   * Звіряє відстежувані позиції з реальними позиціями на біржі (при старті).
+   *
+   * Логіка:
+   *   - є і в нас, і на біржі        → confirmed (оновлюємо розмір та ціну входу з біржі)
+   *   - є в нас, але немає на біржі  → closed (закрилась поки бот був вимкнений)
+   *   - є на біржі по дозволеному символу, але не в нас, і її відкрив бот → adopted (беремо під моніторинг)
+   *   - решта позицій на біржі (відкриті вручну, інший символ) → unknown (тільки повідомляємо, не чіпаємо)
+   *
+   * Позиція вважається відкритою ботом, лише якщо останнє виконання, що відкривало її ногу,
+   * належить ордеру бота (_isOpenedByBot).
+   *
+   * Позиції зіставляються по нозі (символ + напрямок), тож у HEDGE режимі
+   * LONG і SHORT одного символу звіряються та беруться під моніторинг незалежно.
+   *
+   * @returns {Object} { confirmed, adopted, closed, unknown } — списки позицій
+   */
+  async reconcileWithExchange() {
+    logger.info('[POSITION] Reconciling tracked positions with exchange...');
+
+    const exchangePositions = await bybitService.getOpenPositions();
+    const result = { confirmed: [], adopted: [], closed: [], unknown: [] };
+    const matchedKeys = new Set();
+
+    // 1. Відстежувані позиції
+    for (const [key, trackedPosition] of Array.from(this.openPositions.entries())) {
+      const { symbol } = trackedPosition;
+      const exchangePosition = exchangePositions.find(pos =>
+        pos.symbol === symbol &&
+        pos.side === sideOf(trackedPosition.direction)
       );
 
-      const exitPrice = closeTrade ? parseFloat(closeTrade.execPrice) : trackedPosition.entryPrice;
-      const duration = Math.floor((Date.now() - trackedPosition.timestamp) / 1000);
+      if (exchangePosition) {
+        matchedKeys.add(key);
 
-      // Розраховуємо P&L
-      const pnl = calculatePnL(
-        trackedPosition.entryPrice,
-        exitPrice,
-        trackedPosition.quantity,
-        trackedPosition.direction
+        trackedPosition.quantity = exchangePosition.size;
+        trackedPosition.entryPrice = exchangePosition.entryPrice;
+        trackedPosition.positionIdx = exchangePosition.positionIdx;
+
+        result.confirmed.push(trackedPosition);
+        logger.info(`[POSITION] Reconcile: ${symbol} ${trackedPosition.direction} confirmed on exchange`);
+      } else {
+        logger.warn(`[POSITION] Reconcile: ${symbol} ${trackedPosition.direction} not found on exchange — closed while offline`);
+        await this.handlePositionClosed(symbol, trackedPosition);
+        result.closed.push(trackedPosition);
+      }
+    }
+
+    this.persist();
+
+    // 2. Позиції на біржі, про які бот не знає
+    const botOrderIds = new Set(
+      [...this.openPositions.values(), ...this.closedPositions].flatMap(position => position.entryOrderIds || [])
+    );
+
+    for (const exchangePosition of exchangePositions) {
+      const { symbol } = exchangePosition;
+      const direction = exchangePosition.side === 'Buy' ? 'LONG' : 'SHORT';
+      const key = positionKey(symbol, direction);
+
+      if (matchedKeys.has(key)) {
+        continue;
+      }
+
+      if (getSymbolProfile(symbol).enabled && await this._isOpenedByBot(exchangePosition, botOrderIds)) {
+        this.addOpenPosition({
+          symbol,
+          direction,
+          entryPrice: exchangePosition.entryPrice,
+          quantity: exchangePosition.size,
+          orderId: 'ADOPTED',
+          timestamp: Date.now(),
+          positionIdx: exchangePosition.positionIdx,
+          positionSizeUSDT: exchangePosition.size * exchangePosition.entryPrice
+        });
+        matchedKeys.add(key);
+
+        result.adopted.push(this.openPositions.get(key));
+        logger.warn(`[POSITION] Reconcile: adopted untracked position ${symbol} ${direction}`);
+      } else {
+        result.unknown.push({ symbol, direction, quantity: exchangePosition.size, entryPrice: exchangePosition.entryPrice });
+        logger.warn(`[POSITION] Reconcile: unknown position ${symbol} ${direction} — not managed by bot`);
+      }
+    }
+
+    logger.info(
+      `[POSITION] Reconcile done: confirmed=${result.confirmed.length}, adopted=${result.adopted.length}, ` +
+      `closed=${result.closed.length}, unknown=${result.unknown.length}`
+    );
+
+    return result;
+  }
+
+  /**
+   * Чи відкрив позицію на біржі бот: останнє виконання, що відкривало цю ногу
+   * (сторона позиції, не лише закриття), належить ордеру з orderLinkId сигналу (sig-)
+   * або ордеру зі збережених entryOrderIds. Без такого доказу позиція вважається чужою.
+   */
+  async _isOpenedByBot(exchangePosition, botOrderIds) {
+    const { symbol, side } = exchangePosition;
+
+    try {
+      const executions = await bybitService.getTradeHistory(symbol, RECONCILE_EXECUTIONS_LIMIT);
+      const entry = executions.find(exec =>
+        exec.side === side &&
+        parseFloat(exec.execQty || '0') > parseFloat(exec.closedSize || '0')
       );
 
+      return Boolean(entry) && (
+        botOrderIds.has(entry.orderId) || signalDedupService.isSignalOrderLinkId(entry.orderLinkId)
+      );
+    } catch (error) {
+      logger.error(`[POSITION] Reconcile: cannot check ownership of ${symbol} ${side}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Чекає, поки біржа покаже позицію нульовою, та записує її закриття.
+   * Якщо закриття вже обробляє стрім / polling — чекає на їхній запис.
+   *
+   * @returns {Object} запис про закриття (як у closedPositions)
+   * @throws якщо позиція лишається відкритою на біржі
+   */
+  async confirmPositionClosed(symbol, trackedPosition) {
+    const { direction, openedAt } = trackedPosition;
+    const positionIdx = trackedPosition.positionIdx || 0;
+
+    for (let attempt = 1; attempt <= FLAT_CONFIRM_ATTEMPTS; attempt++) {
+      const exchangePositions = await bybitService.getOpenPositions(symbol);
+      const stillOpen = exchangePositions.some(pos =>
+        pos.side === sideOf(direction) && pos.positionIdx === positionIdx && pos.size > 0
+      );
+
+      if (!stillOpen) {
+        await this.handlePositionClosed(symbol, trackedPosition);
+
+        const record = this.closedPositions.findLast(position =>
+          position.symbol === symbol && position.direction === direction && position.openedAt === openedAt
+        );
+        if (record) return record;
+      }
+
+      await sleep(FLAT_CONFIRM_DELAY_MS);
+    }
+
+    throw new Error(`${symbol} ${direction} is still open on the exchange after close`);
+  }
+
+  /**
+   * Обробляє закриття позиції.
+   * Закриття при розвороті (exitReason REVERSAL) не сповіщається окремо — звітує розворот.
+   */
+  async handlePositionClosed(symbol, trackedPosition) {
+    const { direction } = trackedPosition;
+    const key = positionKey(symbol, direction);
+
+    // Закриття може прийти одночасно зі стріму та з polling
+    if (this.closingKeys.has(key) || !this.openPositions.has(key)) {
+      return;
+    }
+    this.closingKeys.add(key);
+
+    try {
+      const exitFill = await this._getExitFill(symbol, trackedPosition);
+      const { closeTrade } = exitFill;
+
+      // Часткові виходи (slices) вже зменшили відстежувану кількість;
+      // exitFill охоплює всі виконання закриття, включно з ними
+      const slices = trackedPosition.slices || [];
+      const slicedQuantity = slices.reduce((sum, slice) => sum + slice.quantity, 0);
+      const totalQuantity = exitFill.quantity || roundToDecimal(slicedQuantity + trackedPosition.quantity, 8);
+
+      const exitPrice = exitFill.avgPrice || trackedPosition.entryPrice;
+      const duration = Math.floor((Date.now() - trackedPosition.timestamp) / 1000);
+      const exitReason = trackedPosition.exitReason || this._detectExitReason(trackedPosition, closeTrade, exitPrice);
+
+      // Оцінка P&L по фактично закритій кількості (усі часткові закриття разом);
+      // точні значення — з closed PnL та фінансування Bybit
+      const breakdown = await this._getPnlBreakdown(symbol, trackedPosition, {
+        grossPnl: calculatePnL(
+          trackedPosition.entryPrice,
+          exitPrice,
+          totalQuantity,
+          trackedPosition.direction
+        ),
+        // Комісія входу розподілена між частинами; комісії виходу всіх частин — в exitFill
+        fees: slices.reduce((sum, slice) => sum + slice.entryFee, 0) + (trackedPosition.entryFee || 0) + exitFill.fee
+      });
+      const pnl = breakdown.netPnl;
+
       const pnlPercent = calculatePnLPercent(
         trackedPosition.entryPrice,
         exitPrice,
@@ -185,20 +876,35 @@ class PositionService {
 
       const closedPositionData = {
         ...trackedPosition,
+        quantity: totalQuantity,
+        slices: slices.length > 0
+          ? [...slices, this._getFinalSlice(trackedPosition, exitFill, totalQuantity, exitReason)]
+          : undefined,
         exitPrice,
+        exitFee: exitFill.fee,
+        grossPnl: breakdown.grossPnl,
+        fees: breakdown.fees,
+        funding: breakdown.funding,
+        netPnl: breakdown.netPnl,
+        pnlSource: breakdown.source,
+        exitReason,
         pnl,
         pnlPercent,
         duration: formatDuration(duration)
       };
+      delete closedPositionData.closing;
 
       // Додаємо до історії
       this.addClosedPosition(closedPositionData);
 
-      // Видаляємо з відкритих
-      this.removeOpenPosition(symbol);
+      // Видаляємо з відкритих; execution зі стріму потрібні, поки відкрита інша нога
+      this.removeOpenPosition(symbol, direction);
+      if (!this.hasOpenPosition(symbol)) {
+        this.recentExecutions.delete(symbol);
+      }
 
       // Відправляємо повідомлення в Telegram
-      if (!config.trading.dryRun) {
+      if (exitReason !== 'REVERSAL') {
         await telegramService.sendMessage(
           config.telegram.channelId,
           telegramService.formatPositionClosedMessage(closedPositionData)
@@ -208,20 +914,169 @@ class PositionService {
       logger.info(`[POSITION] Position closed: ${symbol}, P&L: ${pnl.toFixed(2)} USDT (${pnlPercent.toFixed(2)}%)`);
     } catch (error) {
       logger.error(`[POSITION] Error handling closed position: ${error.message}`);
+    } finally {
+      this.closingKeys.delete(key);
     }
   }
 
+  /**
+   * Остання частина позиції з частковими виходами: кількість, ціна та комісія
+   * виходу — залишок загального виконання закриття після попередніх частин.
+   */
+  _getFinalSlice(trackedPosition, exitFill, totalQuantity, exitReason) {
+    const slices = trackedPosition.slices;
+    const quantity = roundToDecimal(totalQuantity - slices.reduce((sum, slice) => sum + slice.quantity, 0), 8);
+    const slicedValue = slices.reduce((sum, slice) => sum + slice.exitPrice * slice.quantity, 0);
+
+    const exitPrice = exitFill.avgPrice && quantity > 0
+      ? roundToDecimal((exitFill.avgPrice * totalQuantity - slicedValue) / quantity, 8)
+      : trackedPosition.entryPrice;
+    const exitFee = Math.max(exitFill.fee - slices.reduce((sum, slice) => sum + slice.exitFee, 0), 0);
+    const entryFee = trackedPosition.entryFee || 0;
+    const grossPnl = calculatePnL(trackedPosition.entryPrice, exitPrice, quantity, trackedPosition.direction);
+
+    return {
+      quantity,
+      exitPrice,
+      grossPnl,
+      entryFee,
+      exitFee,
+      netPnl: grossPnl - entryFee - exitFee,
+      reason: exitReason,
+      orderIds: (trackedPosition.exitOrderIds || []).filter(orderId => !slices.some(slice => slice.orderIds.includes(orderId))),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Виконання, що закрили позицію: { quantity, avgPrice, fee, closeTrade }.
+   *
+   * Ордери закриття бота — точно по orderId; решта (стоп, ручне закриття,
+   * ліквідація) — угоди у протилежний бік після відкриття, спершу зі стріму,
+   * інакше з історії через REST. closeTrade — останнє з таких виконань.
+   */
+  async _getExitFill(symbol, trackedPosition) {
+    const closeSide = trackedPosition.direction === 'LONG' ? 'Sell' : 'Buy';
+    const since = trackedPosition.openedAt || trackedPosition.timestamp;
+    const exitOrderIds = trackedPosition.exitOrderIds || [];
+
+    const botExecutions = [];
+    for (const orderId of exitOrderIds) {
+      botExecutions.push(...await bybitService.getOrderExecutions(symbol, orderId));
+    }
+
+    const streamExecutions = (this.recentExecutions.get(symbol) || [])
+      .filter(exec => exec.execTime >= since);
+    const trades = streamExecutions.length > 0
+      ? streamExecutions
+      : await bybitService.getTradeHistory(symbol, 50);
+    // closedSize > 0 — виконання зменшило позицію; в HEDGE це відрізняє закриття LONG
+    // від відкриття SHORT (обидва — Sell)
+    const otherExecutions = trades.filter(t =>
+      t.symbol === symbol &&
+      t.side === closeSide &&
+      t.execTime >= since &&
+      parseFloat(t.closedSize || '0') > 0 &&
+      !exitOrderIds.includes(t.orderId)
+    );
+
+    return {
+      ...aggregateExecutions([...botExecutions, ...otherExecutions]),
+      closeTrade: otherExecutions[0] || botExecutions[0] || null
+    };
+  }
+
+  /**
+   * Розкладає P&L закритої позиції: { grossPnl, fees, funding, netPnl, source }.
+   *
+   *   grossPnl — різниця цін по закритому обсягу
+   *   fees     — комісії входу та виходу
+   *   funding  — фінансування за час утримання (+ отримали, − заплатили)
+   *   netPnl   = grossPnl − fees + funding
+   *
+   * source: BYBIT — з записів closed PnL, ESTIMATE — з власних виконань (estimate),
+   * якщо записів немає або Bybit недоступний.
+   */
+  async _getPnlBreakdown(symbol, trackedPosition, estimate) {
+    const positionSide = trackedPosition.direction === 'LONG' ? 'Buy' : 'Sell';
+    const closeSide = positionSide === 'Buy' ? 'Sell' : 'Buy';
+    const since = trackedPosition.openedAt || trackedPosition.timestamp;
+
+    let { grossPnl, fees } = estimate;
+    let source = 'ESTIMATE';
+
+    try {
+      let records = [];
+      for (let attempt = 1; attempt <= CLOSED_PNL_ATTEMPTS && records.length === 0; attempt++) {
+        if (attempt > 1) await sleep(CLOSED_PNL_DELAY_MS);
+        records = (await bybitService.getClosedPnl(symbol, since)).filter(record => record.side === closeSide);
+      }
+
+      if (records.length > 0) {
+        grossPnl = records.reduce((sum, record) => sum + (closeSide === 'Sell'
+          ? record.cumExitValue - record.cumEntryValue
+          : record.cumEntryValue - record.cumExitValue), 0);
+        // closedPnl Bybit вже за вирахуванням комісій входу та виходу
+        fees = grossPnl - records.reduce((sum, record) => sum + record.closedPnl, 0);
+        source = 'BYBIT';
+      } else {
+        logger.warn(`[POSITION] ${symbol}: no closed PnL record on Bybit — using own fills`);
+      }
+    } catch (error) {
+      logger.warn(`[POSITION] ${symbol}: closed PnL unavailable (${error.message}) — using own fills`);
+    }
+
+    let funding = 0;
+    try {
+      const settlements = await bybitService.getFundingSettlements(symbol, since);
+      funding = settlements
+        .filter(settlement => !['Buy', 'Sell'].includes(settlement.side) || settlement.side === positionSide)
+        .reduce((sum, settlement) => sum + settlement.amount, 0);
+    } catch (error) {
+      logger.warn(`[POSITION] ${symbol}: funding history unavailable (${error.message})`);
+    }
+
+    return {
+      grossPnl,
+      fees,
+      funding,
+      netPnl: grossPnl - fees + funding,
+      source
+    };
+  }
+
+  /**
+   * Визначає причину закриття, яку ініціював не бот:
+   *   STOP_LOSS — спрацював аварійний стоп
+   *   EXTERNAL  — закрито вручну / ліквідація / інше
+   */
+  _detectExitReason(trackedPosition, closeTrade, exitPrice) {
+    if (closeTrade?.stopOrderType === 'StopLoss') {
+      return 'STOP_LOSS';
+    }
+
+    const { stopLoss, direction } = trackedPosition;
+    if (stopLoss && closeTrade) {
+      const stopReached = direction === 'LONG' ? exitPrice <= stopLoss : exitPrice >= stopLoss;
+      if (stopReached) return 'STOP_LOSS';
+    }
+
+    return 'EXTERNAL';
+  }
+
   /**
    * Оновлює дані позиції
    */
-  async updatePositionData(symbol, exchangePosition) {
-    const trackedPosition = this.openPositions.get(symbol);
+  async updatePositionData(trackedPosition, exchangePosition) {
     if (!trackedPosition) return;
 
     // Оновлюємо unrealised P&L
     const unrealisedPnl = parseFloat(exchangePosition.unrealisedPnl || '0');
 
-    logger.debug(`[POSITION] ${symbol}: Unrealised P&L: ${unrealisedPnl.toFixed(2)} USDT`);
+    logger.debug(`[POSITION] ${trackedPosition.symbol} ${trackedPosition.direction}: Unrealised P&L: ${unrealisedPnl.toFixed(2)} USDT`);
+
+    // Тримаємо аварійний стоп у відповідності з позицією
+    await this.syncProtectiveStop(trackedPosition, exchangePosition);
   }
 
   /**
@@ -233,11 +1088,28 @@ class PositionService {
     const loseTrades = totalTrades - winTrades;
     const totalPnl = this.closedPositions.reduce((sum, p) => sum + p.pnl, 0);
 
+    // Розбивка P&L угод; для записів без розбивки pnl вважається gross
+    const pnlBreakdown = this.closedPositions.reduce((totals, p) => ({
+      grossPnl: totals.grossPnl + (p.grossPnl ?? p.pnl),
+      fees:     totals.fees + (p.fees || 0),
+      funding:  totals.funding + (p.funding || 0),
+      netPnl:   totals.netPnl + p.pnl
+    }), { grossPnl: 0, fees: 0, funding: 0, netPnl: 0 });
+
+    // Скільки разів позиція закривалась не по CLOSE сигналу
+    const exitReasons = this.closedPositions.reduce((counts, p) => {
+      const reason = p.exitReason || 'SIGNAL';
+      counts[reason] = (counts[reason] || 0) + 1;
+      return counts;
+    }, {});
+
     return {
       totalTrades,
       winTrades,
       loseTrades,
       totalPnl,
+      pnlBreakdown,
+      exitReasons,
       openPositions: this.openPositions.size,
       closedPositions: totalTrades
     };
@@ -248,6 +1120,7 @@ class PositionService {
    */
   resetDailyStatistics() {
     this.closedPositions = [];
+    this.persist();
     logger.info('[POSITION] Daily statistics reset');
   }
 }
@@ -1,12 +1,128 @@
-import { config } from '../config/settings.js';
-import { roundQuantity, isValidNumber } from '../utils/helpers.js';
+import { config, getSymbolProfile } from '../config/settings.js';
+import { roundQuantity, roundPrice, roundToDecimal, isValidNumber } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 
 /**
- * Розраховує параметри позиції на основі POSITION_SIZE_PERCENT від балансу.
+ * Номінал позиції (USDT) за режимом розміру (опис режимів — config.risk).
+ *
+ * Якщо для режиму бракує вхідних даних (equity, ATR, SPREAD), використовується
+ * відповідна база без множника — з попередженням у лозі.
+ *
+ * RISK: якщо аварійний стоп увімкнено, відстань до стопу береться з
+ * calculateProtectiveStopPrice (для LIQUIDATION — з оцінки ліквідації за плечем),
+ * інакше — SIZING_STOP_PERCENT.
+ *
+ * @param {Object} sizing — { mode, balance, equity, atrPercent, spread, entryPrice, direction, leverage }
+ * @returns {Object} { mode, positionSizeUSDT, inputs } — inputs: значення, що визначили розмір
+ */
+export function calculatePositionSize(sizing) {
+  const { mode, balance, spread } = sizing;
+  const {
+    positionSizePercent, percentage, fixedNotionalUSDT, stopPercent,
+    atrTargetPercent, spreadReferencePercent, minMultiplier, maxMultiplier
+  } = config.risk;
+
+  const equity = isValidNumber(sizing.equity) && sizing.equity > 0 ? sizing.equity : balance;
+  const clampMultiplier = value => Math.min(Math.max(value, minMultiplier), maxMultiplier);
+
+  switch (mode) {
+    case 'FIXED_USDT':
+      return { mode, positionSizeUSDT: fixedNotionalUSDT, inputs: { fixedUSDT: fixedNotionalUSDT } };
+
+    case 'PERCENT_EQUITY':
+      return {
+        mode,
+        positionSizeUSDT: equity * (positionSizePercent / 100),
+        inputs: { equity, percent: positionSizePercent }
+      };
+
+    case 'RISK': {
+      // Збиток при русі ціни до стопу дорівнює riskUSDT
+      const riskUSDT = equity * (percentage / 100);
+      const { percent: riskStopPercent, source: stopSource } = _riskStopPercent(sizing, stopPercent);
+      return {
+        mode,
+        positionSizeUSDT: riskUSDT / (riskStopPercent / 100),
+        inputs: { equity, riskPercent: percentage, riskUSDT, stopPercent: riskStopPercent, stopSource }
+      };
+    }
+
+    case 'ATR': {
+      const base = equity * (positionSizePercent / 100);
+      if (!isValidNumber(sizing.atrPercent) || sizing.atrPercent <= 0) {
+        logger.warn('[RISK] ATR unavailable — sizing without volatility multiplier');
+        return { mode, positionSizeUSDT: base, inputs: { equity, percent: positionSizePercent, atrPercent: null } };
+      }
+
+      // Волатильніший символ — менша позиція
+      const multiplier = clampMultiplier(atrTargetPercent / sizing.atrPercent);
+      return {
+        mode,
+        positionSizeUSDT: base * multiplier,
+        inputs: { equity, percent: positionSizePercent, atrPercent: sizing.atrPercent, targetPercent: atrTargetPercent, multiplier }
+      };
+    }
+
+    case 'SPREAD': {
+      const base = balance * (positionSizePercent / 100);
+      if (!isValidNumber(spread) || spread === 0) {
+        logger.warn('[RISK] Signal has no SPREAD — sizing without spread multiplier');
+        return { mode, positionSizeUSDT: base, inputs: { balance, percent: positionSizePercent, spread: null } };
+      }
+
+      // Ширший спред — більша позиція
+      const multiplier = clampMultiplier(Math.abs(spread) / spreadReferencePercent);
+      return {
+        mode,
+        positionSizeUSDT: base * multiplier,
+        inputs: { balance, percent: positionSizePercent, spread, referencePercent: spreadReferencePercent, multiplier }
+      };
+    }
+
+    default:
+      return {
+        mode: 'PERCENT_BALANCE',
+        positionSizeUSDT: balance * (positionSizePercent / 100),
+        inputs: { balance, percent: positionSizePercent }
+      };
+  }
+}
+
+/**
+ * Відстань до стопу (% від входу) для RISK-режиму — та сама, що буде виставлена на біржі.
+ *
+ * Ціна ліквідації оцінюється за плечем без maintenance margin (як у бектесті).
+ *
+ * @param {Object} sizing            — { entryPrice, direction, leverage }
+ * @param {number} fallbackPercent   — SIZING_STOP_PERCENT
+ * @returns {Object} { percent, source }
+ */
+function _riskStopPercent(sizing, fallbackPercent) {
+  const { entryPrice, direction, leverage } = sizing;
+
+  if (!config.protectiveStop.enabled || !isValidNumber(entryPrice) || entryPrice <= 0) {
+    return { percent: fallbackPercent, source: 'SIZING_STOP_PERCENT' };
+  }
+
+  const liqPrice = isValidNumber(leverage) && leverage > 0
+    ? (direction === 'LONG' ? entryPrice * (1 - 1 / leverage) : entryPrice * (1 + 1 / leverage))
+    : undefined;
+  const stopPrice = calculateProtectiveStopPrice(entryPrice, direction, { liqPrice });
+  const percent = Math.abs(entryPrice - stopPrice) / entryPrice * 100;
+
+  if (!(percent > 0)) {
+    logger.warn(`[RISK] Protective stop distance is zero — sizing with ${fallbackPercent}% stop`);
+    return { percent: fallbackPercent, source: 'SIZING_STOP_PERCENT' };
+  }
+
+  return { percent, source: `PROTECTIVE_STOP_${config.protectiveStop.mode}` };
+}
+
+/**
+ * Розраховує параметри позиції за режимом розміру (calculatePositionSize).
  *
  * Логіка:
- *   positionSizeUSDT = balance * (POSITION_SIZE_PERCENT / 100)
+ *   positionSizeUSDT — за режимом (за замовчуванням balance * POSITION_SIZE_PERCENT / 100)
  *   quantity         = positionSizeUSDT / currentPrice   (округлено по tickSize)
  *   requiredMargin   = positionSizeUSDT / leverage
  *
@@ -17,9 +133,11 @@ import logger from '../utils/logger.js';
  * @param {number} entryPrice  — поточна ціна входу
  * @param {string} direction   — 'LONG' або 'SHORT'
  * @param {Object} symbolInfo  — { tickSize, minQty, maxQty } з bybitService.getSymbolInfo()
- * @returns {Object} параметри позиції
+ * @param {Object} sizing      — { mode, leverage, equity, atrPercent, spread }; без mode — PERCENT_BALANCE,
+ *                               без leverage — LEVERAGE
+ * @returns {Object} параметри позиції (sizingMode, sizingInputs — що визначило розмір)
  */
-export function calculatePositionParameters(balance, entryPrice, direction, symbolInfo = {}) {
+export function calculatePositionParameters(balance, entryPrice, direction, symbolInfo = {}, sizing = {}) {
   try {
     // --- Валідація вхідних даних ---
     if (!isValidNumber(balance) || balance <= 0) {
@@ -34,14 +152,16 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
       throw new Error(`Invalid direction: ${direction}. Must be LONG or SHORT`);
     }
 
-    const leverage            = config.risk.leverage;
-    const positionSizePercent = config.risk.positionSizePercent;
+    const leverage = sizing.leverage || config.risk.leverage;
 
     // 1. Розмір позиції в USDT
-    const positionSizeUSDT = balance * (positionSizePercent / 100);
+    const { mode, positionSizeUSDT, inputs } = calculatePositionSize({ ...sizing, balance, entryPrice, direction, leverage });
     logger.info(
-      `[RISK] Balance: ${balance} USDT | ` +
-      `Position size: ${positionSizePercent}% = ${positionSizeUSDT.toFixed(4)} USDT`
+      `[RISK] Sizing ${mode}: ` +
+      Object.entries(inputs)
+        .map(([name, value]) => `${name}=${typeof value === 'number' ? roundToDecimal(value, 4) : value}`)
+        .join(', ') +
+      ` → position size ${positionSizeUSDT.toFixed(4)} USDT`
     );
 
     // 2. Необхідна маржа
@@ -90,7 +210,9 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
       positionSizeUSDT: positionSizeUSDT,
       leverage:         leverage,
       requiredMargin:   finalRequiredMargin,
-      direction:        direction
+      direction:        direction,
+      sizingMode:       mode,
+      sizingInputs:     inputs
       // takeProfit та stopLoss навмисно відсутні —
       // позиція закривається виключно по CLOSE-сигналу
     };
@@ -107,6 +229,132 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
   }
 }
 
+/**
+ * Розраховує параметри докупівлі (config.scaleIn) до відкритої позиції.
+ *
+ * Розмір — відсоток від кількості першого входу:
+ *   FIXED: quantity = first * SCALE_IN_SIZE_PERCENT / 100
+ *   DECAY: quantity = first * SCALE_IN_SIZE_PERCENT / 100 * SCALE_IN_DECAY_FACTOR^(addNumber - 1)
+ *
+ * @param {Object} position    — відстежувана позиція (legs[0] — перший вхід)
+ * @param {number} addNumber   — порядковий номер докупівлі (1..SCALE_IN_MAX_ADDS)
+ * @param {number} entryPrice  — поточна ціна входу
+ * @param {Object} symbolInfo  — { tickSize, minQty, maxQty } з bybitService.getSymbolInfo()
+ * @returns {Object} { entryPrice, quantity, positionSizeUSDT, leverage, requiredMargin, direction, addNumber }
+ */
+export function calculateScaleInParameters(position, addNumber, entryPrice, symbolInfo = {}) {
+  const { sizeMode, sizePercent, decayFactor } = config.scaleIn;
+  const { leverage } = getSymbolProfile(position.symbol);
+
+  if (!isValidNumber(entryPrice) || entryPrice <= 0) {
+    throw new Error(`Invalid entry price: ${entryPrice}`);
+  }
+
+  const firstQuantity = position.legs?.[0]?.quantity || position.quantity;
+  const factor = sizeMode === 'DECAY' ? Math.pow(decayFactor, addNumber - 1) : 1;
+  const quantity = Math.min(
+    roundQuantity(firstQuantity * (sizePercent / 100) * factor, symbolInfo.tickSize || 0.0001),
+    symbolInfo.maxQty || Infinity
+  );
+
+  if (quantity <= 0 || quantity < (symbolInfo.minQty || 0)) {
+    throw new Error(`Scale-in quantity ${quantity} is below minimum (${symbolInfo.minQty})`);
+  }
+
+  const positionSizeUSDT = quantity * entryPrice;
+  const result = {
+    entryPrice,
+    quantity,
+    positionSizeUSDT,
+    leverage,
+    requiredMargin: positionSizeUSDT / leverage,
+    direction:      position.direction,
+    addNumber
+  };
+
+  logger.info(
+    `[RISK] Scale-in #${addNumber} (${sizeMode}): ${quantity} ${position.direction} @ ${entryPrice} | ` +
+    `Size: ${positionSizeUSDT.toFixed(2)} USDT | Margin: ${result.requiredMargin.toFixed(4)} USDT`
+  );
+
+  return result;
+}
+
+/**
+ * Розраховує кількість для (часткового) виходу з позиції.
+ *
+ * Частка задається відсотком від поточної кількості або абсолютною кількістю.
+ * Якщо після виходу лишився б залишок, менший за minQty, закривається вся позиція.
+ *
+ * @param {number} openQuantity — поточна (залишкова) кількість позиції
+ * @param {Object} exit         — { percent, quantity }; без обох — вихід повністю
+ * @param {Object} symbolInfo   — { tickSize, minQty } з bybitService.getSymbolInfo()
+ * @returns {number} кількість для reduce-only ордера
+ */
+export function calculateExitQuantity(openQuantity, exit = {}, symbolInfo = {}) {
+  const tickSize = symbolInfo.tickSize || 0.0001;
+  const minQty   = symbolInfo.minQty   || 0;
+
+  let quantity = openQuantity;
+  if (isValidNumber(exit.quantity) && exit.quantity > 0) {
+    quantity = exit.quantity;
+  } else if (isValidNumber(exit.percent) && exit.percent > 0) {
+    quantity = openQuantity * (exit.percent / 100);
+  }
+
+  quantity = Math.max(roundQuantity(quantity, tickSize), minQty);
+
+  if (quantity >= openQuantity || openQuantity - quantity < minQty) {
+    return openQuantity;
+  }
+
+  logger.info(`[RISK] Partial exit: ${quantity} of ${openQuantity}`);
+  return quantity;
+}
+
+/**
+ * Розраховує ціну аварійного стопу (config.protectiveStop).
+ *
+ * PERCENT:     stop = entry ∓ entry * PROTECTIVE_STOP_PERCENT / 100
+ * LIQUIDATION: stop = entry ∓ |entry - liqPrice| * (1 - PROTECTIVE_STOP_LIQ_BUFFER_PERCENT / 100)
+ *              (якщо liqPrice невідома — використовується PERCENT)
+ *
+ * @param {number} entryPrice — середня ціна входу
+ * @param {string} direction  — 'LONG' або 'SHORT'
+ * @param {Object} options    — { liqPrice, pricePrecision }
+ * @returns {number} ціна стопу
+ */
+export function calculateProtectiveStopPrice(entryPrice, direction, options = {}) {
+  const { liqPrice, pricePrecision } = options;
+  const { mode, percent, liquidationBufferPercent } = config.protectiveStop;
+
+  if (!isValidNumber(entryPrice)) {
+    throw new Error(`Invalid entry price: ${entryPrice}`);
+  }
+
+  const sign = direction === 'LONG' ? -1 : 1;
+  let distance = entryPrice * (percent / 100);
+
+  if (mode === 'LIQUIDATION') {
+    const liqDistance = isValidNumber(liqPrice) ? Math.abs(entryPrice - liqPrice) : 0;
+
+    if (liqDistance > 0) {
+      distance = liqDistance * (1 - liquidationBufferPercent / 100);
+    } else {
+      logger.warn(`[RISK] Liquidation price unknown — using ${percent}% protective stop`);
+    }
+  }
+
+  const stopPrice = roundPrice(entryPrice + sign * distance, pricePrecision);
+
+  logger.info(
+    `[RISK] Protective stop (${mode}): ${direction} entry ${entryPrice} → stop ${stopPrice}` +
+    (liqPrice ? ` | liq ${liqPrice}` : '')
+  );
+
+  return stopPrice;
+}
+
 /**
  * Перевіряє чи достатньо балансу для відкриття позиції
  *
@@ -123,6 +371,10 @@ export function hasSufficientBalance(balance, requiredMargin) {
 }
 
 export default {
+  calculatePositionSize,
   calculatePositionParameters,
+  calculateScaleInParameters,
+  calculateExitQuantity,
+  calculateProtectiveStopPrice,
   hasSufficientBalance
 };
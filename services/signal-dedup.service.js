@@ -0,0 +1,99 @@
+import { config } from '../config/settings.js';
+import storageService from './storage.service.js';
+import logger from '../utils/logger.js';
+import { getSignalId } from '../utils/signal-parser.js';
+
+const ORDER_LINK_PREFIX = 'sig-';
+
+/**
+ * Дедуплікація сигналів.
+ *
+ * Spread Monitor Bot може повторно опублікувати сигнал, а Telegram —
+ * повторно доставити пост. Кожен оброблений сигнал запам'ятовується
+ * за детермінованим ID на SIGNAL_DEDUP_WINDOW_MINUTES; повтори в межах
+ * вікна відкидаються. Вікно зберігається у storageService і переживає рестарт.
+ * Сигнал, обробка якого впала (мережа, таймаут ордера), забувається (forget),
+ * щоб його повторна доставка не загубилась як дубль.
+ *
+ * Друга лінія захисту — orderLinkId, похідний від ID сигналу:
+ * Bybit сам відхиляє повторний ордер з тим самим orderLinkId.
+ */
+class SignalDedupService {
+  constructor() {
+    this.seen = new Map(); // signalId -> час першої обробки (ms)
+  }
+
+  /**
+   * Відновлює вікно зі сховища
+   */
+  restoreState() {
+    const saved = storageService.get('seenSignals', {});
+    this.seen = new Map(Object.entries(saved));
+    this._prune();
+
+    logger.info(`[DEDUP] Restored ${this.seen.size} recent signal(s)`);
+  }
+
+  /**
+   * Перевіряє сигнал і, якщо він новий, запам'ятовує його.
+   *
+   * @returns {Object} { duplicate: boolean, signalId, firstSeenAt }
+   */
+  register(signal) {
+    this._prune();
+
+    const signalId = getSignalId(signal);
+    const firstSeenAt = this.seen.get(signalId);
+
+    if (firstSeenAt) {
+      return { duplicate: true, signalId, firstSeenAt };
+    }
+
+    this.seen.set(signalId, Date.now());
+    this._save();
+
+    return { duplicate: false, signalId, firstSeenAt: null };
+  }
+
+  /**
+   * Забуває сигнал, який не вдалося обробити, щоб повторна доставка пройшла знову.
+   * Повторний ордер все одно зупинить orderLinkId.
+   */
+  forget(signalId) {
+    if (this.seen.delete(signalId)) {
+      this._save();
+    }
+  }
+
+  /**
+   * orderLinkId для ордера, згенерованого сигналом (Bybit: до 36 символів, [A-Za-z0-9_-])
+   */
+  getOrderLinkId(signalId) {
+    return signalId ? `${ORDER_LINK_PREFIX}${signalId}` : undefined;
+  }
+
+  /**
+   * Чи створено ордер ботом по сигналу (включно з суфіксами повторів -1, -m)
+   */
+  isSignalOrderLinkId(orderLinkId) {
+    return typeof orderLinkId === 'string' && orderLinkId.startsWith(ORDER_LINK_PREFIX);
+  }
+
+  _prune() {
+    const cutoff = Date.now() - config.trading.signalDedupWindowMinutes * 60 * 1000;
+
+    for (const [signalId, seenAt] of this.seen) {
+      if (seenAt < cutoff) {
+        this.seen.delete(signalId);
+      }
+    }
+  }
+
+  _save() {
+    storageService.set('seenSignals', Object.fromEntries(this.seen));
+  }
+}
+
+// Експортуємо singleton
+const signalDedupService = new SignalDedupService();
+export default signalDedupService;
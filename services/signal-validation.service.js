@@ -0,0 +1,342 @@
+import { config, getSymbolProfile } from '../config/settings.js';
+import { isTradingHoursActive, getTradingHoursInfo } from './time.service.js';
+import { calculateSpreadPercent } from '../utils/helpers.js';
+
+/**
+ * Правила валідації OPEN сигналу.
+ *
+ * Спільні для живої торгівлі (index.js → validateSignal) та бектесту,
+ * тому не звертаються до біржі чи сервісів напряму — усе береться з context.
+ *
+ * @param {Object} signal  — розпарсений OPEN сигнал
+ * @param {Object} context — стан на момент рішення:
+ *   now                   — Date, момент перевірки (для торговельних годин)
+ *   hasOpenPosition(s, d) — чи є відкрита позиція по символу (d — лише в цьому напрямку)
+ *   getOpenPosition(s, d) — опційно, відкрита позиція (d — в цьому напрямку) для докупівлі
+ *                           та розвороту (config.scaleIn, config.reversal)
+ *   openPositionsCount    — кількість відкритих позицій
+ *   dailyTrades           — кількість угод за день
+ *   getBalance()          — async, доступний баланс USDT
+ *   getSymbolInfo(s)      — async, інформація про символ (status, tickSize, ...)
+ *   getTicker(s)          — async, { lastPrice, markPrice, indexPrice } на момент входу (null — немає даних)
+ * @returns {Object} { valid, reason, info, retryable, fairPrice, scaleIn, reversal }
+ *   retryable — відмова через помилку запиту (баланс, символ, ціна), а не через правило:
+ *               повторна доставка того ж сигналу має перевірятися знову
+ *   fairPrice — ціни та перерахований спред на момент входу (для запису в позицію)
+ *   scaleIn   — { position, addNumber }, якщо сигнал докуповує відкриту позицію
+ *   reversal  — { position, policy }, якщо сигнал розвертає відкриту позицію (ONE_WAY)
+ */
+export async function validateSignalRules(signal, context) {
+  const { symbol, direction } = signal;
+  const now = context.now || new Date();
+
+  // 1. Перевірка символу (ALLOWED_SYMBOLS або enabled у профілі символу)
+  if (!symbol || !getSymbolProfile(symbol.toUpperCase()).enabled) {
+    return {
+      valid: false,
+      reason: `Symbol ${symbol} not in allowed list`,
+      info: {}
+    };
+  }
+
+  // 2. Перевірка напрямку
+  if (direction !== 'LONG' && direction !== 'SHORT') {
+    return {
+      valid: false,
+      reason: `Invalid direction: ${direction}`,
+      info: {}
+    };
+  }
+
+  // 3. Перевірка торговельних годин
+  if (!isTradingHoursActive(now)) {
+    const hoursInfo = getTradingHoursInfo(now);
+    return {
+      valid: false,
+      reason: 'Outside trading hours',
+      info: {
+        currentTime: `${hoursInfo.currentHour}:${String(hoursInfo.currentMinute).padStart(2, '0')}`,
+        tradingHours: `${hoursInfo.startHour}:00-${hoursInfo.endHour}:00`,
+        nextTrading: hoursInfo.nextTradingIn
+      }
+    };
+  }
+
+  // 4. Перевірка відкритих позицій.
+  //    У ONE_WAY протилежний ордер згорнув би наявну позицію — блокуємо будь-яку;
+  //    у HEDGE LONG і SHORT — незалежні ноги, блокуємо лише ту саму.
+  //    Позиція в тому ж напрямку може бути докуплена (config.scaleIn),
+  //    протилежна в ONE_WAY — закрита або розвернута (config.reversal)
+  const isHedge = config.bybit.positionMode === 'HEDGE';
+  let scaleIn = null;
+  let reversal = null;
+
+  if (isHedge ? context.hasOpenPosition(symbol, direction) : context.hasOpenPosition(symbol)) {
+    const opposite = !isHedge && !context.hasOpenPosition(symbol, direction)
+      ? context.getOpenPosition?.(symbol) || null
+      : null;
+
+    if (opposite && config.reversal.policy !== 'IGNORE') {
+      if (opposite.closing) {
+        return {
+          valid: false,
+          reason: `Position ${symbol} ${opposite.direction} is already closing — reversal skipped`,
+          info: {}
+        };
+      }
+      reversal = { position: opposite, policy: config.reversal.policy };
+
+      // Лише закриття — нова позиція не відкривається, решта перевірок не потрібна
+      if (reversal.policy === 'CLOSE_ONLY') {
+        return { valid: true, reversal };
+      }
+    }
+
+    const position = !reversal && config.scaleIn.enabled && context.getOpenPosition
+      ? context.getOpenPosition(symbol, direction)
+      : null;
+
+    if (!position && !reversal) {
+      return {
+        valid: false,
+        reason: isHedge
+          ? `Open ${direction} position already exists for ${symbol}`
+          : `Open position already exists for ${symbol}`,
+        info: {}
+      };
+    }
+
+    if (position) {
+      const check = checkScaleIn(position, signal);
+      if (!check.valid) {
+        return check;
+      }
+      scaleIn = { position, addNumber: check.addNumber };
+    }
+  }
+
+  // 5-6. Докупівля не є новою позицією чи угодою — її обмежує SCALE_IN_MAX_ADDS
+  if (!scaleIn) {
+    // 5. Перевірка максимальної кількості відкритих позицій (розворот кількість не змінює)
+    if (!reversal && context.openPositionsCount >= config.trading.maxOpenPositions) {
+      return {
+        valid: false,
+        reason: `Maximum open positions (${config.trading.maxOpenPositions}) reached`,
+        info: {}
+      };
+    }
+
+    // 6. Перевірка максимальної кількості угод на день
+    if (context.dailyTrades >= config.trading.maxDailyTrades) {
+      return {
+        valid: false,
+        reason: `Maximum daily trades (${config.trading.maxDailyTrades}) reached`,
+        info: {}
+      };
+    }
+  }
+
+  // 7. Перевірка балансу
+  try {
+    const balance = await context.getBalance();
+
+    if (balance <= 0) {
+      return {
+        valid: false,
+        reason: 'Insufficient balance',
+        info: {}
+      };
+    }
+  } catch (error) {
+    return {
+      valid: false,
+      reason: `Error checking balance: ${error.message}`,
+      info: {},
+      retryable: true
+    };
+  }
+
+  // 8. Перевірка що символ існує та торгується
+  try {
+    const symbolInfo = await context.getSymbolInfo(symbol);
+    if (symbolInfo.status !== 'Trading') {
+      return {
+        valid: false,
+        reason: `Symbol ${symbol} is not trading`,
+        info: {}
+      };
+    }
+  } catch (error) {
+    return {
+      valid: false,
+      reason: `Symbol ${symbol} not found or error: ${error.message}`,
+      info: {},
+      retryable: true
+    };
+  }
+
+  // 9-10. Ціни на момент входу: актуальність сигналу та незалежна перевірка спреду
+  const result = await checkEntryPrices(signal, now, context);
+  if (!result.valid) {
+    return result;
+  }
+  return { ...result, ...(scaleIn && { scaleIn }), ...(reversal && { reversal }) };
+}
+
+/**
+ * Чи можна докупити відкриту позицію по повторному OPEN сигналу:
+ * не вичерпано SCALE_IN_MAX_ADDS і |спред| сигналу перевищує спред
+ * попереднього входу щонайменше на SCALE_IN_MIN_SPREAD_STEP_PERCENT.
+ *
+ * @returns {Object} { valid, reason, info, addNumber }
+ */
+function checkScaleIn(position, signal) {
+  const { maxAdds, minSpreadStepPercent } = config.scaleIn;
+  const legs = position.legs || [];
+  const adds = Math.max(legs.length - 1, 0);
+
+  if (position.closing) {
+    return {
+      valid: false,
+      reason: `Position ${signal.symbol} is closing — scale-in skipped`,
+      info: {}
+    };
+  }
+
+  if (adds >= maxAdds) {
+    return {
+      valid: false,
+      reason: `Maximum scale-ins (${maxAdds}) reached for ${signal.symbol}`,
+      info: { adds }
+    };
+  }
+
+  if (signal.spread === null || signal.spread === undefined) {
+    return {
+      valid: false,
+      reason: 'Signal has no SPREAD field for scale-in',
+      info: {}
+    };
+  }
+
+  const lastSpread = legs.at(-1)?.spread ?? position.fairPrice?.signalSpread;
+  if (lastSpread !== null && lastSpread !== undefined) {
+    const step = Math.abs(signal.spread) - Math.abs(lastSpread);
+
+    if (step < minSpreadStepPercent) {
+      return {
+        valid: false,
+        reason: `Spread widened by ${step.toFixed(3)}% since last entry (min ${minSpreadStepPercent}% to scale in)`,
+        info: { lastSpread, signalSpread: signal.spread }
+      };
+    }
+  }
+
+  return { valid: true, addNumber: adds + 1 };
+}
+
+/**
+ * Перевіряє ціни на момент входу:
+ *   9.  актуальність сигналу (config.signalGuard): вік, дрейф ціни, спред вже зійшовся
+ *   10. спред, перерахований по тікеру Bybit, збігається зі SPREAD сигналу (config.spreadVerification)
+ * Кожна перевірка пропускається, якщо вимкнена або в сигналі немає потрібного поля.
+ */
+async function checkEntryPrices(signal, now, context) {
+  const { maxAgeSeconds, maxPriceDriftPercent } = config.signalGuard;
+  const { minSpreadPercent } = getSymbolProfile(signal.symbol);
+  const { enabled: verifySpread, tolerancePercent } = config.spreadVerification;
+
+  // Вік рахується лише від TIME з повідомлення, а не від часу отримання
+  if (maxAgeSeconds > 0 && signal.sourceTime) {
+    const ageSeconds = (now.getTime() - signal.timestamp) / 1000;
+
+    if (ageSeconds > maxAgeSeconds) {
+      return {
+        valid: false,
+        reason: `Signal is stale (${Math.round(ageSeconds)}s old, max ${maxAgeSeconds}s)`,
+        info: { signalAge: `${Math.round(ageSeconds)}s` }
+      };
+    }
+  }
+
+  if (!context.getTicker) {
+    return { valid: true };
+  }
+
+  let ticker;
+  try {
+    ticker = await context.getTicker(signal.symbol);
+  } catch (error) {
+    return {
+      valid: false,
+      reason: `Error checking current price: ${error.message}`,
+      info: {},
+      retryable: true
+    };
+  }
+
+  if (!ticker) {
+    return { valid: true };
+  }
+
+  const currentSpread = ticker.indexPrice > 0
+    ? calculateSpreadPercent(ticker.lastPrice, ticker.indexPrice)
+    : null;
+  const fairPrice = {
+    lastPrice:     ticker.lastPrice,
+    markPrice:     ticker.markPrice || null,
+    indexPrice:    ticker.indexPrice || null,
+    spreadPercent: currentSpread,
+    signalSpread:  signal.spread
+  };
+
+  if (maxPriceDriftPercent > 0 && signal.lastPrice > 0) {
+    const driftPercent = Math.abs(ticker.lastPrice - signal.lastPrice) / signal.lastPrice * 100;
+
+    if (driftPercent > maxPriceDriftPercent) {
+      return {
+        valid: false,
+        reason: `Price drifted ${driftPercent.toFixed(2)}% from signal (max ${maxPriceDriftPercent}%)`,
+        info: { signalPrice: signal.lastPrice, currentPrice: ticker.lastPrice }
+      };
+    }
+  }
+
+  if (minSpreadPercent > 0 && currentSpread !== null && Math.abs(currentSpread) < minSpreadPercent) {
+    return {
+      valid: false,
+      reason: `Spread already converged to ${Math.abs(currentSpread).toFixed(3)}% (min ${minSpreadPercent}%)`,
+      info: { signalSpread: signal.spread, currentSpread: currentSpread.toFixed(3) }
+    };
+  }
+
+  // Index price в архівних даних бектесту немає — перевірка неможлива
+  if (verifySpread && currentSpread !== null) {
+    if (signal.spread === null || signal.spread === undefined) {
+      return {
+        valid: false,
+        reason: 'Signal has no SPREAD field to verify',
+        info: {}
+      };
+    }
+
+    const signMismatch = Math.sign(currentSpread) !== Math.sign(signal.spread);
+    const difference = Math.abs(currentSpread - signal.spread);
+
+    if (signMismatch || difference > tolerancePercent) {
+      return {
+        valid: false,
+        reason: signMismatch
+          ? 'Spread sign does not match Bybit fair price'
+          : `Spread differs from Bybit fair price by ${difference.toFixed(3)}% (tolerance ${tolerancePercent}%)`,
+        info: { signalSpread: signal.spread, currentSpread: currentSpread.toFixed(3) }
+      };
+    }
+  }
+
+  return { valid: true, fairPrice };
+}
+
+export default {
+  validateSignalRules
+};
@@ -0,0 +1,164 @@
+import { config } from '../config/settings.js';
+import bybitService from './bybit.service.js';
+import storageService from './storage.service.js';
+import logger from '../utils/logger.js';
+import { calculateSpreadPercent, isSpreadConverged, roundToDecimal } from '../utils/helpers.js';
+
+/**
+ * Вбудоване джерело сигналів замість Spread Monitor Bot.
+ *
+ * Опитує тікери Bybit (last vs index) для config.spreadMonitor.symbols і генерує
+ * сигнали у тому ж форматі, що й парсер Telegram, тому вони проходять
+ * той самий handleSignal() — валідацію, дедуплікацію, перевірку спреду.
+ *
+ * Активні спреди (OPEN, який бот прийняв) зберігаються у storageService,
+ * щоб після рестарту CLOSE все одно прийшов.
+ */
+class SpreadMonitorService {
+  constructor() {
+    this.signalCallbacks = [];
+    this.active = {};   // symbol -> { direction, openedAt, entrySpread }
+    this.streaks = {};  // symbol -> кількість опитувань поспіль понад поріг входу
+    this.intervalId = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Реєструє callback для сигналів (як telegramService.onSignal).
+   * Для OPEN callback повертає true, якщо позицію відкрито — лише тоді спред стає активним.
+   */
+  onSignal(callback) {
+    this.signalCallbacks.push(callback);
+  }
+
+  /**
+   * Запускає опитування тікерів
+   */
+  start() {
+    if (this.intervalId) return;
+
+    this.active = storageService.get('spreadMonitor', {});
+    const { symbols, pollIntervalMs, entryPercent, exitPercent } = config.spreadMonitor;
+
+    logger.info(
+      `[SPREAD] Monitoring ${symbols.join(', ')} every ${pollIntervalMs / 1000}s ` +
+      `(entry ≥ ${entryPercent}%, exit ≤ ${exitPercent}%)`
+    );
+
+    this.intervalId = setInterval(() => this.poll(), pollIntervalMs);
+    this.poll();
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      logger.info('[SPREAD] Monitoring stopped');
+    }
+  }
+
+  /**
+   * Одне опитування всіх символів
+   */
+  async poll() {
+    // Повільна відповідь API не повинна накладати опитування одне на одне
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      for (const symbol of config.spreadMonitor.symbols) {
+        try {
+          const ticker = await bybitService.getTicker(symbol);
+          if (!ticker.indexPrice) continue;
+
+          await this.evaluate(symbol, ticker);
+        } catch (error) {
+          logger.error(`[SPREAD] Error checking ${symbol}: ${error.message}`);
+        }
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Оцінює спред символу та генерує OPEN / CLOSE
+   */
+  async evaluate(symbol, ticker) {
+    const { entryPercent, exitPercent, confirmations, positiveDirection } = config.spreadMonitor;
+    const spread = calculateSpreadPercent(ticker.lastPrice, ticker.indexPrice);
+    const active = this.active[symbol];
+
+    if (!active) {
+      if (Math.abs(spread) < entryPercent) {
+        this.streaks[symbol] = 0;
+        return;
+      }
+
+      this.streaks[symbol] = (this.streaks[symbol] || 0) + 1;
+      if (this.streaks[symbol] < confirmations) return;
+
+      this.streaks[symbol] = 0;
+      const direction = spread > 0
+        ? positiveDirection
+        : positiveDirection === 'LONG' ? 'SHORT' : 'LONG';
+
+      // Відхилений OPEN не стає активним — інакше прийшов би CLOSE для неіснуючої позиції
+      if (await this._emit('OPEN', symbol, direction, ticker, spread)) {
+        this.active[symbol] = { direction, openedAt: Date.now(), entrySpread: spread };
+        this._save();
+      }
+      return;
+    }
+
+    if (!isSpreadConverged(active.entrySpread, spread, exitPercent)) return;
+
+    delete this.active[symbol];
+    this._save();
+
+    await this._emit('CLOSE', symbol, active.direction, ticker, spread);
+  }
+
+  /**
+   * Передає сигнал обробникам у форматі parseSignal()
+   * @returns {boolean} чи прийняв сигнал хоча б один обробник
+   */
+  async _emit(type, symbol, direction, ticker, spread) {
+    const timestamp = Date.now();
+    const signal = {
+      type,
+      symbol,
+      direction,
+      lastPrice:  ticker.lastPrice,
+      indexPrice: ticker.indexPrice,
+      spread:     roundToDecimal(spread, 4),
+      timestamp,
+      sourceTime: new Date(timestamp).toISOString(),
+      source:     'INTERNAL'
+    };
+
+    logger.info(`[SPREAD] ${type} ${symbol} ${direction}: spread ${signal.spread}% (last ${ticker.lastPrice}, index ${ticker.indexPrice})`);
+
+    let accepted = false;
+    for (const callback of this.signalCallbacks) {
+      try {
+        if (await callback(signal) === true) accepted = true;
+      } catch (error) {
+        logger.error(`[SPREAD] Error in signal callback: ${error.message}`);
+      }
+    }
+
+    if (type === 'OPEN' && !accepted) {
+      logger.warn(`[SPREAD] OPEN ${symbol} ${direction} was not accepted — spread not tracked`);
+    }
+    return accepted;
+  }
+
+  _save() {
+    storageService.set('spreadMonitor', this.active);
+  }
+}
+
+// Експортуємо singleton
+const spreadMonitorService = new SpreadMonitorService();
+export default spreadMonitorService;
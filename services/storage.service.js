@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Локальне сховище стану бота (JSON-файл).
+ *
+ * Кожен виклик set() одразу записує весь стан на диск (write-through),
+ * тому після рестарту чи падіння процесу бот відновлює позиції,
+ * історію угод та лічильники сигналів.
+ *
+ * Запис атомарний: спочатку пишемо у тимчасовий файл, потім rename —
+ * так файл стану ніколи не залишиться обрізаним.
+ */
+class StorageService {
+  constructor() {
+    this.filePath = config.storage.filePath;
+    this.state = {};
+    this.isLoaded = false;
+  }
+
+  /**
+   * Завантажує стан з диску. Якщо файлу немає — починаємо з порожнього стану.
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        logger.info(`[STORAGE] State file not found, starting fresh: ${this.filePath}`);
+        this.state = {};
+      } else {
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        this.state = raw.trim() ? JSON.parse(raw) : {};
+        logger.info(`[STORAGE] ✅ State loaded from ${this.filePath}`);
+      }
+    } catch (error) {
+      // Пошкоджений файл не видаляємо — зберігаємо копію для ручного аналізу
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      logger.error(`[STORAGE] Error loading state: ${error.message}. Backup: ${backupPath}`);
+
+      try {
+        fs.copyFileSync(this.filePath, backupPath);
+      } catch (copyError) {
+        logger.error(`[STORAGE] Error backing up state file: ${copyError.message}`);
+      }
+
+      this.state = {};
+    }
+
+    this.isLoaded = true;
+    return this.state;
+  }
+
+  /**
+   * Повертає значення за ключем
+   */
+  get(key, defaultValue = null) {
+    if (!this.isLoaded) {
+      this.load();
+    }
+    return this.state[key] !== undefined ? this.state[key] : defaultValue;
+  }
+
+  /**
+   * Зберігає значення за ключем та одразу записує стан на диск
+   */
+  set(key, value) {
+    if (!this.isLoaded) {
+      this.load();
+    }
+    this.state[key] = value;
+    this.save();
+  }
+
+  /**
+   * Атомарно записує весь стан на диск
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error(`[STORAGE] Error saving state: ${error.message}`);
+    }
+  }
+}
+
+// Експортуємо singleton
+const storageService = new StorageService();
+export default storageService;
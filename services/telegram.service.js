@@ -1,12 +1,53 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
+import { isSignalMessage, parseSignal } from '../utils/signal-parser.js';
+
+// Підписи причин закриття позиції
+const EXIT_REASON_LABELS = {
+  SIGNAL:    '✅ CLOSE signal',
+  STOP_LOSS: '🛡 Protective stop',
+  TIMEOUT:   '⏱ Max holding time (no CLOSE signal)',
+  MANUAL:    '👤 Admin command',
+  CIRCUIT_BREAKER: '🚨 Circuit breaker',
+  SPREAD_CONVERGED: '📐 Spread converged (no CLOSE signal)',
+  REVERSAL:  '🔄 Opposite OPEN signal',
+  EXTERNAL:  '⚠️ Closed outside the bot'
+};
+
+/**
+ * Сума в USDT зі знаком: +$1.23 / -$0.45
+ */
+function formatSignedUSDT(value) {
+  return `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * Значення налаштування для diff конфігурації: масиви через кому, відсутнє — прочерк
+ */
+function formatConfigValue(value) {
+  if (value === undefined || value === null) return '—';
+  if (Array.isArray(value)) return value.join(',') || '—';
+  return String(value);
+}
 
 class TelegramService {
   constructor() {
-    this.bot = new TelegramBot(config.telegram.botToken, { polling: true });
     this.channelId = config.telegram.channelId;
     this.signalCallbacks = [];
+    this.commandHandlers = new Map(); // command -> { handler, description }
+
+    // Без TELEGRAM_BOT_TOKEN (SIGNAL_SOURCE=INTERNAL) сповіщення та команди вимкнені
+    if (!config.telegram.enabled) {
+      this.bot = null;
+      logger.info('[TELEGRAM] Disabled — no TELEGRAM_BOT_TOKEN, notifications are logged only');
+      return;
+    }
+
+    this.bot = new TelegramBot(config.telegram.botToken, {
+      polling: true,
+      baseApiUrl: config.telegram.apiUrl
+    });
 
     this.setupMessageHandler();
   }
@@ -17,11 +58,18 @@ class TelegramService {
   setupMessageHandler() {
     // Слухаємо повідомлення З КАНАЛУ
     this.bot.on('channel_post', (msg) => {
-      if (msg.chat.id.toString() === this.channelId.toString()) {
+      if (this.channelId && msg.chat.id.toString() === this.channelId.toString()) {
         this.handleChannelMessage(msg);
       }
     });
 
+    // Команди адміністратора (приватний чат або група з allow-list)
+    this.bot.on('message', (msg) => {
+      if (msg.text && msg.text.startsWith('/')) {
+        this.handleCommandMessage(msg);
+      }
+    });
+
     this.bot.on('polling_error', (error) => {
       logger.error(`[TELEGRAM] Polling error: ${error.message}`);
     });
@@ -40,6 +88,10 @@ class TelegramService {
         const signal = this.parseSignal(text);
 
         if (signal) {
+          // Для дедуплікації повторно доставлених постів
+          signal.messageId = msg.message_id;
+          signal.chatId = msg.chat.id.toString();
+
           logger.info(`[TELEGRAM] Signal received: type=${signal.type} symbol=${signal.symbol} direction=${signal.direction}`);
 
           for (const callback of this.signalCallbacks) {
@@ -57,110 +109,72 @@ class TelegramService {
   }
 
   /**
-   * Перевіряє чи це сигнальне повідомлення від Spread Monitor Bot.
-   * Розпізнає два типи:
-   *   - "📊 SPREAD SIGNAL"  — відкриття позиції
-   *   - "✅ SPREAD CLOSED"  — закриття позиції
+   * Обробляє команду адміністратора.
+   * Формат: /command [args...] — наприклад "/close TAOUSDT"
    */
-  isSignalMessage(text) {
-    if (!text) return false;
-    return text.includes('SPREAD SIGNAL') || text.includes('SPREAD CLOSED');
-  }
+  async handleCommandMessage(msg) {
+    const chatId = msg.chat.id.toString();
+
+    if (!config.telegram.adminChatIds.includes(chatId)) {
+      logger.warn(`[TELEGRAM] Command from non-admin chat ${chatId} ignored: ${msg.text}`);
+      return;
+    }
+
+    // "/close@MyBot TAOUSDT" → command="close", args=["TAOUSDT"]
+    const [rawCommand, ...args] = msg.text.trim().split(/\s+/);
+    const command = rawCommand.slice(1).split('@')[0].toLowerCase();
+
+    logger.info(`[TELEGRAM] Admin command from ${chatId}: /${command} ${args.join(' ')}`);
 
-  /**
-   * Парсить сигнал з повідомлення Spread Monitor Bot.
-   *
-   * Тип 1 — відкриття (починається з "📊 SPREAD SIGNAL"):
-   *   Повертає: { type: 'OPEN', symbol, direction, lastPrice, indexPrice, spread, timestamp }
-   *
-   * Тип 2 — закриття (починається з "✅ SPREAD CLOSED"):
-   *   Повертає: { type: 'CLOSE', symbol, direction, timestamp }
-   */
-  parseSignal(text) {
     try {
-      if (text.includes('SPREAD SIGNAL')) {
-        return this._parseOpenSignal(text);
-      }
+      const entry = this.commandHandlers.get(command);
+      const reply = entry
+        ? await entry.handler(args, msg)
+        : this.formatCommandHelp();
 
-      if (text.includes('SPREAD CLOSED')) {
-        return this._parseCloseSignal(text);
+      if (reply) {
+        await this.sendMessage(chatId, reply);
       }
-
-      return null;
     } catch (error) {
-      logger.error(`[TELEGRAM] Error parsing signal: ${error.message}`);
-      return null;
+      logger.error(`[TELEGRAM] Error handling command /${command}: ${error.message}`);
+      await this.sendMessage(chatId, `❌ <b>/${command} failed</b>\n\n${error.message}`)
+        .catch(() => {});
     }
   }
 
   /**
-   * Парсить OPEN сигнал.
-   * Очікуваний формат:
-   *   📊 SPREAD SIGNAL
-   *   SYMBOL: BTCUSDT
-   *   DIRECTION: LONG
-   *   LAST_PRICE: 65000.00
-   *   INDEX_PRICE: 64900.00
-   *   SPREAD: 0.75%
-   *   TIME: 2024-01-01T12:00:00.000Z
+   * Реєструє обробник команди адміністратора.
+   * Обробник отримує (args, msg) і повертає текст відповіді.
    */
-  _parseOpenSignal(text) {
-    const symbolMatch    = text.match(/SYMBOL:\s*(\S+)/i);
-    const directionMatch = text.match(/DIRECTION:\s*(LONG|SHORT)/i);
-    const lastPriceMatch = text.match(/LAST_PRICE:\s*([\d.]+)/i);
-    const indexPriceMatch = text.match(/INDEX_PRICE:\s*([\d.]+)/i);
-    const spreadMatch    = text.match(/SPREAD:\s*([-\d.]+)/i);
-    const timeMatch      = text.match(/TIME:\s*(\S+)/i);
-
-    if (!symbolMatch || !directionMatch) {
-      logger.warn('[TELEGRAM] OPEN signal: missing required fields (SYMBOL or DIRECTION)');
-      return null;
-    }
-
-    const signal = {
-      type:       'OPEN',
-      symbol:     symbolMatch[1].toUpperCase(),
-      direction:  directionMatch[1].toUpperCase(),
-      lastPrice:  lastPriceMatch  ? parseFloat(lastPriceMatch[1])  : null,
-      indexPrice: indexPriceMatch ? parseFloat(indexPriceMatch[1]) : null,
-      spread:     spreadMatch     ? parseFloat(spreadMatch[1])     : null,
-      timestamp:  timeMatch ? new Date(timeMatch[1]).getTime() : Date.now()
-    };
-
-    logger.info(`[TELEGRAM] Parsed OPEN signal: ${signal.symbol} ${signal.direction} spread=${signal.spread}%`);
-    return signal;
+  onCommand(command, description, handler) {
+    this.commandHandlers.set(command.toLowerCase(), { handler, description });
+    logger.info(`[TELEGRAM] Command registered: /${command}`);
   }
 
   /**
-   * Парсить CLOSE сигнал.
-   * Очікуваний формат:
-   *   ✅ SPREAD CLOSED
-   *   SYMBOL: BTCUSDT
-   *   DIRECTION: LONG
-   *   LAST_PRICE: 65000.00
-   *   INDEX_PRICE: 65010.00
-   *   SPREAD: 0.45%
-   *   TIME: 2024-01-01T12:30:00.000Z
+   * Форматує список доступних команд
    */
-  _parseCloseSignal(text) {
-    const symbolMatch    = text.match(/SYMBOL:\s*(\S+)/i);
-    const directionMatch = text.match(/DIRECTION:\s*(LONG|SHORT)/i);
-    const timeMatch      = text.match(/TIME:\s*(\S+)/i);
-
-    if (!symbolMatch || !directionMatch) {
-      logger.warn('[TELEGRAM] CLOSE signal: missing required fields (SYMBOL or DIRECTION)');
-      return null;
-    }
+  formatCommandHelp() {
+    const lines = Array.from(this.commandHandlers.entries())
+      .map(([command, { description }]) => `/${command} — ${description}`);
 
-    const signal = {
-      type:      'CLOSE',
-      symbol:    symbolMatch[1].toUpperCase(),
-      direction: directionMatch[1].toUpperCase(),
-      timestamp: timeMatch ? new Date(timeMatch[1]).getTime() : Date.now()
-    };
+    return `🤖 <b>AVAILABLE COMMANDS</b>\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Перевіряє чи це сигнальне повідомлення від Spread Monitor Bot
+   * (див. utils/signal-parser.js)
+   */
+  isSignalMessage(text) {
+    return isSignalMessage(text);
+  }
 
-    logger.info(`[TELEGRAM] Parsed CLOSE signal: ${signal.symbol} ${signal.direction}`);
-    return signal;
+  /**
+   * Парсить сигнал з повідомлення Spread Monitor Bot
+   * (див. utils/signal-parser.js)
+   */
+  parseSignal(text) {
+    return parseSignal(text);
   }
 
   /**
@@ -177,6 +191,16 @@ class TelegramService {
   async sendMessage(chatId, message, options = {}) {
     try {
       const targetChatId = chatId || this.channelId;
+      if (!this.bot || !targetChatId) {
+        logger.debug(`[TELEGRAM] Not sent (Telegram disabled): ${message.split('\n')[0]}`);
+        return;
+      }
+
+      // Paper trading: кожне повідомлення явно позначене, щоб не сплутати з реальною торгівлею
+      if (config.trading.dryRun) {
+        message = `🧪 <b>[PAPER]</b>\n${message}`;
+      }
+
       await this.bot.sendMessage(targetChatId, message, {
         parse_mode: 'HTML',
         ...options
@@ -197,8 +221,12 @@ class TelegramService {
       direction,
       entryPrice,
       quantity,
+      requestedQuantity,
+      entryFee,
       leverage,
       positionSizeUSDT,
+      stopLoss,
+      fairPrice,
       balance,
       timestamp
     } = positionData;
@@ -206,14 +234,58 @@ class TelegramService {
     const cleanSymbol = symbol ? symbol.replace('USDT', '') : 'UNKNOWN';
     const directionEmoji = direction === 'LONG' ? '📈' : '📉';
 
+    let fairPriceLines = '';
+    if (fairPrice?.indexPrice) {
+      fairPriceLines = `
+📐 <b>Fair price:</b> last $${fairPrice.lastPrice} | mark $${fairPrice.markPrice ?? '—'} | index $${fairPrice.indexPrice}
+<b>Spread:</b> signal ${fairPrice.signalSpread ?? '—'}% | Bybit ${fairPrice.spreadPercent.toFixed(3)}%`;
+    }
+
     return `✅ <b>POSITION OPENED</b>
 
 <b>Symbol:</b> ${symbol}
 <b>Direction:</b> ${directionEmoji} ${direction}
 <b>Entry Price:</b> $${entryPrice}
-<b>Quantity:</b> ${quantity.toLocaleString()} ${cleanSymbol}
+<b>Quantity:</b> ${quantity.toLocaleString()} ${cleanSymbol}${requestedQuantity && quantity < requestedQuantity ? ` ⚠️ partial fill (requested ${requestedQuantity.toLocaleString()})` : ''}
 <b>Leverage:</b> ${leverage}x
-💰 <b>Position Size:</b> $${positionSizeUSDT ? positionSizeUSDT.toFixed(2) : '—'}
+💰 <b>Position Size:</b> $${positionSizeUSDT ? positionSizeUSDT.toFixed(2) : '—'}${entryFee ? ` (fee $${entryFee.toFixed(4)})` : ''}
+🛡 <b>Protective Stop:</b> ${stopLoss ? `$${stopLoss}` : '—'}${fairPriceLines}
+
+Signal at: ${new Date(timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} UTC`;
+  }
+
+  /**
+   * Форматує повідомлення про докупівлю (scale-in) відкритої позиції
+   */
+  formatScaleInMessage(scaleInData) {
+    const {
+      symbol,
+      direction,
+      addNumber,
+      maxAdds,
+      entryPrice,
+      quantity,
+      requestedQuantity,
+      entryFee,
+      spread,
+      position,
+      stopLoss,
+      timestamp
+    } = scaleInData;
+
+    const cleanSymbol = symbol ? symbol.replace('USDT', '') : 'UNKNOWN';
+    const directionEmoji = direction === 'LONG' ? '📈' : '📉';
+
+    return `➕ <b>POSITION SCALED IN</b> (${addNumber}/${maxAdds})
+
+<b>Symbol:</b> ${symbol}
+<b>Direction:</b> ${directionEmoji} ${direction}
+<b>Added:</b> ${quantity.toLocaleString()} ${cleanSymbol} @ $${entryPrice}${requestedQuantity && quantity < requestedQuantity ? ` ⚠️ partial fill (requested ${requestedQuantity.toLocaleString()})` : ''}${entryFee ? ` (fee $${entryFee.toFixed(4)})` : ''}
+<b>Spread:</b> ${spread ?? '—'}%
+<b>Average Entry:</b> $${position.entryPrice}
+<b>Total Quantity:</b> ${position.quantity.toLocaleString()} ${cleanSymbol} in ${position.legs.length} legs
+💰 <b>Position Size:</b> $${position.positionSizeUSDT.toFixed(2)}
+🛡 <b>Protective Stop:</b> ${stopLoss ? `$${stopLoss}` : '—'}
 
 Signal at: ${new Date(timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} UTC`;
   }
@@ -222,9 +294,22 @@ Signal at: ${new Date(timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} U
    * Форматує повідомлення про закриття позиції
    */
   formatPositionClosedMessage(positionData) {
-    const { symbol, direction, entryPrice, exitPrice, pnl, pnlPercent, duration } = positionData;
+    const { symbol, direction, entryPrice, exitPrice, exitReason, pnl, pnlPercent, duration, grossPnl, fees, funding, slices } = positionData;
 
     const isProfit = pnl >= 0;
+
+    let breakdownLine = '';
+    if (grossPnl !== undefined) {
+      breakdownLine = `\n<b>P&L:</b> gross ${formatSignedUSDT(grossPnl)} | fees ${formatSignedUSDT(-fees)} | funding ${formatSignedUSDT(funding)} | net ${formatSignedUSDT(pnl)}`;
+    }
+
+    // Позиція закривалась частинами — кожна частина окремим рядком
+    let slicesLines = '';
+    if (slices?.length) {
+      slicesLines = `\n<b>Exits:</b>` + slices
+        .map(slice => `\n  • ${slice.quantity} @ $${slice.exitPrice} (${formatSignedUSDT(slice.netPnl)}, ${EXIT_REASON_LABELS[slice.reason] || slice.reason})`)
+        .join('');
+    }
     const emoji = isProfit ? '🟢' : '🔴';
     const resultText = isProfit ? 'PROFIT' : 'LOSS';
 
@@ -234,11 +319,96 @@ Signal at: ${new Date(timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} U
 <b>Direction:</b> ${direction}
 <b>Entry:</b> $${entryPrice}
 <b>Exit:</b> $${exitPrice}
-<b>Result:</b> ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}% (${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)})
+<b>Result:</b> ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}% (${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)})${breakdownLine}${slicesLines}
 
+<b>Exit reason:</b> ${EXIT_REASON_LABELS[exitReason] || exitReason || '—'}
 <b>Duration:</b> ${duration}`;
   }
 
+  /**
+   * Форматує повідомлення про розворот позиції (закриття + опційно відкриття нового напрямку)
+   */
+  formatReversalMessage(reversalData) {
+    const { symbol, policy, closed, opened, openError } = reversalData;
+    const cleanSymbol = symbol ? symbol.replace('USDT', '') : 'UNKNOWN';
+    const target = policy === 'FLIP' ? (opened?.direction || (closed.direction === 'LONG' ? 'SHORT' : 'LONG')) : 'FLAT';
+
+    let openLines = '';
+    if (opened) {
+      openLines = `
+
+<b>Opened:</b> ${opened.direction} ${opened.quantity.toLocaleString()} ${cleanSymbol} @ $${opened.entryPrice}${opened.entryFee ? ` (fee $${opened.entryFee.toFixed(4)})` : ''}
+💰 <b>Position Size:</b> $${opened.positionSizeUSDT.toFixed(2)} | ${opened.leverage}x
+🛡 <b>Protective Stop:</b> ${opened.stopLoss ? `$${opened.stopLoss}` : '—'}`;
+    } else if (openError) {
+      openLines = `
+
+❌ <b>New position not opened:</b> ${openError.message}`;
+    }
+
+    return `🔄 <b>POSITION REVERSAL</b> (${policy})
+
+<b>Symbol:</b> ${symbol}
+<b>Direction:</b> ${closed.direction} → ${target}
+
+<b>Closed:</b> ${closed.direction} ${closed.quantity.toLocaleString()} ${cleanSymbol} @ $${closed.exitPrice} (entry $${closed.entryPrice})
+<b>Result:</b> ${formatSignedUSDT(closed.pnl)} (${closed.pnlPercent >= 0 ? '+' : ''}${closed.pnlPercent.toFixed(2)}%) | gross ${formatSignedUSDT(closed.grossPnl)} | fees ${formatSignedUSDT(-closed.fees)} | funding ${formatSignedUSDT(closed.funding)}
+<b>Duration:</b> ${closed.duration}${openLines}`;
+  }
+
+  /**
+   * Форматує повідомлення про частковий вихід з позиції
+   */
+  formatPartialCloseMessage(positionData) {
+    const { symbol, direction, entryPrice, quantity, slice } = positionData;
+    const cleanSymbol = symbol ? symbol.replace('USDT', '') : 'UNKNOWN';
+
+    return `✂️ <b>POSITION PARTIALLY CLOSED</b>
+
+<b>Symbol:</b> ${symbol}
+<b>Direction:</b> ${direction}
+<b>Entry:</b> $${entryPrice}
+<b>Closed:</b> ${slice.quantity.toLocaleString()} ${cleanSymbol} @ $${slice.exitPrice}
+<b>Slice P&L:</b> gross ${formatSignedUSDT(slice.grossPnl)} | fees ${formatSignedUSDT(-(slice.entryFee + slice.exitFee))} | net ${formatSignedUSDT(slice.netPnl)}
+<b>Remaining:</b> ${quantity.toLocaleString()} ${cleanSymbol}
+
+<b>Exit reason:</b> ${EXIT_REASON_LABELS[slice.reason] || slice.reason}`;
+  }
+
+  /**
+   * Форматує повідомлення про примусове закриття по часу утримання
+   */
+  formatPositionTimeoutMessage(positionData) {
+    const { symbol, direction, entryPrice, quantity, openedAt, timestamp, maxHolding } = positionData;
+
+    return `⏱ <b>POSITION TIMEOUT</b>
+
+<b>Symbol:</b> ${symbol}
+<b>Direction:</b> ${direction}
+<b>Entry:</b> $${entryPrice}
+<b>Quantity:</b> ${quantity}
+<b>Opened at:</b> ${new Date(openedAt || timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} UTC
+
+No CLOSE signal received within ${maxHolding} — closing at market.`;
+  }
+
+  /**
+   * Форматує повідомлення про закриття через сходження спреду (без CLOSE сигналу)
+   */
+  formatSpreadConvergedMessage(positionData) {
+    const { symbol, direction, entryPrice, quantity, spreadPercent, level } = positionData;
+
+    return `📐 <b>SPREAD CONVERGED</b>
+
+<b>Symbol:</b> ${symbol}
+<b>Direction:</b> ${direction}
+<b>Entry:</b> $${entryPrice}
+<b>Quantity:</b> ${quantity}
+<b>Spread now:</b> ${spreadPercent.toFixed(3)}% (exit level ${level}%)
+
+No CLOSE signal received — closing at market.`;
+  }
+
   /**
    * Форматує повідомлення про ігнорування сигналу
    */
@@ -258,6 +428,138 @@ Signal at: ${new Date(timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} U
     if (additionalInfo.nextTrading) {
       message += `\n<b>Next trading:</b> in ${additionalInfo.nextTrading}`;
     }
+    if (additionalInfo.signalAge) {
+      message += `\n\n<b>Signal age:</b> ${additionalInfo.signalAge}`;
+    }
+    if (additionalInfo.signalPrice) {
+      message += `\n\n<b>Signal price:</b> $${additionalInfo.signalPrice}\n<b>Current price:</b> $${additionalInfo.currentPrice}`;
+    }
+    if (additionalInfo.currentSpread) {
+      message += `\n\n<b>Signal spread:</b> ${additionalInfo.signalSpread ?? '—'}%\n<b>Current spread:</b> ${additionalInfo.currentSpread}%`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Форматує відповідь на /status
+   */
+  formatStatusMessage(status) {
+    return `🤖 <b>BOT STATUS</b>
+
+<b>Mode:</b> ${status.dryRun ? 'PAPER TRADING' : 'LIVE TRADING'}
+<b>OPEN signals:</b> ${status.paused ? '⏸ PAUSED' : '▶️ ACCEPTED'}
+<b>Balance:</b> $${status.balance.toFixed(2)}
+<b>Trading hours:</b> ${status.tradingHours.startHour}:00-${status.tradingHours.endHour}:00 UTC (${status.tradingHours.isActive ? 'active' : `next in ${status.tradingHours.nextTradingIn}`})
+
+<b>Open positions:</b> ${status.openPositions}/${status.maxOpenPositions}
+<b>Trades today:</b> ${status.dailyTrades}/${status.maxDailyTrades}
+<b>Signals total:</b> ${status.totalSignals}
+<b>Signals ignored (off-hours):</b> ${status.signalsIgnored}
+
+<b>Circuit breaker:</b> ${status.breaker.tripped ? `🚨 TRIPPED — ${status.breaker.reason}` : '✅ OK'}
+<b>Realised P&L today:</b> ${status.breaker.realisedPnl >= 0 ? '+' : ''}$${status.breaker.realisedPnl.toFixed(2)}`;
+  }
+
+  /**
+   * Форматує відповідь на /positions: відстежувані позиції vs позиції на біржі
+   */
+  formatPositionsMessage(trackedPositions, exchangePositions) {
+    if (trackedPositions.length === 0 && exchangePositions.length === 0) {
+      return '📊 <b>POSITIONS</b>\n\nNo open positions';
+    }
+
+    const lines = [];
+
+    for (const tracked of trackedPositions) {
+      const side = tracked.direction === 'LONG' ? 'Buy' : 'Sell';
+      const onExchange = exchangePositions.find(pos => pos.symbol === tracked.symbol && pos.side === side);
+      const pnl = onExchange
+        ? `${onExchange.unrealisedPnl >= 0 ? '+' : ''}$${onExchange.unrealisedPnl.toFixed(2)}`
+        : '⚠️ not on exchange';
+
+      lines.push(
+        `• <b>${tracked.symbol}</b> ${tracked.direction} ${tracked.quantity} @ $${tracked.entryPrice}\n` +
+        `  uPnL: ${pnl}`
+      );
+    }
+
+    const untracked = exchangePositions.filter(pos =>
+      !trackedPositions.some(tracked =>
+        tracked.symbol === pos.symbol &&
+        (tracked.direction === 'LONG' ? 'Buy' : 'Sell') === pos.side
+      )
+    );
+
+    for (const pos of untracked) {
+      lines.push(
+        `• <b>${pos.symbol}</b> ${pos.side === 'Buy' ? 'LONG' : 'SHORT'} ${pos.size} @ $${pos.entryPrice} ⚠️ untracked\n` +
+        `  uPnL: ${pos.unrealisedPnl >= 0 ? '+' : ''}$${pos.unrealisedPnl.toFixed(2)}`
+      );
+    }
+
+    return `📊 <b>POSITIONS</b> (tracked: ${trackedPositions.length}, exchange: ${exchangePositions.length})\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Форматує звіт про звірку позицій з біржею при старті
+   */
+  formatReconciliationMessage(result) {
+    const { confirmed, adopted, closed, unknown } = result;
+
+    const formatList = (positions) => positions
+      .map(pos => `  • ${pos.symbol} ${pos.direction} ${pos.quantity} @ $${pos.entryPrice}`)
+      .join('\n');
+
+    let message = `🔄 <b>POSITION RECONCILIATION</b>
+
+<b>Confirmed:</b> ${confirmed.length}
+<b>Adopted:</b> ${adopted.length}
+<b>Closed while offline:</b> ${closed.length}
+<b>Unknown (not managed):</b> ${unknown.length}`;
+
+    if (adopted.length > 0) {
+      message += `\n\n📥 <b>Adopted:</b>\n${formatList(adopted)}`;
+    }
+    if (closed.length > 0) {
+      message += `\n\n📤 <b>Closed while offline:</b>\n${formatList(closed)}`;
+    }
+    if (unknown.length > 0) {
+      message += `\n\n⚠️ <b>Unknown:</b>\n${formatList(unknown)}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Форматує результат перезавантаження конфігурації (reloadConfig)
+   */
+  formatConfigReloadMessage(result) {
+    const { source, changes = [], restartRequired = [], error } = result;
+
+    if (error) {
+      return `❌ <b>CONFIG RELOAD REJECTED</b> (${source})
+
+${error.message}
+
+Previous configuration is still active`;
+    }
+
+    const formatList = (list) => list
+      .map(({ key, from, to }) => `  • <code>${key}</code>: ${formatConfigValue(from)} → ${formatConfigValue(to)}`)
+      .join('\n');
+
+    let message = `⚙️ <b>CONFIG RELOADED</b> (${source})`;
+
+    if (changes.length === 0 && restartRequired.length === 0) {
+      return `${message}\n\nNo changes`;
+    }
+    if (changes.length > 0) {
+      message += `\n\n✅ <b>Applied:</b>\n${formatList(changes)}`;
+    }
+    if (restartRequired.length > 0) {
+      message += `\n\n⏸ <b>Requires restart (not applied):</b>\n${formatList(restartRequired)}`;
+    }
 
     return message;
   }
@@ -270,7 +572,17 @@ Signal at: ${new Date(timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} U
       ? ((report.winTrades / report.totalTrades) * 100).toFixed(1)
       : '0.0';
 
+    const exitReasons = Object.entries(report.exitReasons || {})
+      .map(([reason, count]) => `${reason} ${count}`)
+      .join(' | ');
+
     const pnlEmoji = report.totalPnl >= 0 ? '💰' : '📉';
+
+    const breakdown = report.pnlBreakdown;
+    const breakdownLines = breakdown && report.totalTrades > 0
+      ? `\n<b>Trades P&L:</b> gross ${formatSignedUSDT(breakdown.grossPnl)} | fees ${formatSignedUSDT(-breakdown.fees)} | funding ${formatSignedUSDT(breakdown.funding)}` +
+        `\n<b>Trades net:</b> ${formatSignedUSDT(breakdown.netPnl)}`
+      : '';
     const roiEmoji = report.roi >= 0 ? '📈' : '📉';
 
     return `📊 <b>DAILY REPORT</b>
@@ -282,7 +594,8 @@ Signal at: ${new Date(timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} U
 <b>Total Trades:</b> ${report.totalTrades}
 ✅ <b>Wins:</b> ${report.winTrades} (${winRate}%)
 ❌ <b>Losses:</b> ${report.loseTrades} (${(100 - parseFloat(winRate)).toFixed(1)}%)
-${pnlEmoji} <b>Total P&L:</b> ${report.totalPnl >= 0 ? '+' : ''}$${report.totalPnl.toFixed(2)}
+🚪 <b>Exits:</b> ${exitReasons || '—'}
+${pnlEmoji} <b>Total P&L:</b> ${report.totalPnl >= 0 ? '+' : ''}$${report.totalPnl.toFixed(2)}${breakdownLines}
 ${roiEmoji} <b>ROI:</b> ${report.roi >= 0 ? '+' : ''}${report.roi.toFixed(2)}%
 
 <b>Balance:</b> $${report.startBalance.toFixed(2)} → $${report.currentBalance.toFixed(2)}`;
@@ -3,14 +3,14 @@ import logger from '../utils/logger.js';
 
 /**
  * Перевіряє чи активні торговельні години
+ * @param {Date} now — момент перевірки (за замовчуванням — зараз; бектест передає час сигналу)
  * @returns {boolean} true якщо торговельні години активні
  */
-export function isTradingHoursActive() {
+export function isTradingHoursActive(now = new Date()) {
   if (!config.tradingHours.enabled) {
     return true;
   }
 
-  const now = new Date();
   const currentHour = now.getUTCHours(); // Завжди використовуємо UTC
   
   const startHour = config.tradingHours.startHour;
@@ -37,17 +37,17 @@ export function isTradingHoursActive() {
 
 /**
  * Отримує інформацію про торговельні години
+ * @param {Date} now — момент перевірки (за замовчуванням — зараз)
  * @returns {Object} інформація про поточний стан та наступний торговий період
  */
-export function getTradingHoursInfo() {
-  const now = new Date();
+export function getTradingHoursInfo(now = new Date()) {
   const currentHour = now.getUTCHours();
   const currentMinute = now.getUTCMinutes();
   
   const startHour = config.tradingHours.startHour;
   const endHour = config.tradingHours.endHour;
   
-  const isActive = isTradingHoursActive();
+  const isActive = isTradingHoursActive(now);
   
   // Розрахунок часу до наступного торгового періоду
   let nextTradingIn = null;
@@ -29,6 +29,44 @@ export function roundPrice(price, pricePrecision) {
   return roundToDecimal(price, pricePrecision);
 }
 
+/**
+ * Округлює ціну до кроку ціни біржі (priceFilter.tickSize).
+ * roundDown — вниз (для Buy лімітів), інакше вгору (для Sell), щоб ордер не перетинав ринок
+ */
+export function roundPriceToTick(price, tickSize, pricePrecision, roundDown) {
+  if (!tickSize || tickSize <= 0) {
+    return roundPrice(price, pricePrecision);
+  }
+
+  // Епсилон прибирає похибку ділення з рухомою комою (0.3 / 0.1 = 2.9999999999999996)
+  const ticks = price / tickSize;
+  const rounded = roundDown ? Math.floor(ticks + 1e-9) : Math.ceil(ticks - 1e-9);
+  return roundPrice(rounded * tickSize, pricePrecision);
+}
+
+/**
+ * Зводить виконання (формат Bybit execution list) в одне:
+ * { quantity, avgPrice (середньозважена, null — немає виконань), fee }
+ */
+export function aggregateExecutions(executions) {
+  let quantity = 0;
+  let cost = 0;
+  let fee = 0;
+
+  for (const exec of executions) {
+    const qty = parseFloat(exec.execQty || '0');
+    quantity += qty;
+    cost += qty * parseFloat(exec.execPrice || '0');
+    fee += parseFloat(exec.execFee || '0');
+  }
+
+  return {
+    quantity: roundToDecimal(quantity, 8),
+    avgPrice: quantity > 0 ? cost / quantity : null,
+    fee
+  };
+}
+
 /**
  * Перевіряє чи є значення валідним числом
  */
@@ -73,7 +111,7 @@ export function calculatePnLPercent(entryPrice, exitPrice, direction) {
 }
 
 /**
- * Обчислює P&L в USDT
+ * Обчислює gross P&L в USDT — лише різниця цін, без комісій та фінансування
  */
 export function calculatePnL(entryPrice, exitPrice, quantity, direction) {
   if (!isValidNumber(entryPrice) || !isValidNumber(exitPrice) || !isValidNumber(quantity)) {
@@ -89,6 +127,51 @@ export function calculatePnL(entryPrice, exitPrice, quantity, direction) {
   return 0;
 }
 
+/**
+ * Спред last vs index (fair price) у відсотках, зі знаком:
+ * > 0 — last вище index, < 0 — last нижче index
+ */
+export function calculateSpreadPercent(lastPrice, indexPrice) {
+  if (!isValidNumber(lastPrice) || !isValidNumber(indexPrice) || indexPrice === 0) {
+    return 0;
+  }
+
+  return ((lastPrice - indexPrice) / indexPrice) * 100;
+}
+
+/**
+ * Чи зійшовся спред відносно спреду на вході: |спред| <= level або знак змінився
+ * на протилежний до entrySpread (перехід через нуль).
+ * Напрямок позиції не враховується — сигнали каналу відкривають LONG і на додатному спреді.
+ * Без entrySpread рішення лише за |спред| <= level.
+ */
+export function isSpreadConverged(entrySpread, spreadPercent, level) {
+  if (Math.abs(spreadPercent) <= level) return true;
+  return isValidNumber(entrySpread) && entrySpread !== 0 && Math.sign(spreadPercent) !== Math.sign(entrySpread);
+}
+
+/**
+ * Average True Range у відсотках від останньої ціни закриття.
+ *
+ * @param {Object[]} klines — свічки від старих до нових: { high, low, close }
+ * @param {number}   period — кількість True Range для усереднення
+ * @returns {number|null} ATR% або null, якщо свічок недостатньо
+ */
+export function calculateAtrPercent(klines, period) {
+  if (!Array.isArray(klines) || klines.length < period + 1) return null;
+
+  const recent = klines.slice(-(period + 1));
+  let sum = 0;
+  for (let i = 1; i < recent.length; i++) {
+    const { high, low } = recent[i];
+    const prevClose = recent[i - 1].close;
+    sum += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  }
+
+  const lastClose = recent.at(-1).close;
+  return lastClose > 0 ? (sum / period) / lastClose * 100 : null;
+}
+
 /**
  * Форматує тривалість часу
  */
@@ -0,0 +1,162 @@
+import { createHash } from 'crypto';
+import logger from './logger.js';
+
+/**
+ * Парсер повідомлень Spread Monitor Bot.
+ * Використовується TelegramService (живі сигнали) та бектестом (архів каналу).
+ */
+
+/**
+ * Перевіряє чи це сигнальне повідомлення від Spread Monitor Bot.
+ * Розпізнає два типи:
+ *   - "📊 SPREAD SIGNAL"  — відкриття позиції
+ *   - "✅ SPREAD CLOSED"  — закриття позиції
+ */
+export function isSignalMessage(text) {
+  if (!text) return false;
+  return text.includes('SPREAD SIGNAL') || text.includes('SPREAD CLOSED');
+}
+
+/**
+ * Парсить сигнал з повідомлення Spread Monitor Bot.
+ *
+ * Тип 1 — відкриття (починається з "📊 SPREAD SIGNAL"):
+ *   Повертає: { type: 'OPEN', symbol, direction, lastPrice, indexPrice, spread, timestamp, sourceTime }
+ *
+ * Тип 2 — закриття (починається з "✅ SPREAD CLOSED"):
+ *   Повертає: { type: 'CLOSE', symbol, direction, closePercent, closeQuantity, timestamp, sourceTime }
+ *
+ * sourceTime — сире значення поля TIME (null, якщо його немає)
+ *
+ * @param {string} text              — текст повідомлення
+ * @param {number} fallbackTimestamp — час, якщо в повідомленні немає TIME (за замовчуванням — зараз)
+ */
+export function parseSignal(text, fallbackTimestamp = Date.now()) {
+  try {
+    if (text.includes('SPREAD SIGNAL')) {
+      return parseOpenSignal(text, fallbackTimestamp);
+    }
+
+    if (text.includes('SPREAD CLOSED')) {
+      return parseCloseSignal(text, fallbackTimestamp);
+    }
+
+    return null;
+  } catch (error) {
+    logger.error(`[PARSER] Error parsing signal: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Парсить OPEN сигнал.
+ * Очікуваний формат:
+ *   📊 SPREAD SIGNAL
+ *   SYMBOL: BTCUSDT
+ *   DIRECTION: LONG
+ *   LAST_PRICE: 65000.00
+ *   INDEX_PRICE: 64900.00
+ *   SPREAD: 0.75%
+ *   TIME: 2024-01-01T12:00:00.000Z
+ */
+export function parseOpenSignal(text, fallbackTimestamp = Date.now()) {
+  const symbolMatch    = text.match(/SYMBOL:\s*(\S+)/i);
+  const directionMatch = text.match(/DIRECTION:\s*(LONG|SHORT)/i);
+  const lastPriceMatch = text.match(/LAST_PRICE:\s*([\d.]+)/i);
+  const indexPriceMatch = text.match(/INDEX_PRICE:\s*([\d.]+)/i);
+  const spreadMatch    = text.match(/SPREAD:\s*([-\d.]+)/i);
+  const timeMatch      = text.match(/TIME:\s*(\S+)/i);
+
+  if (!symbolMatch || !directionMatch) {
+    logger.warn('[PARSER] OPEN signal: missing required fields (SYMBOL or DIRECTION)');
+    return null;
+  }
+
+  const signal = {
+    type:       'OPEN',
+    symbol:     symbolMatch[1].toUpperCase(),
+    direction:  directionMatch[1].toUpperCase(),
+    lastPrice:  lastPriceMatch  ? parseFloat(lastPriceMatch[1])  : null,
+    indexPrice: indexPriceMatch ? parseFloat(indexPriceMatch[1]) : null,
+    spread:     spreadMatch     ? parseFloat(spreadMatch[1])     : null,
+    timestamp:  timeMatch ? new Date(timeMatch[1]).getTime() : fallbackTimestamp,
+    sourceTime: timeMatch ? timeMatch[1] : null
+  };
+
+  logger.info(`[PARSER] Parsed OPEN signal: ${signal.symbol} ${signal.direction} spread=${signal.spread}%`);
+  return signal;
+}
+
+/**
+ * Парсить CLOSE сигнал.
+ * Очікуваний формат:
+ *   ✅ SPREAD CLOSED
+ *   SYMBOL: BTCUSDT
+ *   DIRECTION: LONG
+ *   LAST_PRICE: 65000.00
+ *   INDEX_PRICE: 65010.00
+ *   SPREAD: 0.45%
+ *   TIME: 2024-01-01T12:30:00.000Z
+ *
+ * Опційно — частковий вихід (одне з двох; без них діє config.exitPlan):
+ *   CLOSE_PERCENT: 50%
+ *   CLOSE_QTY: 0.01
+ */
+export function parseCloseSignal(text, fallbackTimestamp = Date.now()) {
+  const symbolMatch    = text.match(/SYMBOL:\s*(\S+)/i);
+  const directionMatch = text.match(/DIRECTION:\s*(LONG|SHORT)/i);
+  const timeMatch      = text.match(/TIME:\s*(\S+)/i);
+  const percentMatch   = text.match(/CLOSE_PERCENT:\s*([\d.]+)/i);
+  const quantityMatch  = text.match(/CLOSE_QTY:\s*([\d.]+)/i);
+
+  if (!symbolMatch || !directionMatch) {
+    logger.warn('[PARSER] CLOSE signal: missing required fields (SYMBOL or DIRECTION)');
+    return null;
+  }
+
+  const signal = {
+    type:      'CLOSE',
+    symbol:    symbolMatch[1].toUpperCase(),
+    direction: directionMatch[1].toUpperCase(),
+    closePercent:  percentMatch  ? parseFloat(percentMatch[1])  : null,
+    closeQuantity: quantityMatch ? parseFloat(quantityMatch[1]) : null,
+    timestamp: timeMatch ? new Date(timeMatch[1]).getTime() : fallbackTimestamp,
+    sourceTime: timeMatch ? timeMatch[1] : null
+  };
+
+  logger.info(
+    `[PARSER] Parsed CLOSE signal: ${signal.symbol} ${signal.direction}` +
+    (signal.closePercent ? ` ${signal.closePercent}%` : signal.closeQuantity ? ` qty=${signal.closeQuantity}` : '')
+  );
+  return signal;
+}
+
+/**
+ * Детермінований ID сигналу для дедуплікації.
+ *
+ * Основа — type, symbol, direction та поле TIME: повторна публікація того самого
+ * сигналу має той самий TIME. Якщо TIME немає — використовується message id
+ * (повторна доставка того самого поста Telegram), інакше — timestamp.
+ *
+ * @returns {string} 16 hex-символів
+ */
+export function getSignalId(signal) {
+  const source = signal.sourceTime
+    ? `time:${signal.sourceTime}`
+    : signal.messageId !== undefined
+      ? `msg:${signal.chatId || ''}:${signal.messageId}`
+      : `ts:${signal.timestamp}`;
+
+  return createHash('sha1')
+    .update([signal.type, signal.symbol, signal.direction, source].join('|'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+export default {
+  isSignalMessage,
+  getSignalId,
+  parseSignal,
+  parseOpenSignal,
+  parseCloseSignal
+};